@@ -1,7 +1,19 @@
 #!/bin/bash
 # Index all documentation sources sequentially
 
-SOURCES=("suse" "rancher" "rke2" "longhorn" "harvester" "neuvector" "kubewarden")
+cd "$(dirname "$0")" || exit 1
+
+# Every source in the registry (sources.json, or SOURCES_CONFIG_PATH)
+mapfile -t SOURCES < <(node --input-type=module -e "
+import 'dotenv/config';
+import { SourceRegistry } from './src/services/source-registry.js';
+console.log(new SourceRegistry().getIds().join('\n'));
+")
+
+if [ ${#SOURCES[@]} -eq 0 ]; then
+  echo "No sources found in the source registry"
+  exit 1
+fi
 
 for SOURCE in "${SOURCES[@]}"; do
   echo "========================================="
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 import { ChangeDetectionService } from '../services/change-detection-service.js';
 import { CacheService } from '../services/cache-service.js';
+import { ReindexService } from '../services/reindex-service.js';
+import { DigestService } from '../services/digest-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
 
 /**
  * CLI tool for checking documentation changes
@@ -9,9 +12,12 @@ import { CacheService } from '../services/cache-service.js';
  *   npm run check-changes k3s          - Check specific source
  *   npm run check-changes k3s rancher  - Check multiple sources
  *   npm run check-changes -- --limit 10 --days 7
+ *   npm run check-changes -- --reindex  - Check, then re-index changed pages
+ *   npm run check-changes -- --reindex --digest  - ...and summarize what changed
+ *   npm run check-changes -- --adaptive --budget 200  - Check only pages that are due
  */
 
-const SOURCES = ['suse', 'rancher', 'k3s', 'rke2', 'longhorn', 'harvester', 'neuvector', 'kubewarden'];
+const SOURCES = new SourceRegistry().getIds();
 
 async function main() {
   const args = process.argv.slice(2);
@@ -23,7 +29,11 @@ async function main() {
     parallel: 5,
     stats: false,
     watch: false,
-    watchInterval: 24, // hours
+    watchInterval: null, // hours (default: 24, or 1 with --adaptive)
+    adaptive: false,
+    budget: null,
+    reindex: null, // default: on in watch mode, off for one-time checks
+    digest: false,
   };
 
   const sourcesToCheck = [];
@@ -44,6 +54,18 @@ async function main() {
       options.stats = true;
     } else if (arg === '--watch') {
       options.watch = true;
+    } else if (arg === '--reindex') {
+      options.reindex = true;
+    } else if (arg === '--no-reindex') {
+      options.reindex = false;
+    } else if (arg === '--digest') {
+      options.digest = true;
+    } else if (arg === '--adaptive') {
+      options.adaptive = true;
+    } else if (arg === '--budget' && args[i + 1]) {
+      options.budget = parseInt(args[i + 1]);
+      options.adaptive = true;
+      i++;
     } else if (arg === '--interval' && args[i + 1]) {
       options.watchInterval = parseInt(args[i + 1]);
       i++;
@@ -55,14 +77,33 @@ async function main() {
     }
   }
 
+  // Adaptive cycles only check what is due, so they can run often
+  options.watchInterval = options.watchInterval || (options.adaptive ? 1 : 24);
+
   // Default to all sources if none specified
   if (sourcesToCheck.length === 0 && !options.stats) {
     sourcesToCheck.push(...SOURCES);
   }
 
-  const cacheService = new CacheService();
+  let reindex = options.reindex ?? options.watch;
+  if (reindex && process.env.USE_JSON_CACHE === 'true') {
+    console.log('⚠️  Re-indexing needs the SQLite page cache; only checking for changes\n');
+    reindex = false;
+  }
+
+  // The re-index queue lives in the page cache, so both share one connection
+  const reindexService = reindex ? new ReindexService() : null;
+  const cacheService = reindexService?.cache || new CacheService(process.env.PAGE_CACHE_PATH || './data/page-cache.db');
   const changeDetection = new ChangeDetectionService(cacheService);
 
+  // Digests summarize re-indexed pages, so they need re-indexing
+  if (options.digest && !reindex) {
+    console.log('⚠️  --digest needs re-indexing (--reindex, or watch mode without --no-reindex); skipping the digest\n');
+  }
+  const digestService = options.digest && reindex
+    ? new DigestService(cacheService, reindexService.docService.vectorService.aiService)
+    : null;
+
   try {
     await changeDetection.initialize();
 
@@ -88,13 +129,31 @@ async function main() {
         console.log(`      Recently Checked: ${data.recentlyChecked}`);
         console.log(`      Never Checked: ${data.neverChecked}`);
       }
+
+      console.log('\n📅 Adaptive Recheck Schedule:');
+      for (const row of stats.schedule) {
+        const range = row.minIntervalHours === null ? 'not scheduled yet' :
+          `every ${formatHours(row.minIntervalHours)} to ${formatHours(row.maxIntervalHours)}`;
+        console.log(`   ${row.source.padEnd(14)} ${String(row.due).padStart(5)} of ${row.pages} due, ${range}, ` +
+          `~${row.checksPerDay} checks/day`);
+      }
+
+      const queue = cacheService.getReindexStats();
+      console.log('\n🔁 Re-index Queue:');
+      console.log(`   Pending: ${queue.pending}`);
+      console.log(`   Done: ${queue.done}`);
+      console.log(`   Gone: ${queue.gone}`);
+      console.log(`   Failed: ${queue.failed}`);
       
       return;
     }
 
     // Watch mode
     if (options.watch) {
-      console.log(`🔄 Starting watch mode (checking every ${options.watchInterval} hours)`);
+      console.log(options.adaptive
+        ? `🔄 Starting watch mode (checking due pages every ${options.watchInterval} hours)`
+        : `🔄 Starting watch mode (checking every ${options.watchInterval} hours)`);
+      console.log(reindex ? '   Changed pages are re-indexed after each check' : '   Re-indexing disabled (--no-reindex)');
       console.log('   Press Ctrl+C to stop\n');
       
       await changeDetection.startAutoDetection({
@@ -105,25 +164,32 @@ async function main() {
           olderThanDays: options.olderThanDays,
           parallel: options.parallel,
           onProgress: (current, total, result) => {
-            if (result.changed) {
+            if (result.status === 'gone') {
+              console.log(`   🪦 [${current}/${total}] Gone (${result.reason}): ${result.url}`);
+            } else if (result.changed) {
               console.log(`   🔄 [${current}/${total}] Changed: ${result.url}`);
             }
           },
         },
-        onChangesDetected: async (results) => {
+        reindexService: reindex ? reindexService : null,
+        digestService,
+        adaptive: options.adaptive,
+        budget: options.budget || undefined,
+        onChangesDetected: reindex ? null : async (results) => {
           console.log('\n⚠️  Changes detected! Consider re-indexing these sources:');
           for (const [source, data] of Object.entries(results.sources)) {
             if (data.changed.length > 0) {
               console.log(`   ${source}: ${data.changed.length} changed pages`);
             }
           }
-          console.log('\nRun: npm run index <source> -- --force\n');
+          console.log('\nRun: npm run check-changes -- --reindex\n');
         },
       });
 
       // Keep process running
       process.on('SIGINT', () => {
         changeDetection.stopAutoDetection();
+        reindexService?.close();
         process.exit(0);
       });
 
@@ -138,11 +204,14 @@ async function main() {
         olderThanDays: options.olderThanDays,
         parallel: options.parallel,
         onProgress: (current, total, result) => {
-          const status = result.changed ? '🔄' : 
+          const status = result.status === 'gone' ? '🪦' :
+                        result.changed ? '🔄' : 
                         result.status === 'error' ? '❌' : '✓';
           process.stdout.write(`\r${status} Checking: ${current}/${total} `);
           
-          if (result.changed) {
+          if (result.status === 'gone') {
+            console.log(`\n   🪦 Gone (${result.reason}): ${result.url}`);
+          } else if (result.changed) {
             console.log(`\n   🔄 Changed: ${result.url}`);
           }
         },
@@ -152,9 +221,17 @@ async function main() {
       if (options.limit) filterMsg += ` (limit: ${options.limit})`;
       if (options.olderThanDays) filterMsg += ` (older than ${options.olderThanDays} days)`;
 
-      console.log(`🔍 Checking for changes${filterMsg}\n`);
-
-      const results = await changeDetection.checkAllSources(sourcesToCheck, checkOptions);
+      let results;
+      if (options.adaptive) {
+        console.log('🔍 Checking pages due for a recheck\n');
+        results = await changeDetection.checkDuePages(sourcesToCheck, {
+          ...checkOptions,
+          budget: options.budget || undefined,
+        });
+      } else {
+        console.log(`🔍 Checking for changes${filterMsg}\n`);
+        results = await changeDetection.checkAllSources(sourcesToCheck, checkOptions);
+      }
 
       // Print summary
       console.log('\n\n' + '='.repeat(60));
@@ -168,6 +245,7 @@ async function main() {
         console.log(`   🔄 Changed: ${data.changed.length}`);
         console.log(`   ❌ Errors: ${data.errors.length}`);
         console.log(`   ➕ New: ${data.new.length}`);
+        console.log(`   🪦 Gone: ${data.gone.length}`);
         
         if (data.changed.length > 0) {
           console.log(`\n   Changed URLs:`);
@@ -188,16 +266,26 @@ async function main() {
       console.log(`   🔄 Changed: ${results.summary.totalChanged}`);
       console.log(`   ❌ Errors: ${results.summary.totalErrors}`);
       console.log(`   ➕ New: ${results.summary.totalNew}`);
+      console.log(`   🪦 Gone: ${results.summary.totalGone}`);
+      if (results.schedule) {
+        console.log(`   📅 Checked ${results.schedule.checked} of ${results.schedule.due} due pages ` +
+          `(${results.schedule.requests} of ${results.schedule.budget} requests)`);
+      }
       console.log('='.repeat(60) + '\n');
 
-      if (results.summary.totalChanged > 0) {
-        console.log('⚠️  Changes detected! To re-index changed sources, run:');
-        for (const source of Object.keys(results.sources)) {
-          if (results.sources[source].changed.length > 0) {
-            console.log(`   npm run index ${source} -- --force`);
-          }
+      if (results.summary.totalGone > 0) {
+        console.log('🪦 Gone pages stay searchable for TOMBSTONE_GRACE_DAYS (default: 7), then the next');
+        console.log('   indexing run (or: npm run index -- --purge-tombstones) removes them.\n');
+      }
+
+      if (reindex) {
+        const reindexResults = await reindexChanges(reindexService, results);
+        if (digestService && reindexResults.reindexed.length > 0) {
+          await writeDigest(digestService, results);
         }
-        console.log();
+      } else if (results.summary.totalChanged + results.summary.totalNew > 0) {
+        console.log('⚠️  Changes detected! To re-index the changed pages, run:');
+        console.log('   npm run check-changes -- --reindex\n');
       } else {
         console.log('✅ All checked pages are up to date!\n');
       }
@@ -208,12 +296,58 @@ async function main() {
     console.error(error.stack);
     process.exit(1);
   } finally {
-    if (cacheService.db) {
+    if (reindexService) {
+      reindexService.close();
+    } else if (cacheService.db) {
       cacheService.close();
     }
   }
 }
 
+// Queue the changed and new pages of a check and re-index them
+async function reindexChanges(reindexService, results) {
+  const queued = await reindexService.enqueueChanges(results);
+  console.log(`🔁 Re-indexing ${queued} changed pages...\n`);
+
+  const reindex = await reindexService.processQueue({
+    sources: Object.keys(results.sources),
+    onProgress: (current, total, { url, status }) => {
+      const icon = { reindexed: '✓', gone: '🪦', retrying: '⏳', failed: '❌' }[status];
+      console.log(`   ${icon} [${current}/${total}] ${url}`);
+    },
+  });
+
+  console.log(`\n📊 Re-index Summary`);
+  console.log(`   ✓ Re-indexed: ${reindex.reindexed.length}`);
+  console.log(`   🪦 Gone: ${reindex.gone.length}`);
+  console.log(`   ⏳ Retrying next run: ${reindex.retrying.length}`);
+  console.log(`   ❌ Failed: ${reindex.failed.length}`);
+  if (reindex.purged.length > 0) {
+    console.log(`   🗑️  Purged tombstones: ${reindex.purged.length}`);
+  }
+  if (reindex.locked.length > 0) {
+    console.log(`   ⏭️  Left queued (indexing in progress): ${reindex.locked.join(', ')}`);
+  }
+  console.log();
+  return reindex;
+}
+
+// Summarize the pages re-indexed since the check started
+async function writeDigest(digestService, results) {
+  console.log('📰 Summarizing what changed...');
+  const digest = await digestService.run(results);
+  console.log(`   📝 Changed: ${digest.totals.changed} (${digest.totals.summarized} summarized)`);
+  console.log(`   ➕ New: ${digest.totals.new}`);
+  console.log(`   · Cosmetic only: ${digest.totals.cosmetic}`);
+  console.log('\n📄 Reports:');
+  digest.files.filter((file) => !file.endsWith('.json')).forEach((file) => console.log(`   ${file}`));
+  console.log();
+}
+
+function formatHours(hours) {
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours}h`;
+}
+
 // Show help
 if (process.argv.includes('--help') || process.argv.includes('-h')) {
   console.log(`
@@ -225,7 +359,7 @@ Usage:
   npm run check-changes [sources...] [options]
 
 Sources:
-  suse, rancher, k3s, rke2, longhorn, harvester, neuvector, kubewarden
+  ${SOURCES.join(', ')}
   (if no source specified, checks all sources)
 
 Options:
@@ -235,6 +369,12 @@ Options:
   --stats           Show change detection statistics instead of checking
   --watch           Run continuously and check on interval
   --interval <hrs>  Interval in hours for watch mode (default: 24)
+  --reindex         Re-index changed and new pages after a one-time check
+  --no-reindex      Only report changes in watch mode (re-indexes by default)
+  --digest          Summarize re-indexed pages in a "what changed" digest
+  --adaptive        Only check pages that are due; each page's recheck interval
+                    adapts to how often it changes (watch interval: 1 hour)
+  --budget <n>      Most HTTP requests per adaptive check (default: 500)
 
 Examples:
   # Check all sources
@@ -255,11 +395,20 @@ Examples:
   # Show statistics
   npm run check-changes -- --stats
 
-  # Run in watch mode (check every 24 hours)
+  # Check and re-index changed pages once
+  npm run check-changes -- --reindex
+
+  # Run in watch mode (check and re-index every 24 hours)
   npm run check-changes -- --watch
 
+  # Watch mode with a digest of every run's changes
+  npm run check-changes -- --watch --digest
+
   # Watch mode with custom interval (every 6 hours)
   npm run check-changes -- --watch --interval 6
+
+  # Adaptive watch mode: every hour, check up to 200 requests' worth of due pages
+  npm run check-changes -- --watch --adaptive --budget 200
 `);
   process.exit(0);
 }
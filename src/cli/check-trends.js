@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Show change detection trends from the check history
+ *
+ * Usage:
+ *   npm run check-trends                    - Last 30 days, all sources
+ *   npm run check-trends -- k3s --days 90   - Last 90 days of K3s
+ */
+
+import { ChangeDetectionService } from '../services/change-detection-service.js';
+import { CacheService } from '../services/cache-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SOURCES = new SourceRegistry().getIds();
+const args = process.argv.slice(2);
+
+const options = {
+  source: null,
+  days: 30,
+  limit: 10,
+};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--days':
+      options.days = parseFloat(args[++i]) || 30;
+      break;
+    case '--limit':
+      options.limit = parseInt(args[++i]) || 10;
+      break;
+    case '--help':
+    case '-h':
+      showHelp();
+      process.exit(0);
+    default:
+      if (SOURCES.includes(args[i])) {
+        options.source = args[i];
+      } else {
+        console.log(`⚠️  Unknown source: ${args[i]}`);
+        console.log(`   Available sources: ${SOURCES.join(', ')}`);
+      }
+  }
+}
+
+function showHelp() {
+  console.log(`
+📈 Change Detection Trends - How often documentation changes, from the check history
+
+Every change detection run (npm run check-changes, watch mode, the web API)
+records each page's result in the page cache database. This summarizes them:
+change frequency per source, the pages that change most often, and pages
+whose checks keep failing.
+
+Usage:
+  npm run check-trends -- [source] [options]
+
+Options:
+  --days <n>     Period to look back (default: 30)
+  --limit <n>    Pages listed per section (default: 10)
+  --help         Show this help message
+
+History older than CHECK_HISTORY_DAYS (default: 180) is pruned. The same
+data is served as JSON by the web server at /api/change-trends.
+`);
+}
+
+const cacheService = new CacheService(process.env.PAGE_CACHE_PATH || './data/page-cache.db');
+const changeDetection = new ChangeDetectionService(cacheService);
+
+try {
+  const trends = await changeDetection.getTrends(options);
+
+  if (trends.sources.length === 0) {
+    console.log(`\nℹ️  No change detection runs recorded in the last ${options.days} days.`);
+    console.log('   Run: npm run check-changes\n');
+  } else {
+    console.log(`\n📈 Change Detection Trends (last ${options.days} days)\n`);
+
+    console.log('📋 By Source:');
+    console.log(`   ${'Source'.padEnd(14)} ${'Runs'.padStart(5)} ${'Checks'.padStart(7)} ${'Changed'.padStart(8)} ` +
+      `${'Rate'.padStart(7)} ${'Per week'.padStart(9)} ${'Errors'.padStart(7)}  Last run`);
+    for (const row of trends.sources) {
+      console.log(`   ${row.source.padEnd(14)} ${String(row.runs).padStart(5)} ${String(row.checks).padStart(7)} ` +
+        `${String(row.changed).padStart(8)} ${`${(row.changeRate * 100).toFixed(1)}%`.padStart(7)} ` +
+        `${String(row.changesPerWeek).padStart(9)} ${String(row.errors).padStart(7)}  ${row.lastRunAt.slice(0, 16).replace('T', ' ')}`);
+    }
+
+    console.log('\n🔄 Most Frequently Changed Pages:');
+    if (trends.pages.length === 0) {
+      console.log('   (none)');
+    }
+    for (const page of trends.pages) {
+      console.log(`   ${String(page.changes).padStart(3)}× of ${page.checks} checks  ${page.url}`);
+    }
+
+    console.log('\n❌ Recurring Fetch Errors:');
+    if (trends.errors.length === 0) {
+      console.log('   (none)');
+    }
+    for (const error of trends.errors) {
+      console.log(`   ${String(error.errors).padStart(3)}× ${error.url}`);
+      console.log(`        last ${error.lastSeenAt.slice(0, 16).replace('T', ' ')}: ${error.lastError}`);
+    }
+    console.log();
+  }
+} catch (error) {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+} finally {
+  if (cacheService.db) {
+    cacheService.close();
+  }
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Generate a "what changed" digest of the documentation
+ *
+ * Usage:
+ *   npm run digest                          - Last 7 days, all sources
+ *   npm run digest -- rke2 --days 14        - Last two weeks of RKE2
+ *   npm run digest -- --since 2026-10-01 --until 2026-10-15
+ *   npm run digest -- --no-ai               - Diffs only, no AI summaries
+ */
+
+import { DigestService } from '../services/digest-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SOURCES = new SourceRegistry().getIds();
+const args = process.argv.slice(2);
+
+const options = {
+  sources: [],
+  days: 7,
+  since: null,
+  until: null,
+  useAI: true,
+};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--days':
+      options.days = parseFloat(args[++i]) || 7;
+      break;
+    case '--since':
+      options.since = args[++i];
+      break;
+    case '--until':
+      options.until = args[++i];
+      break;
+    case '--no-ai':
+      options.useAI = false;
+      break;
+    case '--help':
+    case '-h':
+      showHelp();
+      process.exit(0);
+    default:
+      if (SOURCES.includes(args[i])) {
+        options.sources.push(args[i]);
+      } else {
+        console.log(`⚠️  Unknown source: ${args[i]}`);
+        console.log(`   Available sources: ${SOURCES.join(', ')}`);
+      }
+  }
+}
+
+function showHelp() {
+  console.log(`
+📰 Documentation Digest - What changed, summarized per source
+
+Diffs the page versions recorded while indexing (npm run index, or
+check-changes --reindex / --watch) and summarizes each page's meaningful
+changes with the configured AI provider. Whitespace and navigation changes
+are left out.
+
+Usage:
+  npm run digest -- [sources...] [options]
+
+Options:
+  --days <n>       Cover the last N days (default: 7)
+  --since <date>   Start of the period (overrides --days)
+  --until <date>   End of the period (default: now)
+  --no-ai          Skip the AI summaries; reports contain the diffs only
+  --help           Show this help message
+
+Reports are written to DIGEST_DIR (default: ./data/digests/<id>/) as
+<source>.md and <source>.html, and served by the web server under
+/api/digests.
+`);
+}
+
+const digestService = new DigestService();
+
+try {
+  const since = options.since || new Date(Date.now() - options.days * 24 * 60 * 60 * 1000).toISOString();
+  console.log(`\n📰 Building digest since ${since}${options.useAI ? '' : ' (no AI summaries)'}...\n`);
+
+  const digest = await digestService.generate({
+    since,
+    until: options.until,
+    sources: options.sources.length > 0 ? options.sources : null,
+    useAI: options.useAI,
+    onProgress: (current, total, page) => {
+      const icon = { changed: '📝', cosmetic: '·', new: '➕' }[page.status];
+      console.log(`   ${icon} [${current}/${total}] ${page.title}${page.error ? ` (summary failed: ${page.error})` : ''}`);
+    },
+  });
+
+  if (Object.keys(digest.sources).length === 0) {
+    console.log('ℹ️  No page versions were recorded in this period.');
+    console.log('   Versions are recorded when changed pages are indexed.\n');
+  } else {
+    const files = await digestService.save(digest);
+    const { totals } = digest;
+
+    console.log(`\n✅ Digest ${digest.id}`);
+    console.log(`   📝 Changed: ${totals.changed} (${totals.summarized} summarized)`);
+    console.log(`   ➕ New: ${totals.new}`);
+    console.log(`   · Cosmetic only: ${totals.cosmetic}`);
+    if (totals.failed > 0) {
+      console.log(`   ⚠️  Summaries failed: ${totals.failed} (their diffs are in the report)`);
+    }
+    console.log('\n📄 Reports:');
+    files.filter((file) => !file.endsWith('.json')).forEach((file) => console.log(`   ${file}`));
+    console.log();
+  }
+} catch (error) {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+} finally {
+  digestService.close();
+}
@@ -9,6 +9,7 @@
  *   node src/index-docs.js --clear-cache [embedding|page|all]
  *   node src/index-docs.js --validate-cache
  *   node src/index-docs.js --rebuild-source <source-id>
+ *   node src/index-docs.js --purge-tombstones [source-id]
  * 
  * Examples:
  *   node src/index-docs.js k3s
@@ -16,6 +17,7 @@
  *   node src/index-docs.js --stats
  *   node src/index-docs.js --clear-cache page
  *   node src/index-docs.js --rebuild-source suse
+ *   node src/index-docs.js --purge-tombstones k3s
  */
 
 import { DocumentationService } from '../services/documentation-service.js';
@@ -34,6 +36,7 @@ const flags = {
   clearCache: args.find(arg => arg.startsWith('--clear-cache')),
   validateCache: args.includes('--validate-cache'),
   rebuildSource: args.includes('--rebuild-source'),
+  purgeTombstones: args.includes('--purge-tombstones'),
   force: args.includes('--force'),
 };
 
@@ -66,14 +69,21 @@ try {
   if (flags.rebuildSource) {
     const sourceIndex = args.indexOf('--rebuild-source') + 1;
     const source = args[sourceIndex];
-    if (!source) {
-      console.error('❌ Error: --rebuild-source requires a source ID (suse, rancher, k3s, or all)');
+    if (!source || (source !== 'all' && !docService.registry.get(source))) {
+      console.error(`❌ Error: --rebuild-source requires a source ID (${docService.registry.getIds().join(', ')}, or all)`);
       process.exit(1);
     }
     await rebuildSource(source);
     process.exit(0);
   }
 
+  // Handle --purge-tombstones flag
+  if (flags.purgeTombstones) {
+    const source = args[args.indexOf('--purge-tombstones') + 1];
+    await purgeTombstones(source && !source.startsWith('--') ? source : null);
+    process.exit(0);
+  }
+
   // Default: Index documentation
   const source = args.find(arg => !arg.startsWith('--')) || 'k3s';
   await indexDocumentation(source, flags.force);
@@ -143,10 +153,12 @@ async function showCacheStats() {
   // Vector Database Stats
   await vectorService.ensureInitialized();
   console.log('\n🗂️  Vector Database:');
-  console.log(`   Location: ${vectorService.indexPath}`);
+  console.log(`   Store: ${vectorService.store.type}`);
+  console.log(`   Location: ${vectorService.store.location}`);
+  console.log(`   Chunks: ${await vectorService.store.count()}`);
   
   try {
-    const indexStats = await fs.stat(vectorService.indexPath);
+    const indexStats = await fs.stat(vectorService.store.location);
     console.log(`   Created: ${indexStats.birthtime.toLocaleDateString()}`);
     console.log(`   Last modified: ${indexStats.mtime.toLocaleDateString()}`);
   } catch (error) {
@@ -198,9 +210,8 @@ async function clearCache(cacheType) {
 
   if (cacheType === 'vectors' || cacheType === 'all') {
     try {
-      const vectorPath = process.env.VECTOR_DB_PATH || './data/vectors';
-      await fs.rm(vectorPath, { recursive: true, force: true });
-      console.log(`✓ Cleared vector database (${vectorPath})`);
+      await vectorService.clear();
+      console.log(`✓ Cleared vector database (${vectorService.store.location})`);
     } catch (error) {
       console.error('✗ Failed to clear vector database:', error.message);
     }
@@ -265,7 +276,7 @@ async function validateCache() {
   // Validate vector database
   try {
     await vectorService.ensureInitialized();
-    console.log(`✓ Vector database accessible (${vectorService.indexPath})`);
+    console.log(`✓ Vector database accessible (${vectorService.store.type}: ${vectorService.store.location})`);
   } catch (error) {
     console.error('✗ Vector database validation failed:', error.message);
     errors++;
@@ -282,20 +293,53 @@ async function validateCache() {
 // Rebuild specific source
 async function rebuildSource(sourceId) {
   console.log(`\n🔄 Rebuilding source: ${sourceId}\n`);
-  console.log('⚠️  Note: This will clear ALL caches and rebuild from scratch.');
-  console.log('   Vectra does not support partial updates, so all sources must be reindexed.\n');
 
-  // Clear all caches for a fresh start
-  console.log('Clearing caches...');
-  await clearCache('all');
+  // Clear under the indexing lock, so nothing is removed while another run
+  // indexes the source or when the re-index can't start
+  await indexDocumentation(sourceId, true, async () => {
+    if (sourceId === 'all') {
+      // Clear all caches for a fresh start
+      console.log('Clearing caches...');
+      await clearCache('all');
+    } else {
+      // Only this source's chunks go; other sources stay searchable. The
+      // embedding cache is kept, so unchanged text isn't embedded again
+      const removed = await docService.vectorService.deleteSource(sourceId);
+      console.log(`✓ Removed ${removed} indexed chunks for ${sourceId} (other sources are untouched)`);
+    }
+    console.log(`\n🚀 Starting re-indexing...\n`);
+  });
+}
+
+// Purge pages whose tombstone outlived the grace period and list the rest
+async function purgeTombstones(sourceId) {
+  console.log(`\n🪦 Purging pages removed upstream${sourceId ? ` from ${sourceId}` : ''}...\n`);
 
-  // Re-index with force refresh
-  console.log(`\n🚀 Starting re-indexing...\n`);
-  await indexDocumentation(sourceId, true);
+  if (docService.useJsonCache) {
+    console.log('⚠️  Tombstones need the SQLite page cache (USE_JSON_CACHE is set)\n');
+    return;
+  }
+
+  const purged = await docService.purgeTombstones(sourceId);
+  for (const page of purged) {
+    console.log(`✓ Purged ${page.url} (${page.reason} since ${page.tombstonedAt}, ${page.chunks} chunks)`);
+  }
+  console.log(`\n📊 Purged ${purged.length} pages (grace period: ${docService.tombstoneGraceDays} days)`);
+
+  const pending = docService.pageCache.getTombstones({ source: sourceId });
+  if (pending.length > 0) {
+    console.log(`\n⏳ Still in their grace period: ${pending.length}`);
+    const graceMs = docService.tombstoneGraceDays * 24 * 60 * 60 * 1000;
+    for (const page of pending) {
+      const daysLeft = Math.ceil((page.tombstonedAt + graceMs - Date.now()) / (24 * 60 * 60 * 1000));
+      console.log(`   ${page.url} (${page.tombstoneReason}, purged in ${daysLeft} day(s))`);
+    }
+  }
+  console.log();
 }
 
-// Index documentation with optional locking
-async function indexDocumentation(source, forceRefresh) {
+// Index documentation with optional locking; prepare() runs under the lock first
+async function indexDocumentation(source, forceRefresh, prepare = null) {
   console.log(`\n🚀 Starting documentation indexing for: ${source}`);
   if (forceRefresh) {
     console.log('   Force refresh: Ignoring cache, fetching all documents');
@@ -306,7 +350,7 @@ async function indexDocumentation(source, forceRefresh) {
   let lock = null;
   if (!docService.useJsonCache) {
     await docService.loadPageCache();
-    lock = docService.pageCache.acquireLock(`index-${source}`, 1800); // 30 min timeout
+    lock = docService.acquireIndexLock(source, 1800); // 30 min timeout
     
     if (!lock.acquired) {
       console.log(`⚠️  Another indexing process is already running for ${source}`);
@@ -319,6 +363,9 @@ async function indexDocumentation(source, forceRefresh) {
   }
 
   try {
+    if (prepare) {
+      await prepare();
+    }
     const result = await docService.indexDocumentation(source, forceRefresh);
     
     if (result.success) {
@@ -8,6 +8,7 @@
  */
 
 import { DocumentationService } from '../services/documentation-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -17,7 +18,7 @@ let sources = args.length > 0 ? args : ['k3s'];
 
 // If 'all' is specified, index all available sources
 if (sources.includes('all')) {
-  sources = ['suse', 'rancher', 'k3s', 'rke2', 'longhorn', 'harvester', 'neuvector', 'kubewarden'];
+  sources = new SourceRegistry().getIds();
 }
 
 console.log(`\n🚀 Starting multi-source documentation indexing`);
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Show the recorded versions of a page and diff them
+ *
+ * Usage:
+ *   npm run page-history -- <url>                          - List versions
+ *   npm run page-history -- <url> --diff                   - Previous vs latest version
+ *   npm run page-history -- <url> --diff --from 2026-10-01 --to 2026-10-15
+ *   npm run page-history -- <url> --diff --from 12 --to 15 --markdown
+ */
+
+import { PageHistoryService } from '../services/page-history-service.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+const options = {
+  url: null,
+  diff: false,
+  from: 'previous',
+  to: 'latest',
+  context: 3,
+  markdown: false,
+};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--diff':
+      options.diff = true;
+      break;
+    case '--from':
+      options.from = args[++i];
+      options.diff = true;
+      break;
+    case '--to':
+      options.to = args[++i];
+      options.diff = true;
+      break;
+    case '--context':
+      options.context = parseInt(args[++i]) || 0;
+      break;
+    case '--markdown':
+      options.markdown = true;
+      break;
+    case '--help':
+    case '-h':
+      showHelp();
+      process.exit(0);
+    default:
+      if (!args[i].startsWith('--')) {
+        options.url = args[i];
+      }
+  }
+}
+
+function showHelp() {
+  console.log(`
+📜 Page History - Recorded versions of a page and what changed between them
+
+Every time indexing fetches a page whose content changed, the extracted
+Markdown is kept as a new version in the page cache database. The newest
+PAGE_VERSIONS_KEEP (default: 50) versions of each page are kept.
+
+Usage:
+  npm run page-history -- <url> [options]
+
+Options:
+  --diff             Show a diff (default: previous vs latest version)
+  --from <version>   Older version: id, date, 'latest' or 'previous'
+  --to <version>     Newer version: id, date, 'latest' or 'previous'
+  --context <n>      Unchanged lines around each change (default: 3)
+  --markdown         Print the diff as a Markdown document
+  --help             Show this help message
+
+A date picks the version that was current at that moment, so
+"--from 2026-10-01 --to 2026-10-15" shows what changed in those two weeks.
+
+Examples:
+  npm run page-history -- https://docs.rke2.io/upgrades/manual_upgrade
+  npm run page-history -- https://docs.rke2.io/upgrades/manual_upgrade --diff
+  npm run page-history -- https://docs.rke2.io/upgrades/manual_upgrade --from 2026-10-01 --to 2026-10-15
+`);
+}
+
+if (!options.url) {
+  showHelp();
+  process.exit(1);
+}
+
+const history = new PageHistoryService();
+
+try {
+  if (!options.diff) {
+    const versions = await history.listVersions(options.url);
+    if (versions.length === 0) {
+      console.log(`\nℹ️  No versions recorded for ${options.url}`);
+      console.log('   Versions are recorded when the page is indexed.\n');
+    } else {
+      console.log(`\n📜 ${versions.length} version(s) of ${options.url}\n`);
+      for (const version of versions) {
+        console.log(`   #${String(version.id).padEnd(6)} ${version.capturedAt}  ${String(version.size).padStart(7)} chars  ${version.title || ''}`);
+      }
+      console.log('\n💡 Diff two versions: npm run page-history -- <url> --from <version> --to <version>\n');
+    }
+  } else {
+    const result = await history.diff(options.url, options.from, options.to, { context: options.context });
+
+    if (options.markdown) {
+      console.log(history.formatMarkdown(result));
+    } else {
+      console.log(`\n📜 ${result.to.title || result.url}`);
+      console.log(`   Version ${result.from.id} (${result.from.capturedAt}) → version ${result.to.id} (${result.to.capturedAt})`);
+      console.log(`   +${result.stats.added} -${result.stats.removed} lines\n`);
+
+      if (result.identical) {
+        console.log('✓ The extracted text is identical; only the page markup changed.\n');
+      } else {
+        const colors = { '+': '\x1b[32m', '-': '\x1b[31m', '@': '\x1b[36m' };
+        const color = process.stdout.isTTY;
+        for (const line of result.diff.split('\n')) {
+          const prefix = line.startsWith('+++') || line.startsWith('---') ? null : colors[line[0]];
+          console.log(color && prefix ? `${prefix}${line}\x1b[0m` : line);
+        }
+        console.log();
+      }
+    }
+  }
+} catch (error) {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+} finally {
+  history.close();
+}
@@ -12,10 +12,12 @@
  */
 
 import { CacheService } from '../services/cache-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+const SOURCES = new SourceRegistry().getIds();
 const args = process.argv.slice(2);
 
 // Parse arguments
@@ -62,7 +64,7 @@ Usage:
   node src/query-cache.js [options]
 
 Options:
-  --source <name>          Filter by source (suse, rancher, k3s)
+  --source <name>          Filter by source (${SOURCES.join(', ')})
   --status <status>        Filter by status (indexed, not-indexed, stale, recent)
   --modified-since <date>  Show pages modified since date (YYYY-MM-DD)
   --start-date <date>      Filter from start date
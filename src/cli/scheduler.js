@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Run the scheduled jobs from jobs.json
+ *
+ * Usage:
+ *   npm run scheduler                            - Run as a daemon
+ *   npm run scheduler -- --list                  - Show jobs and their last runs
+ *   npm run scheduler -- --run index-k3s-nightly - Run a job now
+ *   npm run scheduler -- --history vacuum        - Show a job's recent runs
+ */
+
+import { SchedulerService } from '../services/scheduler-service.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+const options = {
+  mode: 'daemon',
+  job: null,
+  limit: 20,
+};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--list':
+      options.mode = 'list';
+      break;
+    case '--run':
+      options.mode = 'run';
+      options.job = args[++i];
+      break;
+    case '--history':
+      options.mode = 'history';
+      options.job = args[++i];
+      break;
+    case '--limit':
+      options.limit = parseInt(args[++i]) || 20;
+      break;
+    case '--help':
+    case '-h':
+      showHelp();
+      process.exit(0);
+    default:
+      console.log(`⚠️  Unknown option: ${args[i]}`);
+  }
+}
+
+function showHelp() {
+  console.log(`
+⏰ Job Scheduler - Run indexing, change checks and maintenance on cron schedules
+
+Jobs are defined in jobs.json (or the file named by JOBS_CONFIG_PATH; copy
+jobs.example.json to start), each with a cron schedule and a task: index,
+check, digest or vacuum. Their next run and
+last result are kept in the page cache database, and a job never runs twice at
+once, even from separate processes.
+
+Usage:
+  npm run scheduler -- [options]
+
+Options:
+  (none)             Run as a daemon until Ctrl+C
+  --list             Show jobs, their next run and last result
+  --run <job>        Run a job now (its schedule is unchanged)
+  --history <job>    Show a job's recent runs
+  --limit <n>        Runs shown by --history (default: 20)
+  --help             Show this help message
+
+The web server runs the same jobs when SCHEDULER_ENABLED=true; use one or the
+other so jobs are not skipped as "already running" by the other process.
+`);
+}
+
+function formatTime(iso) {
+  return iso ? iso.slice(0, 16).replace('T', ' ') : '-';
+}
+
+const scheduler = new SchedulerService();
+
+try {
+  switch (options.mode) {
+    case 'list': {
+      const jobs = await scheduler.listJobs();
+      console.log(`\n⏰ Scheduled Jobs (${scheduler.configPath})\n`);
+      console.log(`   ${'Job'.padEnd(22)} ${'Task'.padEnd(7)} ${'Schedule'.padEnd(16)} ${'Next run'.padEnd(17)} Last run`);
+      for (const job of jobs) {
+        const next = job.running ? 'running' : job.enabled ? formatTime(job.nextRunAt) : 'disabled';
+        const last = job.lastRun ? `${formatTime(job.lastRun.at)} ${job.lastRun.status}` : '-';
+        console.log(`   ${job.name.padEnd(22)} ${job.task.padEnd(7)} ${job.schedule.padEnd(16)} ${next.padEnd(17)} ${last}`);
+        if (job.lastRun?.error) {
+          console.log(`   ${''.padEnd(22)} ${job.lastRun.error}`);
+        }
+      }
+      console.log();
+      break;
+    }
+
+    case 'run': {
+      if (!options.job) {
+        throw new Error('--run needs a job name');
+      }
+      const run = await scheduler.runJob(options.job);
+      console.log(`\n${run.status === 'success' ? '✅' : run.status === 'skipped' ? '⏭️ ' : '❌'} ${run.job}: ${run.status} in ${(run.durationMs / 1000).toFixed(1)}s`);
+      if (run.result) {
+        console.log(JSON.stringify(run.result, null, 2));
+      }
+      if (run.status === 'failed') {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
+    case 'history': {
+      if (!options.job) {
+        throw new Error('--history needs a job name');
+      }
+      const runs = await scheduler.getRuns(options.job, options.limit);
+      console.log(`\n📜 Recent runs of ${options.job}\n`);
+      if (runs.length === 0) {
+        console.log('   (none)');
+      }
+      for (const run of runs) {
+        const seconds = ((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000).toFixed(1);
+        console.log(`   ${formatTime(run.startedAt)}  ${run.status.padEnd(8)} ${run.trigger.padEnd(9)} ${seconds.padStart(8)}s` +
+          `${run.error ? `  ${run.error}` : ''}`);
+      }
+      console.log();
+      break;
+    }
+
+    default: {
+      await scheduler.start();
+      console.log('   Press Ctrl+C to stop\n');
+
+      await new Promise((resolve) => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+      if (scheduler.ticking) {
+        console.log('\n⏳ Waiting for the running job to finish...');
+      }
+    }
+  }
+} catch (error) {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exitCode = 1;
+} finally {
+  await scheduler.close();
+}
@@ -1,20 +1,54 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { AIService } from './services/ai-service.js';
+import { ChangeDetectionService } from './services/change-detection-service.js';
 import { DocumentationService } from './services/documentation-service.js';
-import { VectorService } from './services/vector-service.js';
+import { PromptService } from './services/prompt-service.js';
+import { ResourceService } from './services/resource-service.js';
+import { SEARCH_MODES, VectorService } from './services/vector-service.js';
 
 dotenv.config();
 
-class DocsNavigatorServer {
+export class DocsNavigatorServer {
   constructor() {
-    this.server = new Server(
+    this.aiService = new AIService();
+    this.docService = new DocumentationService();
+    this.vectorService = new VectorService();
+    this.resourceService = new ResourceService(this.docService);
+    this.promptService = new PromptService(this.vectorService, this.aiService);
+    this.changeDetectionService = new ChangeDetectionService(
+      this.docService.useJsonCache ? null : this.docService.pageCache
+    );
+
+    // One session per connected client; all sessions share the services above
+    this.sessions = new Set();
+    this.resourceCheckInterval = null;
+    this.changeDetectionService.on('change', (result) => this.handlePageChanged(result));
+
+    this.setupErrorHandling();
+  }
+
+  /**
+   * Create an MCP server for a single client connection
+   */
+  createSession() {
+    const server = new Server(
       {
         name: process.env.MCP_SERVER_NAME || 'docs-navigator-suse',
         version: '1.0.0',
@@ -22,28 +56,46 @@ class DocsNavigatorServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            subscribe: true,
+          },
+          prompts: {},
         },
       }
     );
 
-    this.aiService = new AIService();
-    this.docService = new DocumentationService();
-    this.vectorService = new VectorService();
+    const session = {
+      server,
+      // Subscribed resource URI -> { url, lastNotifiedHash }
+      resourceSubscriptions: new Map(),
+    };
 
-    this.setupHandlers();
-    this.setupErrorHandling();
+    this.setupHandlers(session);
+    this.setupResourceHandlers(session);
+    this.setupPromptHandlers(session);
+
+    server.onerror = (error) => {
+      console.error('[MCP Error]', error);
+    };
+    server.onclose = () => {
+      this.sessions.delete(session);
+      this.updateResourceWatch();
+    };
+
+    this.sessions.add(session);
+    return session;
   }
 
-  setupHandlers() {
+  setupHandlers({ server }) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: this.getTools(),
       };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
@@ -57,7 +109,11 @@ class DocsNavigatorServer {
           case 'ask_question':
             return await this.handleAskQuestion(args);
           case 'index_documentation':
-            return await this.handleIndexDocumentation(args);
+            return await this.handleIndexDocumentation(args, {
+              server,
+              progressToken: request.params._meta?.progressToken,
+              signal: extra.signal,
+            });
           case 'list_doc_sources':
             return await this.handleListDocSources();
           default:
@@ -77,12 +133,116 @@ class DocsNavigatorServer {
     });
   }
 
+  setupResourceHandlers({ server, resourceSubscriptions }) {
+    // List indexed documentation pages
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await this.resourceService.listResources(request.params?.cursor);
+    });
+
+    // Return the cached markdown of a page
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await this.resourceService.readResource(request.params.uri);
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const url = await this.resourceService.resolveUri(uri);
+      if (!url) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+
+      resourceSubscriptions.set(uri, { url, lastNotifiedHash: null });
+      this.updateResourceWatch();
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      resourceSubscriptions.delete(request.params.uri);
+      this.updateResourceWatch();
+      return {};
+    });
+  }
+
+  setupPromptHandlers({ server }) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: this.promptService.listPrompts(),
+      };
+    });
+
+    // Render a prompt with retrieved documentation already embedded
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await this.promptService.getPrompt(name, args || {});
+    });
+  }
+
+  /**
+   * Periodically re-check subscribed pages so clients hear about upstream edits
+   * even when no other change detection run is happening in this process.
+   * Runs only while at least one session has a subscription.
+   */
+  updateResourceWatch() {
+    const hasSubscriptions = Array.from(this.sessions).some((s) => s.resourceSubscriptions.size > 0);
+
+    if (!hasSubscriptions) {
+      this.stopResourceWatch();
+      return;
+    }
+    if (this.resourceCheckInterval) return;
+
+    const intervalMinutes = parseInt(process.env.RESOURCE_CHECK_INTERVAL) || 60;
+    this.resourceCheckInterval = setInterval(async () => {
+      // Check each subscribed page once, however many sessions watch it
+      const urls = new Set();
+      for (const session of this.sessions) {
+        for (const { url } of session.resourceSubscriptions.values()) {
+          urls.add(url);
+        }
+      }
+      for (const url of urls) {
+        await this.changeDetectionService.checkUrlForChanges(url);
+      }
+    }, intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the watcher
+    this.resourceCheckInterval.unref();
+  }
+
+  stopResourceWatch() {
+    if (this.resourceCheckInterval) {
+      clearInterval(this.resourceCheckInterval);
+      this.resourceCheckInterval = null;
+    }
+  }
+
+  async handlePageChanged(result) {
+    for (const { server, resourceSubscriptions } of this.sessions) {
+      for (const [uri, subscription] of resourceSubscriptions.entries()) {
+        // Only notify once per distinct upstream version
+        if (subscription.url !== result.url || subscription.lastNotifiedHash === result.newHash) {
+          continue;
+        }
+
+        subscription.lastNotifiedHash = result.newHash;
+        try {
+          await server.sendResourceUpdated({ uri });
+        } catch (error) {
+          console.error(`Failed to notify resource update for ${uri}:`, error);
+        }
+      }
+    }
+  }
+
   getTools() {
+    // Source enums come from the registry so new sources need no code changes
+    const sourceIds = this.docService.registry.getIds();
+
     return [
       {
         name: 'search_docs',
         description:
-          'Search SUSE, Rancher, K3s, and related documentation using semantic search. Returns relevant documentation sections.',
+          'Search SUSE, Rancher, K3s, and related documentation using hybrid keyword (BM25) and semantic search. Returns relevant documentation sections.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -92,13 +252,55 @@ class DocsNavigatorServer {
             },
             source: {
               type: 'string',
-              description: 'Optional: Filter by documentation source (suse, rancher, k3s, all)',
-              enum: ['suse', 'rancher', 'k3s', 'all'],
+              description: 'Optional: Filter by documentation source (default: all)',
+              enum: [...sourceIds, 'all'],
+            },
+            sources: {
+              type: 'array',
+              description: 'Optional: Search only these sources (overrides source)',
+              items: { type: 'string', enum: sourceIds },
+            },
+            version: {
+              type: 'string',
+              description: 'Optional: Only pages of this product version, e.g. "15-SP5" or "2.8"',
+            },
+            urlPrefix: {
+              type: 'string',
+              description: 'Optional: Only pages whose URL starts with this prefix, e.g. "https://docs.k3s.io/installation"',
+            },
+            indexedAfter: {
+              type: 'string',
+              description: 'Optional: Only pages indexed at or after this ISO 8601 date/time',
+            },
+            indexedBefore: {
+              type: 'string',
+              description: 'Optional: Only pages indexed at or before this ISO 8601 date/time',
             },
             limit: {
               type: 'number',
               description: 'Maximum number of results to return (default: 5)',
             },
+            mode: {
+              type: 'string',
+              description:
+                'Optional: "hybrid" merges keyword and semantic rankings, "lexical" matches exact terms such as flags, variables and CVE ids, "semantic" matches meaning (default: hybrid)',
+              enum: SEARCH_MODES,
+            },
+            semanticWeight: {
+              type: 'number',
+              description: 'Optional: share of the hybrid score given to semantic ranks, 0 (keyword only) to 1 (semantic only) (default: 0.5)',
+              minimum: 0,
+              maximum: 1,
+            },
+            rerank: {
+              type: 'boolean',
+              description: 'Optional: rescore the top candidates with the configured reranker (default: on when RERANK_MODE is set)',
+            },
+            contextWindow: {
+              type: 'number',
+              description: 'Optional: neighbouring chunks to include around each match, e.g. 1 for the steps before and after (default: 0)',
+              minimum: 0,
+            },
           },
           required: ['query'],
         },
@@ -166,7 +368,7 @@ class DocsNavigatorServer {
             source: {
               type: 'string',
               description: 'Documentation source to index',
-              enum: ['suse', 'rancher', 'k3s', 'all'],
+              enum: [...sourceIds, 'all'],
             },
             forceRefresh: {
               type: 'boolean',
@@ -189,10 +391,21 @@ class DocsNavigatorServer {
 
   async handleSearchDocs(args) {
     const query = args.query;
-    const source = args.source || 'all';
+    const source = args.sources?.length > 0 ? args.sources : args.source || 'all';
     const limit = args.limit || 5;
 
-    const results = await this.vectorService.search(query, source, limit);
+    const results = await this.vectorService.search(query, source, limit, {
+      filters: {
+        version: args.version,
+        urlPrefix: args.urlPrefix,
+        indexedAfter: args.indexedAfter,
+        indexedBefore: args.indexedBefore,
+      },
+      mode: args.mode,
+      semanticWeight: args.semanticWeight,
+      rerank: args.rerank,
+      contextWindow: args.contextWindow,
+    });
 
     return {
       content: [
@@ -255,17 +468,74 @@ class DocsNavigatorServer {
     };
   }
 
-  async handleIndexDocumentation(args) {
+  /**
+   * Index documentation, reporting per-document progress when the client sent
+   * a progressToken and stopping between batches if the request is cancelled
+   */
+  async handleIndexDocumentation(args, { server = null, progressToken, signal } = {}) {
     const source = args.source;
     const forceRefresh = args.forceRefresh || false;
 
-    const status = await this.docService.indexDocumentation(source, forceRefresh);
+    // Sessions share one index, so never run two indexing jobs covering the same source
+    let lock = null;
+    if (!this.docService.useJsonCache) {
+      await this.docService.loadPageCache();
+      lock = this.docService.acquireIndexLock(source, 1800); // 30 min timeout
+
+      if (!lock.acquired) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Indexing that covers ${source} is already running in another session or process. ` +
+                    `Lock expires in ${Math.round(lock.expiresIn / 60)} minutes.`,
+            },
+          ],
+        };
+      }
+    }
+
+    // Per-source progress, summed so 'all' reports one monotonic counter
+    const sourceProgress = new Map();
+    const onProgress = progressToken === undefined || !server ? null : (processed, total, result) => {
+      sourceProgress.set(result.source, { processed, total });
+
+      let progress = 0;
+      let overallTotal = 0;
+      for (const entry of sourceProgress.values()) {
+        progress += entry.processed;
+        overallTotal += entry.total;
+      }
+
+      server.notification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          total: overallTotal,
+          message: `${result.status}: ${result.url}`,
+          source: result.source,
+          indexed: result.indexed,
+          skipped: result.skipped,
+          failed: result.failed,
+        },
+      }).catch((error) => console.error('Failed to send progress notification:', error));
+    };
+
+    let status;
+    try {
+      status = await this.docService.indexDocumentation(source, forceRefresh, { onProgress, signal });
+    } finally {
+      if (lock) {
+        this.docService.pageCache.releaseLock(`index-${source}`, lock.lockId);
+      }
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Documentation indexing ${status.success ? 'completed' : 'failed'}.\n` +
+          text: `Documentation indexing ${status.cancelled ? 'cancelled' : status.success ? 'completed' : 'failed'}.\n` +
                 `Indexed ${status.documentsIndexed} documents from ${source}.\n` +
                 (status.error ? `Error: ${status.error}` : ''),
         },
@@ -287,23 +557,99 @@ class DocsNavigatorServer {
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => {
-      console.error('[MCP Error]', error);
-    };
-
     process.on('SIGINT', async () => {
-      await this.server.close();
+      this.stopResourceWatch();
+      for (const { server } of Array.from(this.sessions)) {
+        await server.close();
+      }
       process.exit(0);
     });
   }
 
   async run() {
+    const useHttp = process.argv.includes('--http') || process.env.MCP_TRANSPORT === 'http';
+
+    if (useHttp) {
+      await this.runHttp();
+    } else {
+      await this.runStdio();
+    }
+  }
+
+  async runStdio() {
+    const { server } = this.createSession();
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await server.connect(transport);
     console.error('SUSE Docs Navigator MCP Server running on stdio');
   }
+
+  /**
+   * Serve MCP over HTTP with Server-Sent Events so one indexed instance can be
+   * shared by many clients. Clients open GET /sse and post messages to the
+   * endpoint announced on that stream.
+   */
+  async runHttp() {
+    const app = express();
+    const port = parseInt(process.env.MCP_HTTP_PORT) || 3001;
+    const host = process.env.MCP_HTTP_HOST || '127.0.0.1';
+    const token = process.env.MCP_HTTP_TOKEN;
+    const transports = new Map();
+
+    // Optional shared secret for team deployments
+    if (token) {
+      app.use((req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${token}`) {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+      });
+    }
+
+    app.get('/sse', async (req, res) => {
+      const transport = new SSEServerTransport('/messages', res);
+      const { server } = this.createSession();
+      transports.set(transport.sessionId, transport);
+
+      res.on('close', () => {
+        transports.delete(transport.sessionId);
+      });
+
+      try {
+        await server.connect(transport);
+      } catch (error) {
+        transports.delete(transport.sessionId);
+        console.error('[MCP Error] Failed to open SSE session:', error);
+      }
+    });
+
+    // No body parser here: the transport reads the raw request body itself
+    app.post('/messages', async (req, res) => {
+      const transport = transports.get(req.query.sessionId);
+      if (!transport) {
+        return res.status(404).json({ error: 'Unknown session' });
+      }
+
+      try {
+        await transport.handlePostMessage(req, res);
+      } catch (error) {
+        console.error('[MCP Error]', error);
+      }
+    });
+
+    app.get('/health', (req, res) => {
+      res.json({ status: 'ok', sessions: this.sessions.size });
+    });
+
+    const httpServer = await new Promise((resolve) => {
+      const listening = app.listen(port, host, () => resolve(listening));
+    });
+    console.error(`SUSE Docs Navigator MCP Server running on http://${host}:${port}/sse`);
+    return httpServer;
+  }
 }
 
-// Start the server
-const server = new DocsNavigatorServer();
-server.run().catch(console.error);
+// Start the server when run directly (the tests import the class instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new DocsNavigatorServer();
+  server.run().catch(console.error);
+}
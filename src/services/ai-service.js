@@ -97,12 +97,45 @@ export class AIService {
     return await this.generateCompletion(prompt);
   }
 
-  async answerQuestion(question, searchResults, additionalContext) {
-    const contextText = searchResults
+  /**
+   * Summarize what changed between two versions of a documentation page
+   * @param {string} title - Page title
+   * @param {string} url - Page URL
+   * @param {string} diff - Unified diff of the page's Markdown
+   */
+  async summarizeChanges(title, url, diff) {
+    const prompt = `You are reviewing changes to a SUSE, Rancher or related documentation page for a weekly "what changed" digest.
+
+Page: ${title} (${url})
+
+Below is a unified diff of the page's text: lines starting with "-" were removed, lines starting with "+" were added.
+
+Summarize the meaningful changes in 1-4 bullet points. Focus on what a reader acting on this page would need to know: changed commands, versions, defaults, requirements, warnings, and added or removed steps or sections. Ignore whitespace, formatting, navigation, link and typo-only changes. If nothing meaningful changed, answer exactly: No meaningful changes.
+
+Diff:
+${diff}
+
+Summary:`;
+
+    return await this.generateCompletion(prompt);
+  }
+
+  formatSources(searchResults) {
+    return searchResults
       .map((result, idx) => {
-        return `[Source ${idx + 1}: ${result.metadata.title} - ${result.metadata.url}]\n${result.content}`;
+        // PDF chunks carry a page number, e.g. "page 42 of SLES Administration Guide (PDF)"
+        const title = result.metadata.page
+          ? `page ${result.metadata.page} of ${result.metadata.title} (PDF)`
+          : result.metadata.title;
+        // Section chunks deep-link to their heading
+        const url = result.metadata.anchor ? `${result.metadata.url}#${result.metadata.anchor}` : result.metadata.url;
+        return `[Source ${idx + 1}: ${title} - ${url}]\n${result.content}`;
       })
       .join('\n\n---\n\n');
+  }
+
+  async answerQuestion(question, searchResults, additionalContext) {
+    const contextText = this.formatSources(searchResults);
 
     const prompt = `You are a helpful assistant that answers questions about SUSE, Rancher, K3s, and related documentation.
 
@@ -110,7 +143,7 @@ Question: ${question}
 
 ${additionalContext ? `Additional Context: ${additionalContext}\n\n` : ''}
 
-Based on the following documentation sources, provide a comprehensive answer. Always cite your sources using [Source N] notation.
+Based on the following documentation sources, provide a comprehensive answer. Always cite your sources using [Source N] notation, and include the page number when a source is a PDF page.
 
 Documentation Sources:
 ${contextText}
@@ -28,6 +28,7 @@ export class CacheService {
     
     // Create schema if not exists
     this.createSchema();
+    this.migrateSchema();
     
     this.initialized = true;
     console.log(`📦 SQLite cache initialized: ${this.dbPath}`);
@@ -53,6 +54,120 @@ export class CacheService {
       CREATE INDEX IF NOT EXISTS idx_last_checked ON pages(last_checked);
       CREATE INDEX IF NOT EXISTS idx_content_hash ON pages(content_hash);
 
+      -- Breadth-first crawl frontier, persisted so interrupted crawls can resume
+      CREATE TABLE IF NOT EXISTS crawl_frontier (
+        source TEXT NOT NULL,
+        url TEXT NOT NULL,
+        depth INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        discovered_at INTEGER, -- ms
+        PRIMARY KEY (source, url)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_crawl_status ON crawl_frontier(source, status, depth);
+
+      -- Pages change detection flagged, waiting to be re-indexed
+      CREATE TABLE IF NOT EXISTS reindex_queue (
+        url TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        reason TEXT,
+        content_hash TEXT,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        queued_at INTEGER, -- ms
+        processed_at INTEGER -- ms
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reindex_status ON reindex_queue(status, source);
+
+      -- Extracted Markdown of every distinct version of a page, for diffs
+      CREATE TABLE IF NOT EXISTS page_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        source TEXT,
+        content_hash TEXT NOT NULL,
+        title TEXT,
+        markdown TEXT NOT NULL,
+        captured_at INTEGER NOT NULL,
+        older_pruned INTEGER DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_page_versions_url ON page_versions(url, captured_at);
+
+      -- Change detection history: one run per source checked, with each page's result
+      CREATE TABLE IF NOT EXISTS check_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        finished_at INTEGER NOT NULL,
+        total_checked INTEGER DEFAULT 0,
+        changed INTEGER DEFAULT 0,
+        unchanged INTEGER DEFAULT 0,
+        errors INTEGER DEFAULT 0,
+        new INTEGER DEFAULT 0,
+        gone INTEGER DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_runs_source ON check_runs(source, started_at);
+
+      CREATE TABLE IF NOT EXISTS check_results (
+        run_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        method TEXT,
+        reason TEXT,
+        old_hash TEXT,
+        new_hash TEXT,
+        error TEXT,
+        checked_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_results_run ON check_results(run_id);
+      CREATE INDEX IF NOT EXISTS idx_check_results_url ON check_results(url, checked_at);
+      CREATE INDEX IF NOT EXISTS idx_check_results_status ON check_results(status, checked_at);
+
+      -- Adaptive rechecks: each page's learned recheck interval and next check time
+      CREATE TABLE IF NOT EXISTS check_schedule (
+        url TEXT PRIMARY KEY,
+        source TEXT,
+        interval_ms INTEGER NOT NULL,
+        next_check_at INTEGER NOT NULL,
+        last_changed_at INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_schedule_next ON check_schedule(next_check_at);
+
+      -- Scheduled jobs: next run and outcome of the last run, plus a run log
+      CREATE TABLE IF NOT EXISTS jobs (
+        name TEXT PRIMARY KEY,
+        task TEXT NOT NULL,
+        schedule TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        next_run_at INTEGER,
+        last_run_at INTEGER,
+        last_status TEXT,
+        last_duration_ms INTEGER,
+        last_result TEXT,
+        last_error TEXT,
+        updated_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        finished_at INTEGER NOT NULL,
+        result TEXT,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
+
       -- View for quick statistics
       CREATE VIEW IF NOT EXISTS cache_stats AS
       SELECT 
@@ -66,6 +181,44 @@ export class CacheService {
     `);
   }
 
+  /**
+   * Add columns introduced after a database was created
+   */
+  migrateSchema() {
+    const columns = new Set(this.db.prepare('PRAGMA table_info(pages)').all().map(column => column.name));
+
+    // Pages gone upstream (missing from discovery, or 404/410) wait out a
+    // grace period before they are purged
+    if (!columns.has('tombstoned_at')) {
+      this.db.exec('ALTER TABLE pages ADD COLUMN tombstoned_at INTEGER');
+    }
+    if (!columns.has('tombstone_reason')) {
+      this.db.exec('ALTER TABLE pages ADD COLUMN tombstone_reason TEXT');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_tombstoned_at ON pages(tombstoned_at)');
+
+    // The upstream version a queued re-index is for, so a page given up on is
+    // only queued again once it changes
+    const queueColumns = new Set(this.db.prepare('PRAGMA table_info(reindex_queue)').all().map(column => column.name));
+    if (!queueColumns.has('content_hash')) {
+      this.db.exec('ALTER TABLE reindex_queue ADD COLUMN content_hash TEXT');
+    }
+
+    // Queue and frontier times used to be stored in seconds; every table
+    // added since stores milliseconds
+    const maxSeconds = 1e11; // any millisecond timestamp since 1973 is above this
+    this.db.prepare('UPDATE crawl_frontier SET discovered_at = discovered_at * 1000 WHERE discovered_at < ?').run(maxSeconds);
+    this.db.prepare('UPDATE reindex_queue SET queued_at = queued_at * 1000 WHERE queued_at < ?').run(maxSeconds);
+    this.db.prepare('UPDATE reindex_queue SET processed_at = processed_at * 1000 WHERE processed_at < ?').run(maxSeconds);
+
+    // Set on a page's oldest kept version once older ones were pruned, so a
+    // digest doesn't take the page for new
+    const versionColumns = new Set(this.db.prepare('PRAGMA table_info(page_versions)').all().map(column => column.name));
+    if (!versionColumns.has('older_pruned')) {
+      this.db.exec('ALTER TABLE page_versions ADD COLUMN older_pruned INTEGER DEFAULT 0');
+    }
+  }
+
   /**
    * Get a page from cache
    */
@@ -87,6 +240,8 @@ export class CacheService {
       lastChecked: row.last_checked,
       indexed: Boolean(row.indexed),
       source: row.source,
+      tombstonedAt: row.tombstoned_at,
+      tombstoneReason: row.tombstone_reason,
     };
   }
 
@@ -132,6 +287,7 @@ export class CacheService {
     
     const stmt = this.db.prepare('DELETE FROM pages WHERE url = ?');
     stmt.run(url);
+    this.db.prepare('DELETE FROM check_schedule WHERE url = ?').run(url);
   }
 
   /**
@@ -183,6 +339,8 @@ export class CacheService {
       lastChecked: row.last_checked,
       indexed: Boolean(row.indexed),
       source: row.source,
+      tombstonedAt: row.tombstoned_at,
+      tombstoneReason: row.tombstone_reason,
     }));
   }
 
@@ -204,6 +362,8 @@ export class CacheService {
       lastChecked: row.last_checked,
       indexed: Boolean(row.indexed),
       source: row.source,
+      tombstonedAt: row.tombstoned_at,
+      tombstoneReason: row.tombstone_reason,
     }));
   }
 
@@ -260,8 +420,10 @@ export class CacheService {
     if (source) {
       const stmt = this.db.prepare('DELETE FROM pages WHERE source = ?');
       stmt.run(source);
+      this.db.prepare('DELETE FROM check_schedule WHERE source = ?').run(source);
     } else {
       this.db.exec('DELETE FROM pages');
+      this.db.exec('DELETE FROM check_schedule');
     }
   }
 
@@ -536,10 +698,856 @@ export class CacheService {
     return report;
   }
 
+  /**
+   * Mark a page as gone upstream. The first tombstone wins, so the grace
+   * period runs from when the page was first seen missing.
+   * @param {string} url - Page URL
+   * @param {string} reason - 'missing' (dropped from discovery) or 'http-404' / 'http-410'
+   * @param {number} now - Tombstone time in milliseconds
+   * @returns {boolean} true if the page was newly tombstoned
+   */
+  tombstone(url, reason, now = Date.now()) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      UPDATE pages SET tombstoned_at = ?, tombstone_reason = ?
+      WHERE url = ? AND tombstoned_at IS NULL
+    `);
+    return stmt.run(now, reason, url).changes > 0;
+  }
+
+  /**
+   * Clear a page's tombstone after it came back
+   * @returns {boolean} true if the page was tombstoned
+   */
+  restoreTombstone(url) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      UPDATE pages SET tombstoned_at = NULL, tombstone_reason = NULL
+      WHERE url = ? AND tombstoned_at IS NOT NULL
+    `);
+    return stmt.run(url).changes > 0;
+  }
+
+  /**
+   * Get tombstoned pages, oldest tombstone first
+   * @param {Object} options - { source, before: only tombstones at or before this time (ms) }
+   */
+  getTombstones({ source = null, before = null } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    let query = 'SELECT * FROM pages WHERE tombstoned_at IS NOT NULL';
+    const params = [];
+
+    if (source) {
+      query += ' AND source = ?';
+      params.push(source);
+    }
+
+    if (before !== null) {
+      query += ' AND tombstoned_at <= ?';
+      params.push(before);
+    }
+
+    query += ' ORDER BY tombstoned_at ASC';
+
+    return this.db.prepare(query).all(...params).map(row => ({
+      url: row.url,
+      htmlPath: row.html_path,
+      source: row.source,
+      tombstonedAt: row.tombstoned_at,
+      tombstoneReason: row.tombstone_reason,
+    }));
+  }
+
+  /**
+   * Add URLs to a source's crawl frontier (already known URLs are ignored)
+   * @param {string} source - Source ID
+   * @param {Array<{url: string, depth: number}>} entries
+   * @returns {number} Number of URLs newly queued
+   */
+  enqueueCrawlUrls(source, entries) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO crawl_frontier (source, url, depth, discovered_at) VALUES (?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((entries) => {
+      const now = Date.now();
+      let added = 0;
+      for (const { url, depth } of entries) {
+        added += insert.run(source, url, depth, now).changes;
+      }
+      return added;
+    });
+
+    return insertMany(entries);
+  }
+
+  /**
+   * Get pending frontier URLs in breadth-first order
+   */
+  getPendingCrawlUrls(source, limit) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT url, depth FROM crawl_frontier
+      WHERE source = ? AND status = 'pending'
+      ORDER BY depth ASC, discovered_at ASC, rowid ASC
+      LIMIT ?
+    `);
+    return stmt.all(source, limit);
+  }
+
+  /**
+   * Mark a frontier URL as 'done' or 'failed'
+   */
+  markCrawlUrl(source, url, status) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare('UPDATE crawl_frontier SET status = ? WHERE source = ? AND url = ?');
+    stmt.run(status, source, url);
+  }
+
+  /**
+   * Count frontier URLs for a source by status
+   * @returns {Object} e.g. { pending: 12, done: 30, failed: 1 }
+   */
+  getCrawlStats(source) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT status, COUNT(*) as count FROM crawl_frontier WHERE source = ? GROUP BY status
+    `);
+
+    const stats = { pending: 0, done: 0, failed: 0 };
+    for (const row of stmt.all(source)) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  /**
+   * Get successfully crawled URLs in the order they were discovered
+   */
+  getCrawledUrls(source) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT url FROM crawl_frontier
+      WHERE source = ? AND status = 'done'
+      ORDER BY depth ASC, discovered_at ASC, rowid ASC
+    `);
+    return stmt.all(source).map(row => row.url);
+  }
+
+  /**
+   * Clear a source's crawl frontier (optionally only entries with a given status)
+   */
+  clearCrawlFrontier(source, status = null) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    if (status) {
+      this.db.prepare('DELETE FROM crawl_frontier WHERE source = ? AND status = ?').run(source, status);
+    } else {
+      this.db.prepare('DELETE FROM crawl_frontier WHERE source = ?').run(source);
+    }
+  }
+
+  /**
+   * Queue pages for re-indexing. A page still pending keeps its attempts, so
+   * flagging it again on every check doesn't extend its retries; a page given
+   * up on ('failed') is only queued again when its content hash changed.
+   * Pages re-indexed ('done') or gone since they were last queued start over.
+   * @param {Array<{url: string, source: string, reason: string, contentHash: string}>} entries
+   * @returns {number} Number of pages queued
+   */
+  enqueueReindex(entries) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const upsert = this.db.prepare(`
+      INSERT INTO reindex_queue (url, source, reason, content_hash, status, attempts, last_error, queued_at, processed_at)
+      VALUES (?, ?, ?, ?, 'pending', 0, NULL, ?, NULL)
+      ON CONFLICT(url) DO UPDATE SET
+        source = excluded.source,
+        reason = excluded.reason,
+        content_hash = COALESCE(excluded.content_hash, reindex_queue.content_hash),
+        attempts = CASE WHEN reindex_queue.status = 'pending' THEN reindex_queue.attempts ELSE 0 END,
+        last_error = CASE WHEN reindex_queue.status = 'pending' THEN reindex_queue.last_error ELSE NULL END,
+        status = 'pending',
+        queued_at = excluded.queued_at,
+        processed_at = NULL
+      WHERE reindex_queue.status != 'failed'
+        OR excluded.content_hash IS NOT reindex_queue.content_hash AND excluded.content_hash IS NOT NULL
+    `);
+
+    const upsertMany = this.db.transaction((entries) => {
+      const now = Date.now();
+      let queued = 0;
+      for (const { url, source, reason, contentHash } of entries) {
+        queued += upsert.run(url, source, reason || null, contentHash || null, now).changes;
+      }
+      return queued;
+    });
+
+    return upsertMany(entries);
+  }
+
+  /**
+   * Get pending re-index entries, oldest first
+   * @param {string|null} source - Only this source's entries
+   * @param {number|null} limit - Maximum entries to return
+   */
+  getPendingReindex(source = null, limit = null) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    let query = "SELECT * FROM reindex_queue WHERE status = 'pending'";
+    const params = [];
+
+    if (source) {
+      query += ' AND source = ?';
+      params.push(source);
+    }
+
+    query += ' ORDER BY queued_at ASC, rowid ASC';
+
+    if (limit) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.db.prepare(query).all(...params).map(row => ({
+      url: row.url,
+      source: row.source,
+      reason: row.reason,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      queuedAt: row.queued_at,
+    }));
+  }
+
+  /**
+   * Record the outcome of a re-index attempt
+   * @param {string} url - Page URL
+   * @param {string} status - 'done', 'gone', 'failed' or 'pending' (to retry later)
+   * @param {string|null} error - Error message of a failed attempt
+   */
+  markReindex(url, status, error = null) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      UPDATE reindex_queue
+      SET status = ?, attempts = attempts + 1, last_error = ?, processed_at = ?
+      WHERE url = ?
+    `);
+    stmt.run(status, error, Date.now(), url);
+  }
+
+  /**
+   * Count re-index queue entries by status
+   * @returns {Object} e.g. { pending: 3, done: 40, gone: 1, failed: 0 }
+   */
+  getReindexStats(source = null) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT status, COUNT(*) as count FROM reindex_queue
+      ${source ? 'WHERE source = ?' : ''}
+      GROUP BY status
+    `);
+
+    const stats = { pending: 0, done: 0, gone: 0, failed: 0 };
+    for (const row of stmt.all(...(source ? [source] : []))) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  /**
+   * Record a version of a page, unless its latest version has the same
+   * content hash (re-indexing an unchanged page adds nothing), keeping the
+   * newest `keep` versions of the page. The oldest kept version is then
+   * flagged olderPruned
+   * @param {string} url - Page URL
+   * @param {Object} version - { source, contentHash, title, markdown }
+   * @param {number} now - Capture time in milliseconds
+   * @param {number} keep - Versions kept per page
+   * @returns {Object|null} The new version ({ id, capturedAt }), or null if unchanged
+   */
+  addPageVersion(url, { source = null, contentHash, title = null, markdown }, now = Date.now(), keep = 50) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const latest = this.db.prepare(`
+      SELECT content_hash FROM page_versions WHERE url = ?
+      ORDER BY captured_at DESC, id DESC LIMIT 1
+    `).get(url);
+    if (latest?.content_hash === contentHash) return null;
+
+    const record = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO page_versions (url, source, content_hash, title, markdown, captured_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(url, source, contentHash, title, markdown, now);
+
+      const pruned = this.db.prepare(`
+        DELETE FROM page_versions WHERE url = ? AND id NOT IN (
+          SELECT id FROM page_versions WHERE url = ? ORDER BY captured_at DESC, id DESC LIMIT ?
+        )
+      `).run(url, url, keep);
+      if (pruned.changes > 0) {
+        this.db.prepare(`
+          UPDATE page_versions SET older_pruned = 1 WHERE id = (
+            SELECT id FROM page_versions WHERE url = ? ORDER BY captured_at ASC, id ASC LIMIT 1
+          )
+        `).run(url);
+      }
+
+      return { id: Number(result.lastInsertRowid), capturedAt: now };
+    });
+
+    return record();
+  }
+
+  /**
+   * List a page's versions, oldest first (without their Markdown)
+   */
+  getPageVersions(url) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT id, url, source, content_hash, title, length(markdown) as size, captured_at, older_pruned
+      FROM page_versions WHERE url = ?
+      ORDER BY captured_at ASC, id ASC
+    `);
+    return stmt.all(url).map(row => ({
+      id: row.id,
+      url: row.url,
+      source: row.source,
+      contentHash: row.content_hash,
+      title: row.title,
+      size: row.size,
+      capturedAt: row.captured_at,
+      olderPruned: Boolean(row.older_pruned),
+    }));
+  }
+
+  /**
+   * Get one version of a page with its Markdown
+   * @param {string} url - Page URL
+   * @param {Object} ref - { id } for a specific version, or { at } (ms) for
+   *   the version that was current at that time
+   * @returns {Object|null}
+   */
+  getPageVersion(url, { id = null, at = null } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const row = id !== null
+      ? this.db.prepare('SELECT * FROM page_versions WHERE url = ? AND id = ?').get(url, id)
+      : this.db.prepare(`
+          SELECT * FROM page_versions WHERE url = ? AND captured_at <= ?
+          ORDER BY captured_at DESC, id DESC LIMIT 1
+        `).get(url, at ?? Date.now());
+
+    return row ? {
+      id: row.id,
+      url: row.url,
+      source: row.source,
+      contentHash: row.content_hash,
+      title: row.title,
+      markdown: row.markdown,
+      capturedAt: row.captured_at,
+      olderPruned: Boolean(row.older_pruned),
+    } : null;
+  }
+
+  /**
+   * Pages that gained versions in a time window
+   * @param {Object} options - { since, until (ms, since exclusive), source }
+   * @returns {Array<{url: string, source: string, versions: number}>}
+   */
+  getVersionedPages({ since, until = Date.now(), source = null } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    let query = 'SELECT url, source, COUNT(*) as versions FROM page_versions WHERE captured_at > ? AND captured_at <= ?';
+    const params = [since, until];
+
+    if (source) {
+      query += ' AND source = ?';
+      params.push(source);
+    }
+
+    query += ' GROUP BY url ORDER BY source, url';
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Record a change detection run and each page's result
+   * @param {Object} run - { source, startedAt, finishedAt (ms), results: check results
+   *   ({ url, status, method, reason, oldHash, newHash, error }) }
+   * @returns {number} Run ID
+   */
+  addCheckRun({ source, startedAt, finishedAt, results }) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const insertRun = this.db.prepare(`
+      INSERT INTO check_runs (source, started_at, finished_at, total_checked, changed, unchanged, errors, new, gone)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertResult = this.db.prepare(`
+      INSERT INTO check_results (run_id, url, source, status, method, reason, old_hash, new_hash, error, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const record = this.db.transaction(() => {
+      const count = (status) => results.filter(result => result.status === status).length;
+      const { lastInsertRowid } = insertRun.run(
+        source, startedAt, finishedAt, results.length,
+        count('changed'), count('unchanged'), count('error'), count('new'), count('gone')
+      );
+      const runId = Number(lastInsertRowid);
+
+      for (const result of results) {
+        insertResult.run(
+          runId, result.url, source, result.status,
+          result.method || null, result.reason || null,
+          result.oldHash || null, result.newHash || null, result.error || null,
+          startedAt
+        );
+      }
+      return runId;
+    });
+
+    return record();
+  }
+
+  /**
+   * List change detection runs, newest first
+   * @param {Object} options - { source, since (ms), limit }
+   */
+  getCheckRuns({ source = null, since = null, limit = 20 } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    let query = 'SELECT * FROM check_runs WHERE 1=1';
+    const params = [];
+
+    if (source) {
+      query += ' AND source = ?';
+      params.push(source);
+    }
+    if (since) {
+      query += ' AND started_at >= ?';
+      params.push(since);
+    }
+
+    query += ' ORDER BY started_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params).map(row => ({
+      id: row.id,
+      source: row.source,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      totalChecked: row.total_checked,
+      changed: row.changed,
+      unchanged: row.unchanged,
+      errors: row.errors,
+      new: row.new,
+      gone: row.gone,
+    }));
+  }
+
+  /**
+   * Page checks and their outcomes per source since a time
+   * @returns {Array<Object>} [{ source, runs, checks, changed, unchanged, errors, new,
+   *   gone, pagesChanged, lastRunAt }], busiest sources first
+   */
+  getChangeFrequency({ since = 0, source = null } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT
+        source,
+        COUNT(*) as runs,
+        SUM(total_checked) as checks,
+        SUM(changed) as changed,
+        SUM(unchanged) as unchanged,
+        SUM(errors) as errors,
+        SUM(new) as new,
+        SUM(gone) as gone,
+        MAX(finished_at) as last_run_at,
+        (
+          SELECT COUNT(DISTINCT url) FROM check_results
+          WHERE check_results.source = check_runs.source AND status = 'changed' AND checked_at >= ?
+        ) as pages_changed
+      FROM check_runs
+      WHERE started_at >= ? ${source ? 'AND source = ?' : ''}
+      GROUP BY source
+      ORDER BY changed DESC, source ASC
+    `);
+
+    return stmt.all(since, since, ...(source ? [source] : [])).map(row => ({
+      source: row.source,
+      runs: row.runs,
+      checks: row.checks,
+      changed: row.changed,
+      unchanged: row.unchanged,
+      errors: row.errors,
+      new: row.new,
+      gone: row.gone,
+      pagesChanged: row.pages_changed,
+      lastRunAt: row.last_run_at,
+    }));
+  }
+
+  /**
+   * Pages found changed most often since a time
+   * @returns {Array<Object>} [{ url, source, changes, checks, lastChangedAt }]
+   */
+  getFrequentlyChangedPages({ since = 0, source = null, limit = 10 } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT
+        url,
+        source,
+        SUM(status = 'changed') as changes,
+        COUNT(*) as checks,
+        MAX(CASE WHEN status = 'changed' THEN checked_at END) as last_changed_at
+      FROM check_results
+      WHERE checked_at >= ? ${source ? 'AND source = ?' : ''}
+      GROUP BY url
+      HAVING changes > 0
+      ORDER BY changes DESC, last_changed_at DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(since, ...(source ? [source] : []), limit).map(row => ({
+      url: row.url,
+      source: row.source,
+      changes: row.changes,
+      checks: row.checks,
+      lastChangedAt: row.last_changed_at,
+    }));
+  }
+
+  /**
+   * Pages whose checks failed repeatedly since a time
+   * @returns {Array<Object>} [{ url, source, errors, firstSeenAt, lastSeenAt, lastError }]
+   */
+  getRecurringErrors({ since = 0, source = null, minCount = 2, limit = 20 } = {}) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT
+        url,
+        source,
+        COUNT(*) as errors,
+        MIN(checked_at) as first_seen_at,
+        MAX(checked_at) as last_seen_at,
+        (
+          SELECT error FROM check_results latest
+          WHERE latest.url = check_results.url AND latest.status = 'error'
+          ORDER BY latest.checked_at DESC, latest.rowid DESC LIMIT 1
+        ) as last_error
+      FROM check_results
+      WHERE status = 'error' AND checked_at >= ? ${source ? 'AND source = ?' : ''}
+      GROUP BY url
+      HAVING errors >= ?
+      ORDER BY errors DESC, last_seen_at DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(since, ...(source ? [source] : []), minCount, limit).map(row => ({
+      url: row.url,
+      source: row.source,
+      errors: row.errors,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at,
+      lastError: row.last_error,
+    }));
+  }
+
+  /**
+   * Delete change detection history older than a time
+   * @param {number} before - Cutoff in milliseconds
+   * @returns {number} Number of runs deleted
+   */
+  pruneCheckHistory(before) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const prune = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM check_results WHERE run_id IN (SELECT id FROM check_runs WHERE started_at < ?)').run(before);
+      return this.db.prepare('DELETE FROM check_runs WHERE started_at < ?').run(before).changes;
+    });
+    return prune();
+  }
+
+  /**
+   * A page's check counts from the history
+   * @returns {Object} { checks, changes, firstCheckedAt, lastCheckedAt }
+   */
+  getUrlCheckHistory(url) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const row = this.db.prepare(`
+      SELECT
+        COUNT(*) as checks,
+        COALESCE(SUM(status = 'changed'), 0) as changes,
+        MIN(checked_at) as first_checked_at,
+        MAX(checked_at) as last_checked_at
+      FROM check_results WHERE url = ?
+    `).get(url);
+
+    return {
+      checks: row.checks,
+      changes: row.changes,
+      firstCheckedAt: row.first_checked_at,
+      lastCheckedAt: row.last_checked_at,
+    };
+  }
+
+  /**
+   * Pages due for an adaptive recheck: never scheduled first, then the most overdue
+   * @param {Object} options - { sources: source IDs, now (ms), limit }
+   * @returns {Array<{url: string, source: string, nextCheckAt: number|null}>}
+   */
+  getDuePages({ sources, now = Date.now(), limit = null }) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    let query = `
+      SELECT pages.url, pages.source, check_schedule.next_check_at
+      FROM pages LEFT JOIN check_schedule ON check_schedule.url = pages.url
+      WHERE pages.source IN (${sources.map(() => '?').join(', ')})
+        AND (check_schedule.next_check_at IS NULL OR check_schedule.next_check_at <= ?)
+      ORDER BY COALESCE(check_schedule.next_check_at, 0) ASC, pages.url ASC
+    `;
+    const params = [...sources, now];
+
+    if (limit) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.db.prepare(query).all(...params).map(row => ({
+      url: row.url,
+      source: row.source,
+      nextCheckAt: row.next_check_at,
+    }));
+  }
+
+  /**
+   * Get a page's recheck schedule
+   * @returns {Object|null} { url, source, interval, nextCheckAt, lastChangedAt } (ms)
+   */
+  getCheckSchedule(url) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const row = this.db.prepare('SELECT * FROM check_schedule WHERE url = ?').get(url);
+    return row ? {
+      url: row.url,
+      source: row.source,
+      interval: row.interval_ms,
+      nextCheckAt: row.next_check_at,
+      lastChangedAt: row.last_changed_at,
+    } : null;
+  }
+
+  /**
+   * Save recheck schedules
+   * @param {Array<Object>} entries - [{ url, source, interval, nextCheckAt, lastChangedAt }] (ms)
+   */
+  setCheckSchedules(entries) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const upsert = this.db.prepare(`
+      INSERT INTO check_schedule (url, source, interval_ms, next_check_at, last_changed_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(url) DO UPDATE SET
+        source = excluded.source,
+        interval_ms = excluded.interval_ms,
+        next_check_at = excluded.next_check_at,
+        last_changed_at = excluded.last_changed_at,
+        updated_at = excluded.updated_at
+    `);
+
+    const upsertMany = this.db.transaction((entries) => {
+      const now = Date.now();
+      for (const { url, source, interval, nextCheckAt, lastChangedAt } of entries) {
+        upsert.run(url, source || null, Math.round(interval), Math.round(nextCheckAt), lastChangedAt || null, now);
+      }
+    });
+
+    upsertMany(entries);
+  }
+
+  /**
+   * Recheck schedule per source
+   * @param {Object} options - { now (ms), defaultInterval: interval assumed for
+   *   unscheduled pages (ms) }
+   * @returns {Array<Object>} [{ source, pages, scheduled, due, minInterval,
+   *   maxInterval, checksPerDay }], intervals in ms
+   */
+  getScheduleStats({ now = Date.now(), defaultInterval }) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT
+        pages.source as source,
+        COUNT(*) as pages,
+        COUNT(check_schedule.url) as scheduled,
+        SUM(check_schedule.next_check_at IS NULL OR check_schedule.next_check_at <= ?) as due,
+        MIN(check_schedule.interval_ms) as min_interval,
+        MAX(check_schedule.interval_ms) as max_interval,
+        SUM(86400000.0 / COALESCE(check_schedule.interval_ms, ?)) as checks_per_day
+      FROM pages LEFT JOIN check_schedule ON check_schedule.url = pages.url
+      WHERE pages.source IS NOT NULL
+      GROUP BY pages.source
+      ORDER BY pages.source
+    `);
+
+    return stmt.all(now, defaultInterval).map(row => ({
+      source: row.source,
+      pages: row.pages,
+      scheduled: row.scheduled,
+      due: row.due,
+      minInterval: row.min_interval,
+      maxInterval: row.max_interval,
+      checksPerDay: row.checks_per_day,
+    }));
+  }
+
+  /**
+   * Get a scheduled job's state
+   * @returns {Object|null} { name, task, schedule, enabled, nextRunAt, lastRunAt,
+   *   lastStatus, lastDurationMs, lastResult, lastError } (times in ms)
+   */
+  getJob(name) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const row = this.db.prepare('SELECT * FROM jobs WHERE name = ?').get(name);
+    return row ? {
+      name: row.name,
+      task: row.task,
+      schedule: row.schedule,
+      enabled: Boolean(row.enabled),
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastDurationMs: row.last_duration_ms,
+      lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+      lastError: row.last_error,
+    } : null;
+  }
+
+  /**
+   * Save a scheduled job's definition and next run (its last run is kept)
+   * @param {Object} job - { name, task, schedule, enabled, nextRunAt (ms) }
+   */
+  saveJob({ name, task, schedule, enabled = true, nextRunAt }) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      INSERT INTO jobs (name, task, schedule, enabled, next_run_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        task = excluded.task,
+        schedule = excluded.schedule,
+        enabled = excluded.enabled,
+        next_run_at = excluded.next_run_at,
+        updated_at = excluded.updated_at
+    `);
+    stmt.run(name, task, schedule, enabled ? 1 : 0, nextRunAt ?? null, Date.now());
+  }
+
+  /**
+   * Record a job run as the job's last run and in its run log, keeping the
+   * newest `keep` runs per job
+   * @param {string} name - Job name
+   * @param {Object} run - { trigger: 'schedule' | 'manual', status: 'success' |
+   *   'failed' | 'skipped', startedAt, finishedAt (ms), result, error }
+   * @returns {number} Run ID
+   */
+  recordJobRun(name, { trigger, status, startedAt, finishedAt, result = null, error = null }, keep = 100) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const resultJson = result === null ? null : JSON.stringify(result);
+    const record = this.db.transaction(() => {
+      const { lastInsertRowid } = this.db.prepare(`
+        INSERT INTO job_runs (job, trigger, status, started_at, finished_at, result, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(name, trigger, status, startedAt, finishedAt, resultJson, error);
+
+      this.db.prepare(`
+        UPDATE jobs
+        SET last_run_at = ?, last_status = ?, last_duration_ms = ?, last_result = ?, last_error = ?, updated_at = ?
+        WHERE name = ?
+      `).run(startedAt, status, finishedAt - startedAt, resultJson, error, Date.now(), name);
+
+      this.db.prepare(`
+        DELETE FROM job_runs WHERE job = ? AND id NOT IN (
+          SELECT id FROM job_runs WHERE job = ? ORDER BY started_at DESC, id DESC LIMIT ?
+        )
+      `).run(name, name, keep);
+
+      return Number(lastInsertRowid);
+    });
+
+    return record();
+  }
+
+  /**
+   * Set when a job runs next
+   */
+  setJobNextRun(name, nextRunAt) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    this.db.prepare('UPDATE jobs SET next_run_at = ?, updated_at = ? WHERE name = ?').run(nextRunAt, Date.now(), name);
+  }
+
+  /**
+   * A job's run log, newest first
+   */
+  getJobRuns(name, limit = 20) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const stmt = this.db.prepare(`
+      SELECT * FROM job_runs WHERE job = ?
+      ORDER BY started_at DESC, id DESC LIMIT ?
+    `);
+    return stmt.all(name, limit).map(row => ({
+      id: row.id,
+      job: row.job,
+      trigger: row.trigger,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+    }));
+  }
+
+  /**
+   * Reclaim free space and refresh the query planner statistics
+   * @returns {Object} { sizeBefore, sizeAfter } in bytes
+   */
+  vacuum() {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const size = () => this.db.pragma('page_count', { simple: true }) * this.db.pragma('page_size', { simple: true });
+    const sizeBefore = size();
+    this.db.exec('VACUUM');
+    this.db.exec('ANALYZE');
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    return { sizeBefore, sizeAfter: size() };
+  }
+
   /**
    * Acquire lock for concurrent indexing
+   * @param {Array<string>} conflictingLocks - Other locks that also block this one while held
    */
-  acquireLock(lockName, timeoutSeconds = 300) {
+  acquireLock(lockName, timeoutSeconds = 300, conflictingLocks = []) {
     if (!this.initialized) throw new Error('Cache not initialized');
     
     // Create locks table if not exists
@@ -560,6 +1568,18 @@ export class CacheService {
     const acquireLockTransaction = this.db.transaction(() => {
       // Check for existing lock
       const checkStmt = this.db.prepare('SELECT * FROM locks WHERE name = ?');
+
+      for (const name of conflictingLocks) {
+        const conflict = checkStmt.get(name);
+        if (conflict && conflict.expires_at >= now) {
+          return {
+            acquired: false,
+            message: `Lock ${name} held by another process`,
+            expiresIn: conflict.expires_at - now
+          };
+        }
+      }
+
       const existingLock = checkStmt.get(lockName);
       
       if (existingLock) {
@@ -607,6 +1627,19 @@ export class CacheService {
     return result.changes > 0;
   }
 
+  /**
+   * Check whether a lock is held by anyone and not yet expired
+   */
+  isLocked(lockName) {
+    if (!this.initialized) throw new Error('Cache not initialized');
+
+    const table = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'locks'").get();
+    if (!table) return false;
+
+    const now = Math.floor(Date.now() / 1000);
+    return Boolean(this.db.prepare('SELECT 1 FROM locks WHERE name = ? AND expires_at >= ?').get(lockName, now));
+  }
+
   /**
    * Clean up expired locks
    */
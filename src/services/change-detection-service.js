@@ -1,16 +1,52 @@
-import axios from 'axios';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { CacheService } from './cache-service.js';
+import { FetchService } from './fetch-service.js';
+import { LocalSourceService } from './local-source-service.js';
+import { SourceRegistry } from './source-registry.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How a page's recheck interval responds to a check: shortened when the page
+// changed, stretched when it didn't
+const CHANGED_FACTOR = 0.5;
+const UNCHANGED_FACTOR = 1.5;
 
 /**
  * Change Detection Service
  * Monitors documentation sources for updates and triggers re-indexing
+ *
+ * Emits a 'change' event with the check result whenever a cached page is
+ * found to have changed upstream. Pages answering 404/410 (or local files
+ * that were deleted) are tombstoned in the page cache and reported as 'gone';
+ * indexing purges them once their grace period is over.
+ *
+ * Every source check is recorded in the page cache's check history (kept for
+ * CHECK_HISTORY_DAYS), which getTrends() summarizes.
+ *
+ * Each check also updates the page's recheck schedule, which adapts to how
+ * often the page changes. checkDuePages() checks only the pages that are due,
+ * within a request budget.
  */
-export class ChangeDetectionService {
-  constructor(cacheService = null) {
+export class ChangeDetectionService extends EventEmitter {
+  constructor(cacheService = null, fetchService = null) {
+    super();
     this.cacheService = cacheService || new CacheService();
+    this.fetchService = fetchService || FetchService.shared();
+    this.registry = new SourceRegistry();
+    this.localSources = new LocalSourceService();
     this.checkInterval = null;
     this.isRunning = false;
+    this.historyDays = parseInt(process.env.CHECK_HISTORY_DAYS) || 180;
+    this.recheck = {
+      minInterval: (parseFloat(process.env.RECHECK_MIN_HOURS) || 1) * HOUR,
+      maxInterval: (parseFloat(process.env.RECHECK_MAX_DAYS) || 30) * DAY,
+      defaultInterval: (parseFloat(process.env.RECHECK_DEFAULT_HOURS) || 24) * HOUR,
+      budget: parseInt(process.env.RECHECK_BUDGET) || 500,
+    };
+    // HTTP requests sent by checks, so checkDuePages can keep to its budget
+    this.requestsSent = 0;
   }
 
   async initialize() {
@@ -37,12 +73,22 @@ export class ChangeDetectionService {
       };
     }
 
+    const source = cachedPage.source ? this.registry.get(cachedPage.source) : null;
+    if (source?.type === 'local') {
+      return this.checkLocalPage(source, url, cachedPage);
+    }
+
     try {
       // Make HEAD request first (faster)
-      const headResponse = await axios.head(url, {
+      this.requestsSent++;
+      const headResponse = await this.fetchService.head(url, {
         timeout: 10000,
         validateStatus: (status) => status < 500,
       });
+      if (this.isGone(headResponse.status)) {
+        return this.markGone(url, `http-${headResponse.status}`);
+      }
+      this.restoreIfBack(cachedPage);
 
       // Check ETag
       if (cachedPage.etag && headResponse.headers.etag) {
@@ -72,12 +118,18 @@ export class ChangeDetectionService {
       }
 
       // If HEAD doesn't provide enough info, do a full GET with content hash
-      const getResponse = await axios.get(url, {
+      this.requestsSent++;
+      const getResponse = await this.fetchService.get(url, {
         timeout: 15000,
+        // Raw bytes, hashed the same way as when the page was indexed (PDFs included)
+        responseType: 'arraybuffer',
         validateStatus: (status) => status < 500,
       });
+      if (this.isGone(getResponse.status)) {
+        return this.markGone(url, `http-${getResponse.status}`);
+      }
 
-      const contentHash = this.calculateHash(getResponse.data);
+      const contentHash = this.calculateHash(Buffer.from(getResponse.data));
       
       if (cachedPage.contentHash === contentHash) {
         return {
@@ -88,17 +140,21 @@ export class ChangeDetectionService {
         };
       }
 
-      return {
+      const result = {
         url,
         status: 'changed',
         changed: true,
         reason: 'Content modified',
+        method: 'content-hash',
         oldHash: cachedPage.contentHash,
         newHash: contentHash,
         etag: getResponse.headers.etag,
         lastModified: getResponse.headers['last-modified'],
       };
 
+      this.emit('change', result);
+      return result;
+
     } catch (error) {
       return {
         url,
@@ -109,6 +165,78 @@ export class ChangeDetectionService {
     }
   }
 
+  /**
+   * Check a page from a local source by git commit (or content hash outside git)
+   */
+  async checkLocalPage(source, url, cachedPage) {
+    try {
+      const check = await this.localSources.checkForChanges(source, cachedPage);
+      if (!check.changed) {
+        return {
+          url,
+          status: 'unchanged',
+          changed: false,
+          method: check.method,
+        };
+      }
+
+      const result = {
+        url,
+        status: 'changed',
+        changed: true,
+        reason: check.method === 'git-commit' ? 'New commit' : 'Content modified',
+        method: check.method,
+        oldHash: check.method === 'git-commit' ? cachedPage.etag : cachedPage.contentHash,
+        newHash: check.method === 'git-commit' ? check.version : check.contentHash,
+        etag: check.version,
+      };
+
+      this.emit('change', result);
+      return result;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.markGone(url, 'missing');
+      }
+      return {
+        url,
+        status: 'error',
+        changed: null,
+        error: error.message,
+      };
+    }
+  }
+
+  isGone(status) {
+    return status === 404 || status === 410;
+  }
+
+  /**
+   * Tombstone a page that is gone upstream
+   * @returns {Object} Change detection result with status 'gone'
+   */
+  markGone(url, reason) {
+    const newlyTombstoned = this.cacheService.tombstone(url, reason);
+    const page = this.cacheService.get(url);
+
+    return {
+      url,
+      status: 'gone',
+      changed: true,
+      reason: reason === 'missing' ? 'File deleted' : `HTTP ${reason.slice(5)}`,
+      newlyTombstoned,
+      tombstonedAt: page?.tombstonedAt ? new Date(page.tombstonedAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * Lift a 404/410 tombstone once the page answers again
+   */
+  restoreIfBack(cachedPage) {
+    if (cachedPage.tombstoneReason?.startsWith('http-')) {
+      this.cacheService.restoreTombstone(cachedPage.url);
+    }
+  }
+
   /**
    * Check all cached pages for a specific source
    * @param {string} source - Source ID (e.g., 'k3s', 'rancher')
@@ -117,6 +245,7 @@ export class ChangeDetectionService {
    */
   async checkSourceForChanges(source, options = {}) {
     await this.initialize();
+    const startedAt = Date.now();
 
     const {
       limit = null,
@@ -141,14 +270,7 @@ export class ChangeDetectionService {
 
     console.log(`🔍 Checking ${pages.length} pages from ${source} for changes...`);
 
-    const results = {
-      source,
-      totalChecked: pages.length,
-      changed: [],
-      unchanged: [],
-      errors: [],
-      new: [],
-    };
+    const results = emptyResults(source, pages.length);
 
     // Process in batches for parallel checking
     const batches = [];
@@ -164,16 +286,7 @@ export class ChangeDetectionService {
 
       for (const result of batchResults) {
         processed++;
-        
-        if (result.status === 'changed') {
-          results.changed.push(result);
-        } else if (result.status === 'unchanged') {
-          results.unchanged.push(result);
-        } else if (result.status === 'error') {
-          results.errors.push(result);
-        } else if (result.status === 'new') {
-          results.new.push(result);
-        }
+        addResult(results, result);
 
         if (onProgress) {
           onProgress(processed, pages.length, result);
@@ -190,9 +303,143 @@ export class ChangeDetectionService {
       this.cacheService.set(page.url, { ...page, lastChecked: now });
     });
 
+    results.runId = this.recordRun(source, startedAt, now, flattenResults(results));
+    this.updateSchedules(source, flattenResults(results), now);
+
     return results;
   }
 
+  /**
+   * Check only the pages whose recheck is due (see updateSchedules), never
+   * scheduled and most overdue first, until the request budget is spent
+   * @param {Array<string>} sources - Source IDs
+   * @param {Object} options - { budget: HTTP requests to spend (default:
+   *   RECHECK_BUDGET), parallel, onProgress }
+   * @returns {Promise<Object>} Same shape as checkAllSources, plus
+   *   schedule: { due, checked, requests, budget }
+   */
+  async checkDuePages(sources, options = {}) {
+    await this.initialize();
+
+    const {
+      budget = this.recheck.budget,
+      parallel = 5,
+      onProgress = null,
+    } = options;
+
+    const startedAt = Date.now();
+    const due = this.cacheService.getDuePages({ sources, now: startedAt });
+    console.log(`🔍 ${due.length} pages due for a recheck (budget: ${budget} requests)...`);
+
+    const allResults = {
+      timestamp: new Date(startedAt).toISOString(),
+      sources: Object.fromEntries(sources.map(source => [source, emptyResults(source, 0)])),
+      summary: {
+        totalChanged: 0,
+        totalUnchanged: 0,
+        totalErrors: 0,
+        totalNew: 0,
+        totalGone: 0,
+      },
+      schedule: { due: due.length, checked: 0, requests: 0, budget },
+    };
+
+    const requestsAtStart = this.requestsSent;
+    const checked = [];
+    while (checked.length < due.length) {
+      // A check costs a HEAD request and possibly a GET
+      const remaining = budget - (this.requestsSent - requestsAtStart);
+      const batch = due.slice(checked.length, checked.length + Math.min(parallel, Math.floor(remaining / 2)));
+      if (batch.length === 0) break;
+
+      const batchResults = await Promise.all(batch.map(page => this.checkUrlForChanges(page.url)));
+      batchResults.forEach((result, i) => {
+        checked.push(batch[i]);
+        const results = allResults.sources[batch[i].source];
+        results.totalChecked++;
+        addResult(results, result);
+
+        if (onProgress) {
+          onProgress(checked.length, due.length, result);
+        }
+      });
+
+      // Small delay between batches to avoid overwhelming the server
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const now = Date.now();
+    for (const page of checked) {
+      this.cacheService.set(page.url, { ...this.cacheService.get(page.url), lastChecked: now });
+    }
+
+    for (const [source, results] of Object.entries(allResults.sources)) {
+      if (results.totalChecked > 0) {
+        results.runId = this.recordRun(source, startedAt, now, flattenResults(results));
+        this.updateSchedules(source, flattenResults(results), now);
+      }
+      allResults.summary.totalChanged += results.changed.length;
+      allResults.summary.totalUnchanged += results.unchanged.length;
+      allResults.summary.totalErrors += results.errors.length;
+      allResults.summary.totalNew += results.new.length;
+      allResults.summary.totalGone += results.gone.length;
+    }
+
+    allResults.schedule.checked = checked.length;
+    allResults.schedule.requests = this.requestsSent - requestsAtStart;
+    return allResults;
+  }
+
+  /**
+   * Set each checked page's next check from its result. A change shortens the
+   * page's recheck interval, no change stretches it (within RECHECK_MIN_HOURS
+   * and RECHECK_MAX_DAYS); errors and removals leave it as it is. A page
+   * without a schedule gets an interval from its check history.
+   */
+  updateSchedules(source, results, now = Date.now()) {
+    const { minInterval, maxInterval } = this.recheck;
+
+    const entries = results.map(result => {
+      const current = this.cacheService.getCheckSchedule(result.url);
+      let interval;
+      if (!current) {
+        interval = this.initialInterval(result.url);
+      } else if (result.status === 'changed') {
+        interval = current.interval * CHANGED_FACTOR;
+      } else if (result.status === 'unchanged') {
+        interval = current.interval * UNCHANGED_FACTOR;
+      } else {
+        interval = current.interval;
+      }
+      interval = Math.min(maxInterval, Math.max(minInterval, interval));
+
+      return {
+        url: result.url,
+        source,
+        interval,
+        nextCheckAt: now + interval,
+        lastChangedAt: result.status === 'changed' ? now : current?.lastChangedAt,
+      };
+    });
+
+    this.cacheService.setCheckSchedules(entries);
+  }
+
+  /**
+   * Recheck interval for a page from its check history: the average time
+   * between the changes found, or (if none were) the time it has been
+   * watched without changing, but at least RECHECK_DEFAULT_HOURS
+   */
+  initialInterval(url) {
+    const { checks, changes, firstCheckedAt, lastCheckedAt } = this.cacheService.getUrlCheckHistory(url);
+    const watched = checks > 1 ? lastCheckedAt - firstCheckedAt : 0;
+
+    if (changes > 0 && watched > 0) {
+      return watched / changes;
+    }
+    return Math.max(this.recheck.defaultInterval, watched);
+  }
+
   /**
    * Check all sources for changes
    * @param {Array<string>} sources - Array of source IDs to check
@@ -208,6 +455,7 @@ export class ChangeDetectionService {
         totalUnchanged: 0,
         totalErrors: 0,
         totalNew: 0,
+        totalGone: 0,
       },
     };
 
@@ -220,6 +468,7 @@ export class ChangeDetectionService {
       allResults.summary.totalUnchanged += result.unchanged.length;
       allResults.summary.totalErrors += result.errors.length;
       allResults.summary.totalNew += result.new.length;
+      allResults.summary.totalGone += result.gone.length;
     }
 
     return allResults;
@@ -232,9 +481,13 @@ export class ChangeDetectionService {
   async startAutoDetection(options = {}) {
     const {
       intervalHours = 24,
-      sources = ['k3s', 'rancher', 'rke2', 'suse', 'longhorn', 'harvester', 'neuvector', 'kubewarden'],
+      sources = new SourceRegistry().getIds(),
       onChangesDetected = null,
       checkOptions = {},
+      reindexService = null,
+      digestService = null,
+      adaptive = false,
+      budget = this.recheck.budget,
     } = options;
 
     if (this.isRunning) {
@@ -243,14 +496,18 @@ export class ChangeDetectionService {
     }
 
     this.isRunning = true;
-    console.log(`🔄 Starting auto-detection (checking every ${intervalHours} hours)`);
+    console.log(adaptive
+      ? `🔄 Starting auto-detection (checking due pages every ${intervalHours} hours, up to ${budget} requests)`
+      : `🔄 Starting auto-detection (checking every ${intervalHours} hours)`);
+
+    const cycleOptions = adaptive ? { ...checkOptions, adaptive, budget } : checkOptions;
 
     // Run initial check
-    await this.runAutoCheck(sources, checkOptions, onChangesDetected);
+    await this.runAutoCheck(sources, cycleOptions, onChangesDetected, reindexService, digestService);
 
     // Set up interval
     this.checkInterval = setInterval(async () => {
-      await this.runAutoCheck(sources, checkOptions, onChangesDetected);
+      await this.runAutoCheck(sources, cycleOptions, onChangesDetected, reindexService, digestService);
     }, intervalHours * 60 * 60 * 1000);
   }
 
@@ -267,18 +524,56 @@ export class ChangeDetectionService {
   }
 
   /**
-   * Internal method to run a check cycle
+   * Internal method to run a check cycle. With a ReindexService, changed and
+   * new pages are re-indexed before the results are saved, so the history
+   * records what was refreshed; with a DigestService as well, the re-indexed
+   * pages are summarized in a "what changed" digest. With
+   * checkOptions.adaptive, only the pages that are due are checked.
    */
-  async runAutoCheck(sources, checkOptions, onChangesDetected) {
+  async runAutoCheck(sources, checkOptions, onChangesDetected, reindexService = null, digestService = null) {
     try {
       console.log(`\n🔍 Running scheduled change detection at ${new Date().toISOString()}`);
-      const results = await this.checkAllSources(sources, checkOptions);
+      const results = checkOptions.adaptive
+        ? await this.checkDuePages(sources, checkOptions)
+        : await this.checkAllSources(sources, checkOptions);
 
       console.log('\n📊 Change Detection Summary:');
+      if (results.schedule) {
+        console.log(`   📅 Checked ${results.schedule.checked} of ${results.schedule.due} due pages ` +
+          `(${results.schedule.requests}/${results.schedule.budget} requests)`);
+      }
       console.log(`   ✓ Unchanged: ${results.summary.totalUnchanged}`);
       console.log(`   🔄 Changed: ${results.summary.totalChanged}`);
       console.log(`   ❌ Errors: ${results.summary.totalErrors}`);
       console.log(`   ➕ New: ${results.summary.totalNew}`);
+      console.log(`   🪦 Gone: ${results.summary.totalGone}`);
+
+      if (reindexService) {
+        try {
+          const reindex = await reindexService.run(results);
+          results.reindex = reindex;
+          console.log(`\n🔁 Re-indexed: ${reindex.reindexed.length}, gone: ${reindex.gone.length}, ` +
+            `failed: ${reindex.failed.length}, retrying: ${reindex.retrying.length}, purged: ${reindex.purged.length}`);
+          if (reindex.locked.length > 0) {
+            console.log(`   ⏭️  Left queued (indexing in progress): ${reindex.locked.join(', ')}`);
+          }
+        } catch (error) {
+          // Keep the check results; queued pages are picked up next cycle
+          results.reindex = { error: error.message };
+          console.error('❌ Re-indexing failed:', error.message);
+        }
+      }
+
+      if (reindexService && digestService && results.reindex?.reindexed?.length > 0) {
+        try {
+          results.digest = await digestService.run(results);
+          console.log(`📰 Digest ${results.digest.id}: ${results.digest.totals.changed} changed, ` +
+            `${results.digest.totals.new} new, ${results.digest.totals.cosmetic} cosmetic only`);
+        } catch (error) {
+          results.digest = { error: error.message };
+          console.error('❌ Digest failed:', error.message);
+        }
+      }
 
       // Save results to file for history
       await this.saveCheckResults(results);
@@ -311,6 +606,16 @@ export class ChangeDetectionService {
     console.log(`💾 Saved results to ${filename}`);
   }
 
+  /**
+   * Record a source's check in the history and drop runs older than CHECK_HISTORY_DAYS
+   * @returns {number} Run ID
+   */
+  recordRun(source, startedAt, finishedAt, results) {
+    const runId = this.cacheService.addCheckRun({ source, startedAt, finishedAt, results });
+    this.cacheService.pruneCheckHistory(finishedAt - this.historyDays * DAY);
+    return runId;
+  }
+
   /**
    * Get URLs that have changed and need re-indexing
    * @param {Object} checkResults - Results from checkAllSources or checkSourceForChanges
@@ -392,6 +697,85 @@ export class ChangeDetectionService {
       stats.staleness[bucket] = (stats.staleness[bucket] || 0) + 1;
     }
 
+    stats.schedule = await this.getScheduleStats();
+
     return stats;
   }
+
+  /**
+   * Adaptive recheck schedule per source: pages due now, the range of
+   * intervals learned, and the checks per day the schedule amounts to
+   * @returns {Promise<Array<Object>>} [{ source, pages, scheduled, due,
+   *   minIntervalHours, maxIntervalHours, checksPerDay }]
+   */
+  async getScheduleStats() {
+    await this.initialize();
+
+    const hours = (ms) => (ms ? Number((ms / HOUR).toFixed(1)) : null);
+    return this.cacheService.getScheduleStats({ defaultInterval: this.recheck.defaultInterval }).map(row => ({
+      source: row.source,
+      pages: row.pages,
+      scheduled: row.scheduled,
+      due: row.due,
+      minIntervalHours: hours(row.minInterval),
+      maxIntervalHours: hours(row.maxInterval),
+      checksPerDay: Number(row.checksPerDay.toFixed(1)),
+    }));
+  }
+
+  /**
+   * Summarize the check history: how often each source's pages change, the
+   * pages that change most often and pages whose checks keep failing
+   * @param {Object} options - { days: period to look back (default: 30),
+   *   source: only this source, limit: entries per page list (default: 10) }
+   * @returns {Promise<Object>} { since, days, sources, pages, errors }
+   */
+  async getTrends({ days = 30, source = null, limit = 10 } = {}) {
+    await this.initialize();
+
+    const since = Date.now() - days * DAY;
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    const sources = this.cacheService.getChangeFrequency({ since, source }).map(row => ({
+      ...row,
+      // Share of page checks that found a change
+      changeRate: row.checks > 0 ? Number((row.changed / row.checks).toFixed(4)) : 0,
+      changesPerWeek: Number((row.changed / days * 7).toFixed(1)),
+      lastRunAt: iso(row.lastRunAt),
+    }));
+
+    const pages = this.cacheService.getFrequentlyChangedPages({ since, source, limit }).map(page => ({
+      ...page,
+      lastChangedAt: iso(page.lastChangedAt),
+    }));
+
+    const errors = this.cacheService.getRecurringErrors({ since, source, limit }).map(error => ({
+      ...error,
+      firstSeenAt: iso(error.firstSeenAt),
+      lastSeenAt: iso(error.lastSeenAt),
+    }));
+
+    return { since: iso(since), days, sources, pages, errors };
+  }
+}
+
+function emptyResults(source, totalChecked) {
+  return {
+    source,
+    totalChecked,
+    changed: [],
+    unchanged: [],
+    errors: [],
+    new: [],
+    gone: [],
+  };
+}
+
+function addResult(results, result) {
+  const list = { changed: 'changed', unchanged: 'unchanged', error: 'errors', new: 'new', gone: 'gone' }[result.status];
+  results[list].push(result);
+}
+
+function flattenResults(results) {
+  return [...results.changed, ...results.unchanged, ...results.errors, ...results.new, ...results.gone];
 }
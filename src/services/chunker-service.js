@@ -0,0 +1,264 @@
+/**
+ * Chunker Service
+ * Splits Markdown into embedding-sized chunks along its structure: chunks
+ * never cross a heading, fenced code blocks and tables stay whole, and each
+ * chunk is prefixed with its heading breadcrumb ("Installation > Air-gap")
+ * so it still makes sense out of context.
+ */
+export class ChunkerService {
+  /**
+   * @param {Object} options - { chunkSize, overlap } in characters
+   */
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || parseInt(process.env.CHUNK_SIZE) || 1500;
+    this.overlap = options.overlap ?? (parseInt(process.env.CHUNK_OVERLAP) || 200);
+    // Code blocks and tables beyond this size are split after all, line by line
+    this.maxBlockSize = this.chunkSize * 2;
+  }
+
+  /**
+   * Split Markdown into chunks
+   * @param {string} markdown - Document content
+   * @returns {Array<Object>} [{ text, breadcrumb, anchor }] - `text` includes the breadcrumb prefix
+   */
+  chunk(markdown) {
+    const chunks = [];
+    const slugCounts = new Map();
+
+    for (const section of this.splitSections(markdown, slugCounts)) {
+      const prefix = section.breadcrumb ? `${section.breadcrumb}\n\n` : '';
+      for (const body of this.packBlocks(section.blocks)) {
+        chunks.push({ text: prefix + body, breadcrumb: section.breadcrumb, anchor: section.anchor });
+      }
+    }
+
+    if (chunks.length === 0 && markdown.trim()) {
+      chunks.push({ text: markdown.trim(), breadcrumb: '', anchor: null });
+    }
+    return chunks;
+  }
+
+  /**
+   * Group blocks into sections, one per heading. The heading itself lives in
+   * the breadcrumb, so headings with no content of their own add no chunk.
+   */
+  splitSections(markdown, slugCounts) {
+    const sections = [];
+    const stack = []; // [{ level, title }]
+    let current = { breadcrumb: '', anchor: null, blocks: [] };
+
+    for (const block of this.parseBlocks(markdown)) {
+      if (block.type !== 'heading') {
+        current.blocks.push(block);
+        continue;
+      }
+
+      if (current.blocks.length > 0) {
+        sections.push(current);
+      }
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= block.level) {
+        stack.pop();
+      }
+      stack.push({ level: block.level, title: block.title });
+
+      current = {
+        breadcrumb: stack.map((entry) => entry.title).join(' > '),
+        anchor: block.id || this.uniqueSlug(block.title, slugCounts),
+        blocks: [],
+      };
+    }
+
+    if (current.blocks.length > 0) {
+      sections.push(current);
+    }
+    return sections;
+  }
+
+  /**
+   * Tokenise Markdown into headings, fenced code blocks, tables and paragraphs
+   */
+  parseBlocks(markdown) {
+    const blocks = [];
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: 'text', text: paragraph.join('\n') });
+        paragraph = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const fence = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fence) {
+        flushParagraph();
+        const code = [line];
+        while (++i < lines.length) {
+          code.push(lines[i]);
+          if (lines[i].trim().startsWith(fence[1])) break;
+        }
+        blocks.push({ type: 'code', text: code.join('\n'), fence: line, close: fence[1] });
+        continue;
+      }
+
+      if (/^\s*\|/.test(line)) {
+        flushParagraph();
+        const table = [line];
+        while (i + 1 < lines.length && /^\s*\|/.test(lines[i + 1])) {
+          table.push(lines[++i]);
+        }
+        blocks.push({ type: 'table', text: table.join('\n') });
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        flushParagraph();
+        // Explicit anchors ("## Title {#custom-id}") win over generated slugs
+        const explicit = heading[2].match(/^(.*?)\s*\{#([\w-]+)\}$/);
+        blocks.push({
+          type: 'heading',
+          level: heading[1].length,
+          title: (explicit ? explicit[1] : heading[2]).replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').trim(),
+          id: explicit ? explicit[2] : null,
+        });
+        continue;
+      }
+
+      if (line.trim() === '') {
+        flushParagraph();
+      } else {
+        paragraph.push(line);
+      }
+    }
+
+    flushParagraph();
+    return blocks;
+  }
+
+  /**
+   * Pack a section's blocks into chunk bodies of at most chunkSize characters,
+   * repeating the tail of each chunk at the start of the next
+   */
+  packBlocks(blocks) {
+    const bodies = [];
+    let current = [];
+    let length = 0;
+    let hasContent = false; // current holds more than the carried overlap
+
+    for (const block of blocks.flatMap((b) => this.splitOversizedBlock(b))) {
+      const size = block.text.length + 2;
+
+      if (hasContent && length + size > this.chunkSize) {
+        bodies.push(current.join('\n\n'));
+        const carried = this.overlapTail(current);
+        // Drop the overlap when it would push this block over the limit
+        current = carried && carried.length + 2 + size <= this.chunkSize ? [carried] : [];
+        length = current.length > 0 ? carried.length + 2 : 0;
+        hasContent = false;
+      }
+
+      current.push(block.text);
+      length += size;
+      hasContent = true;
+    }
+
+    if (hasContent) {
+      bodies.push(current.join('\n\n'));
+    }
+    return bodies;
+  }
+
+  /**
+   * Text carried into the next chunk: the end of the last prose block, cut at
+   * a word boundary. Code and tables are never carried.
+   */
+  overlapTail(texts) {
+    if (this.overlap <= 0 || texts.length === 0) return '';
+
+    const last = texts[texts.length - 1];
+    if (/^\s*(`{3,}|~{3,}|\|)/.test(last)) return '';
+    if (last.length <= this.overlap) return last;
+
+    const tail = last.slice(-this.overlap);
+    const wordStart = tail.search(/\s/);
+    return wordStart === -1 ? tail : tail.slice(wordStart + 1);
+  }
+
+  /**
+   * Code blocks and tables stay whole unless they exceed maxBlockSize; prose
+   * longer than chunkSize is split on sentence boundaries
+   */
+  splitOversizedBlock(block) {
+    if (block.type === 'code' || block.type === 'table') {
+      if (block.text.length <= this.maxBlockSize) return [block];
+
+      // Split by lines, re-opening the fence (and repeating the table header) in each piece
+      const lines = block.text.split('\n');
+      const header = block.type === 'table' ? lines.slice(0, 2) : [block.fence];
+      const body = block.type === 'table' ? lines.slice(2) : lines.slice(1, -1);
+      const footer = block.type === 'code' ? [block.close] : [];
+      const pieces = [];
+      let piece = [];
+      let length = 0;
+
+      for (const line of body) {
+        if (piece.length > 0 && length + line.length > this.chunkSize) {
+          pieces.push({ type: block.type, text: [...header, ...piece, ...footer].join('\n') });
+          piece = [];
+          length = 0;
+        }
+        piece.push(line);
+        length += line.length + 1;
+      }
+      if (piece.length > 0) {
+        pieces.push({ type: block.type, text: [...header, ...piece, ...footer].join('\n') });
+      }
+      return pieces;
+    }
+
+    if (block.text.length <= this.chunkSize) return [block];
+
+    const pieces = [];
+    let piece = '';
+    for (const sentence of block.text.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [block.text]) {
+      if (piece && piece.length + sentence.length > this.chunkSize) {
+        pieces.push({ type: block.type, text: piece.trim() });
+        piece = '';
+      }
+      // A single sentence longer than the limit is cut hard
+      for (let i = 0; i < sentence.length; i += this.chunkSize) {
+        piece += sentence.slice(i, i + this.chunkSize);
+        if (piece.length >= this.chunkSize) {
+          pieces.push({ type: block.type, text: piece.trim() });
+          piece = '';
+        }
+      }
+    }
+    if (piece.trim()) {
+      pieces.push({ type: block.type, text: piece.trim() });
+    }
+    return pieces;
+  }
+
+  /**
+   * GitHub/Docusaurus-style heading slug, with -1, -2... for repeats
+   */
+  uniqueSlug(title, slugCounts) {
+    const base = title
+      .toLowerCase()
+      .replace(/<[^>]*>/g, '')
+      .replace(/[`*_~]/g, '')
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .trim()
+      .replace(/\s/g, '-');
+
+    const count = slugCounts.get(base) || 0;
+    slugCounts.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  }
+}
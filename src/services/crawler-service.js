@@ -0,0 +1,171 @@
+import * as cheerio from 'cheerio';
+import pLimit from 'p-limit';
+import { CacheService } from './cache-service.js';
+
+// Query parameters that only track visits and never change page content
+const TRACKING_PARAMS = [/^utm_/i, /^gclid$/i, /^fbclid$/i, /^mc_(cid|eid)$/i, /^_ga$/i, /^_gl$/i];
+
+// Links to assets that are never documentation pages
+const SKIPPED_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|css|js|json|xml|zip|gz|tgz|tar|exe|dmg|iso|mp4|woff2?|ttf)$/i;
+
+/**
+ * Crawler Service
+ * Breadth-first link crawler for sources without a usable sitemap. The
+ * frontier lives in SQLite so an interrupted crawl resumes where it stopped.
+ */
+export class CrawlerService {
+  /**
+   * @param {Function} fetchPage - async (url) => html
+   * @param {CacheService} cacheService - Holds the crawl frontier
+   */
+  constructor(fetchPage, cacheService = null) {
+    this.fetchPage = fetchPage;
+    this.cacheService = cacheService || new CacheService();
+    this.hostLimits = new Map();
+  }
+
+  async initialize() {
+    if (!this.cacheService.initialized) {
+      await this.cacheService.initialize();
+    }
+  }
+
+  /**
+   * Normalise a link: resolve it, drop the fragment and tracking parameters
+   * @returns {string|null} Normalised absolute URL, or null if not http(s)
+   */
+  normalizeUrl(href, baseUrl) {
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+
+    url.hash = '';
+    for (const key of Array.from(url.searchParams.keys())) {
+      if (TRACKING_PARAMS.some((pattern) => pattern.test(key))) {
+        url.searchParams.delete(key);
+      }
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Check that a URL stays inside the source (same host, under the base path)
+   */
+  isInScope(url, source, registry) {
+    const base = new URL(source.baseUrl);
+    const target = new URL(url);
+
+    if (target.host !== base.host) return false;
+    if (!target.pathname.startsWith(base.pathname.replace(/\/$/, ''))) return false;
+    if (SKIPPED_EXTENSIONS.test(target.pathname)) return false;
+
+    return registry ? registry.matchesUrl(source, url) : true;
+  }
+
+  extractLinks(html, pageUrl, source, registry) {
+    const $ = cheerio.load(html);
+    const links = new Set();
+
+    $('a[href]').each((_, element) => {
+      const url = this.normalizeUrl($(element).attr('href'), pageUrl);
+      if (url && this.isInScope(url, source, registry)) {
+        links.add(url);
+      }
+    });
+
+    return Array.from(links);
+  }
+
+  getHostLimit(url, concurrency) {
+    const host = new URL(url).host;
+    if (!this.hostLimits.has(host)) {
+      this.hostLimits.set(host, pLimit(concurrency));
+    }
+    return this.hostLimits.get(host);
+  }
+
+  /**
+   * Crawl a source breadth-first from its seed pages
+   * @param {Object} source - Source definition from the registry
+   * @param {Object} options - { seeds, maxDepth, maxPages, concurrency, registry }
+   * @returns {Promise<Array<string>>} Crawled page URLs in discovery order
+   */
+  async crawl(source, options = {}) {
+    await this.initialize();
+
+    const {
+      seeds = [`${source.baseUrl}/`],
+      maxDepth = 3,
+      maxPages = 100,
+      concurrency = 2,
+      registry = null,
+    } = options;
+
+    const stats = this.cacheService.getCrawlStats(source.id);
+    if (stats.pending > 0) {
+      console.log(`🕸️  Resuming crawl of ${source.name} (${stats.done} done, ${stats.pending} pending)`);
+    } else {
+      // Previous crawl finished (or none yet): start a fresh one from the seeds
+      this.cacheService.clearCrawlFrontier(source.id);
+      const seedEntries = seeds
+        .map((seed) => this.normalizeUrl(seed, source.baseUrl))
+        .filter(Boolean)
+        .map((url) => ({ url, depth: 0 }));
+      this.cacheService.enqueueCrawlUrls(source.id, seedEntries);
+      console.log(`🕸️  Crawling ${source.name} from ${seedEntries.length} seed page(s) (depth ≤ ${maxDepth}, pages ≤ ${maxPages})`);
+    }
+
+    let done = this.cacheService.getCrawlStats(source.id).done;
+
+    while (done < maxPages) {
+      const batch = this.cacheService.getPendingCrawlUrls(source.id, Math.min(concurrency, maxPages - done));
+      if (batch.length === 0) break;
+
+      const results = await Promise.allSettled(
+        batch.map(({ url, depth }) =>
+          this.getHostLimit(url, concurrency)(() => this.visit(source, url, depth, maxDepth, registry))
+        )
+      );
+
+      results.forEach((result, idx) => {
+        if (result.status === 'fulfilled') {
+          done++;
+        } else {
+          console.warn(`   ✗ Crawl failed for ${batch[idx].url}: ${result.reason?.message || result.reason}`);
+        }
+      });
+    }
+
+    // Crawl complete: drop the leftover frontier so the next run starts fresh
+    this.cacheService.clearCrawlFrontier(source.id, 'pending');
+
+    const urls = this.cacheService.getCrawledUrls(source.id).slice(0, maxPages);
+    console.log(`🕸️  Crawl of ${source.name} found ${urls.length} page(s)`);
+    return urls;
+  }
+
+  async visit(source, url, depth, maxDepth, registry) {
+    let html;
+    try {
+      html = await this.fetchPage(url);
+    } catch (error) {
+      this.cacheService.markCrawlUrl(source.id, url, 'failed');
+      throw error;
+    }
+
+    if (depth < maxDepth) {
+      const links = this.extractLinks(html, url, source, registry);
+      this.cacheService.enqueueCrawlUrls(source.id, links.map((link) => ({ url: link, depth: depth + 1 })));
+    }
+
+    this.cacheService.markCrawlUrl(source.id, url, 'done');
+  }
+}
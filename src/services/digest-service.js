@@ -0,0 +1,388 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { AIService } from './ai-service.js';
+import { CacheService } from './cache-service.js';
+import { PageHistoryService } from './page-history-service.js';
+import { SourceRegistry } from './source-registry.js';
+
+// Lines that belong to page chrome rather than content
+const NOISE_LINES = /^(previous|next|edit this page|edit on github|improve this page|on this page|table of contents|skip to (main )?content|back to top|was this page helpful\??)$|^last updated\b/i;
+const MARKDOWN_LINK = /!?\[[^\]]*\]\([^)]*\)/g;
+
+/**
+ * Digest Service
+ * Builds "what changed" digests from the page versions recorded while
+ * indexing. For every page that gained a version in a time window, the text
+ * at the start and end of the window is diffed (ignoring whitespace and
+ * navigation lines) and the AI service summarizes the meaningful changes.
+ * Digests are saved as JSON plus a Markdown and an HTML report per source.
+ */
+export class DigestService {
+  constructor(cacheService = null, aiService = null) {
+    this.cacheService = cacheService || new CacheService(process.env.PAGE_CACHE_PATH || './data/page-cache.db');
+    this.aiService = aiService || new AIService();
+    this.history = new PageHistoryService(this.cacheService);
+    this.registry = new SourceRegistry();
+    this.digestDir = process.env.DIGEST_DIR || './data/digests';
+    // Longer diffs are cut before they are sent to the model
+    this.maxDiffChars = parseInt(process.env.DIGEST_MAX_DIFF_CHARS) || 8000;
+  }
+
+  async initialize() {
+    if (!this.cacheService.initialized) {
+      await this.cacheService.initialize();
+    }
+  }
+
+  /**
+   * Build a digest of the pages that changed in a time window
+   * @param {Object} options - { since, until: dates or ms (until defaults to now),
+   *   sources: source IDs (default: all), useAI: summarize changes (default: true),
+   *   onProgress(processed, total, page) }
+   * @returns {Promise<Object>} { id, generatedAt, since, until, totals, sources: { [id]: { name, pages } } }
+   */
+  async generate(options = {}) {
+    const { sources = null, useAI = true, onProgress = null } = options;
+    await this.initialize();
+
+    const since = new Date(options.since).getTime();
+    const until = options.until !== undefined && options.until !== null ? new Date(options.until).getTime() : Date.now();
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw new Error('Digest needs a valid since (and until) date');
+    }
+
+    const generatedAt = new Date();
+    const digest = {
+      id: generatedAt.toISOString().replace(/:/g, '-').split('.')[0],
+      generatedAt: generatedAt.toISOString(),
+      since: new Date(since).toISOString(),
+      until: new Date(until).toISOString(),
+      totals: { changed: 0, cosmetic: 0, new: 0, summarized: 0, failed: 0 },
+      sources: {},
+    };
+
+    const pages = this.cacheService.getVersionedPages({ since, until })
+      .filter((page) => !sources || sources.includes(page.source));
+
+    let processed = 0;
+    for (const { url, source } of pages) {
+      const sourceId = source || 'unknown';
+      if (!digest.sources[sourceId]) {
+        digest.sources[sourceId] = { name: this.registry.get(sourceId)?.name || sourceId, pages: [] };
+      }
+
+      const entry = await this.describeChange(url, since, until, useAI);
+      digest.sources[sourceId].pages.push(entry);
+      digest.totals[entry.status]++;
+      if (entry.summary) digest.totals.summarized++;
+      if (entry.error) digest.totals.failed++;
+
+      processed++;
+      if (onProgress) {
+        onProgress(processed, pages.length, entry);
+      }
+    }
+
+    return digest;
+  }
+
+  /**
+   * Compare the version of a page current at `since` with the one current at `until`.
+   * When that version was pruned (PAGE_VERSIONS_KEEP), the oldest kept one is
+   * used instead and the entry is marked baselineTruncated
+   * @returns {Promise<Object>} { url, title, status: 'changed' | 'cosmetic' | 'new',
+   *   fromVersion, toVersion, baselineTruncated, stats, diff, summary, error }
+   */
+  async describeChange(url, since, until, useAI) {
+    let before = this.cacheService.getPageVersion(url, { at: since });
+    let baselineTruncated = false;
+    if (!before) {
+      const [oldest] = this.cacheService.getPageVersions(url);
+      if (oldest?.olderPruned) {
+        before = this.cacheService.getPageVersion(url, { id: oldest.id });
+        baselineTruncated = true;
+      }
+    }
+    const after = this.cacheService.getPageVersion(url, { at: until });
+    const entry = {
+      url,
+      title: after.title || before?.title || url,
+      status: 'new',
+      fromVersion: before?.id ?? null,
+      toVersion: after.id,
+      baselineTruncated,
+      stats: null,
+      diff: null,
+      summary: null,
+      error: null,
+    };
+    if (!before) return entry;
+
+    const { stats, hunks } = this.history.diffText(normalizeForDigest(before.markdown), normalizeForDigest(after.markdown), { context: 2 });
+    entry.stats = stats;
+    if (stats.added === 0 && stats.removed === 0) {
+      entry.status = 'cosmetic';
+      return entry;
+    }
+
+    entry.status = 'changed';
+    entry.diff = hunks.length > this.maxDiffChars
+      ? `${hunks.slice(0, this.maxDiffChars)}\n... (diff truncated)`
+      : hunks;
+
+    if (useAI) {
+      try {
+        const summary = (await this.aiService.summarizeChanges(entry.title, url, entry.diff)).trim();
+        if (/^no meaningful changes\.?$/i.test(summary)) {
+          entry.status = 'cosmetic';
+        } else {
+          entry.summary = summary;
+        }
+      } catch (error) {
+        // The diff still goes into the report
+        entry.error = error.message;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Build and save the digest of a change detection run: the pages that
+   * gained a version since the check started (i.e. were re-indexed)
+   * @param {Object} checkResults - Results from checkAllSources or checkSourceForChanges
+   * @returns {Promise<Object>} { id, totals, files }
+   */
+  async run(checkResults, options = {}) {
+    const digest = await this.generate({
+      since: checkResults.timestamp,
+      sources: checkResults.sources ? Object.keys(checkResults.sources) : [checkResults.source],
+      ...options,
+    });
+    const files = await this.save(digest);
+    return { id: digest.id, totals: digest.totals, files };
+  }
+
+  /**
+   * Write a digest as digest.json plus <source>.md and <source>.html
+   * @returns {Promise<Array<string>>} Paths written
+   */
+  async save(digest) {
+    const dir = path.join(this.digestDir, digest.id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = [path.join(dir, 'digest.json')];
+    await fs.writeFile(files[0], JSON.stringify(digest, null, 2));
+
+    for (const sourceId of Object.keys(digest.sources)) {
+      const markdownPath = path.join(dir, `${sourceId}.md`);
+      const htmlPath = path.join(dir, `${sourceId}.html`);
+      await fs.writeFile(markdownPath, this.renderMarkdown(digest, sourceId));
+      await fs.writeFile(htmlPath, this.renderHtml(digest, sourceId));
+      files.push(markdownPath, htmlPath);
+    }
+    return files;
+  }
+
+  /**
+   * List saved digests, newest first
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.digestDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const digests = [];
+    for (const entry of entries.filter((entry) => entry.isDirectory()).sort((a, b) => b.name.localeCompare(a.name))) {
+      try {
+        const { id, generatedAt, since, until, totals, sources } = await this.load(entry.name);
+        digests.push({ id, generatedAt, since, until, totals, sources: Object.keys(sources) });
+      } catch (error) {
+        // Not a digest directory
+      }
+    }
+    return digests;
+  }
+
+  /**
+   * Load a saved digest
+   * @param {string} id - Digest ID, or 'latest'
+   * @returns {Promise<Object|null>}
+   */
+  async load(id) {
+    if (id === 'latest') {
+      const [latest] = await this.list();
+      return latest ? this.load(latest.id) : null;
+    }
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.digestDir, id, 'digest.json'), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Render a saved digest's report for one source
+   * @param {string} id - Digest ID, or 'latest'
+   * @param {string} sourceId - Source ID
+   * @param {string} format - 'html' or 'markdown'
+   * @returns {Promise<string|null>} null if the digest or source isn't there
+   */
+  async getReport(id, sourceId, format = 'html') {
+    const digest = await this.load(id);
+    if (!digest || !Object.hasOwn(digest.sources, sourceId)) return null;
+    return format === 'markdown' ? this.renderMarkdown(digest, sourceId) : this.renderHtml(digest, sourceId);
+  }
+
+  /**
+   * Render one source's section of a digest as Markdown
+   */
+  renderMarkdown(digest, sourceId) {
+    const { name, pages } = digest.sources[sourceId];
+    const byStatus = (status) => pages.filter((page) => page.status === status);
+    const lines = [
+      `# What changed: ${name}`,
+      '',
+      `${formatDate(digest.since)} – ${formatDate(digest.until)} · ` +
+        `${byStatus('changed').length} changed, ${byStatus('new').length} new, ${byStatus('cosmetic').length} cosmetic only`,
+      '',
+    ];
+
+    for (const page of byStatus('changed')) {
+      lines.push(`## [${page.title}](${page.url})`, '');
+      lines.push(`+${page.stats.added} / -${page.stats.removed} lines (version ${page.fromVersion} → ${page.toVersion}` +
+        `${page.baselineTruncated ? '; older versions pruned' : ''})`, '');
+      if (page.summary) {
+        lines.push(page.summary, '');
+      } else if (page.error) {
+        lines.push(`_Summary unavailable: ${page.error}_`, '');
+      }
+      lines.push('<details><summary>Diff</summary>', '', '```diff', page.diff, '```', '', '</details>', '');
+    }
+
+    if (byStatus('new').length > 0) {
+      lines.push('## New pages', '');
+      lines.push(...byStatus('new').map((page) => `- [${page.title}](${page.url})`), '');
+    }
+    if (byStatus('cosmetic').length > 0) {
+      lines.push('## Cosmetic changes only', '');
+      lines.push(...byStatus('cosmetic').map((page) => `- [${page.title}](${page.url})`), '');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render one source's section of a digest as a standalone HTML page
+   */
+  renderHtml(digest, sourceId) {
+    const { name, pages } = digest.sources[sourceId];
+    const byStatus = (status) => pages.filter((page) => page.status === status);
+    const link = (page) => `<a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a>`;
+    const list = (items) => `<ul>\n${items.map((page) => `  <li>${link(page)}</li>`).join('\n')}\n</ul>`;
+
+    const sections = byStatus('changed').map((page) => `
+<section>
+  <h2>${link(page)}</h2>
+  <p class="meta">+${page.stats.added} / -${page.stats.removed} lines (version ${page.fromVersion} → ${page.toVersion}${page.baselineTruncated ? '; older versions pruned' : ''})</p>
+  ${page.summary ? summaryToHtml(page.summary) : ''}
+  ${!page.summary && page.error ? `<p class="meta">Summary unavailable: ${escapeHtml(page.error)}</p>` : ''}
+  <details><summary>Diff</summary><pre>${diffToHtml(page.diff)}</pre></details>
+</section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>What changed: ${escapeHtml(name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; }
+  .meta { color: #666; font-size: 0.9rem; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+  .add { color: #116329; background: #dafbe1; }
+  .del { color: #82071e; background: #ffebe9; }
+  .hunk { color: #0550ae; }
+</style>
+</head>
+<body>
+<h1>What changed: ${escapeHtml(name)}</h1>
+<p class="meta">${formatDate(digest.since)} – ${formatDate(digest.until)} · ${byStatus('changed').length} changed, ${byStatus('new').length} new, ${byStatus('cosmetic').length} cosmetic only</p>
+${sections.join('\n')}
+${byStatus('new').length > 0 ? `<h2>New pages</h2>\n${list(byStatus('new'))}` : ''}
+${byStatus('cosmetic').length > 0 ? `<h2>Cosmetic changes only</h2>\n${list(byStatus('cosmetic'))}` : ''}
+</body>
+</html>
+`;
+  }
+
+  close() {
+    this.cacheService.close();
+  }
+}
+
+/**
+ * Reduce a page's Markdown to the lines worth diffing: whitespace is
+ * collapsed, and blank lines and navigation (link-only lines, "Edit this
+ * page", "Next", ...) are dropped
+ */
+export function normalizeForDigest(markdown) {
+  return markdown
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter((line) => {
+      if (!line) return false;
+      if (NOISE_LINES.test(line.replace(/^[-*+>\s]+/, ''))) return false;
+      // Nothing left but links and separators: a menu, breadcrumb or pager
+      return !/^[\s\-*+>|•·»›/#0-9.]*$/.test(line.replace(MARKDOWN_LINK, ''));
+    })
+    .join('\n');
+}
+
+function formatDate(iso) {
+  return iso.replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Runs of bullet lines become lists, other lines paragraphs
+function summaryToHtml(summary) {
+  const html = [];
+  let bullets = [];
+  const flush = () => {
+    if (bullets.length > 0) {
+      html.push(`<ul>\n${bullets.map((item) => `    <li>${escapeHtml(item)}</li>`).join('\n')}\n  </ul>`);
+      bullets = [];
+    }
+  };
+
+  for (const line of summary.split('\n')) {
+    const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+    if (bullet) {
+      bullets.push(bullet[1]);
+    } else {
+      flush();
+      if (line.trim()) html.push(`<p>${escapeHtml(line.trim())}</p>`);
+    }
+  }
+  flush();
+  return html.join('\n  ');
+}
+
+function diffToHtml(diff) {
+  return diff.split('\n').map((line) => {
+    const type = { '+': 'add', '-': 'del', '@': 'hunk' }[line[0]];
+    return type ? `<span class="${type}">${escapeHtml(line)}</span>` : escapeHtml(line);
+  }).join('\n');
+}
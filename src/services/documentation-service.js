@@ -1,11 +1,17 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import TurndownService from 'turndown';
+// The package entry point runs a self-test when imported from ESM, so load the parser directly
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
 import { VectorService } from './vector-service.js';
 import { CacheService } from './cache-service.js';
+import { CrawlerService } from './crawler-service.js';
+import { FetchService } from './fetch-service.js';
+import { LocalSourceService } from './local-source-service.js';
+import { SourceRegistry } from './source-registry.js';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import zlib from 'zlib';
 
 export class DocumentationService {
   constructor() {
@@ -13,7 +19,23 @@ export class DocumentationService {
       headingStyle: 'atx',
       codeBlockStyle: 'fenced',
     });
+    // Keep the page's own heading ids ("## Title {#id}") so chunks can deep-link to them
+    this.turndownService.addRule('headingWithId', {
+      filter: (node) => /^H[1-6]$/.test(node.nodeName) &&
+        Boolean(node.getAttribute('id') || node.querySelector('a[id], a[name]')),
+      replacement: (content, node) => {
+        const anchor = node.querySelector('a[id], a[name]');
+        const id = node.getAttribute('id') || anchor.getAttribute('id') || anchor.getAttribute('name');
+        const text = node.textContent.replace(/[\u200b#]/g, '').replace(/\s+/g, ' ').trim();
+        return `\n\n${'#'.repeat(Number(node.nodeName.charAt(1)))} ${text} {#${id}}\n\n`;
+      },
+    });
     this.vectorService = new VectorService();
+    // Shared with the crawler and change detection so robots.txt and per-host
+    // rate limits apply across all of them
+    this.fetchService = FetchService.shared();
+    this.localSources = new LocalSourceService();
+    this.registry = new SourceRegistry();
     this.sources = new Map();
     
     // Use SQLite cache by default, fall back to JSON Map if USE_JSON_CACHE=true
@@ -36,65 +58,34 @@ export class DocumentationService {
       loaded: 0,
       skipped: 0,
     };
+    // Pages left out of the current run because a source's budget ran out
+    this.budgetStats = {
+      pages: 0,
+      bytes: 0,
+      embeddingCalls: 0,
+    };
     this.pageCacheLoaded = false;
+    // Days a page that disappeared upstream stays searchable before it is purged
+    const graceDays = parseFloat(process.env.TOMBSTONE_GRACE_DAYS);
+    this.tombstoneGraceDays = Number.isNaN(graceDays) ? 7 : graceDays;
+    this.tombstoneStats = {
+      tombstoned: 0,
+      restored: 0,
+    };
+    // Versions of each page kept for page history diffs
+    this.pageVersionsKept = parseInt(process.env.PAGE_VERSIONS_KEEP) || 50;
+    // Crawled pages go through the page cache so indexing can reuse them
+    this.crawler = new CrawlerService(
+      async (url) => (await this.fetchPageWithCache(url)).html || '',
+      this.useJsonCache ? null : this.pageCache
+    );
     this.initializeSources();
   }
 
   initializeSources() {
-    const sources = [
-      {
-        id: 'suse',
-        name: 'SUSE Documentation',
-        baseUrl: process.env.SUSE_DOCS_BASE_URL || 'https://documentation.suse.com',
-        status: 'active',
-      },
-      {
-        id: 'rancher',
-        name: 'Rancher Documentation',
-        baseUrl: process.env.RANCHER_DOCS_URL || 'https://ranchermanager.docs.rancher.com',
-        status: 'active',
-      },
-      {
-        id: 'k3s',
-        name: 'K3s Documentation',
-        baseUrl: process.env.K3S_DOCS_URL || 'https://docs.k3s.io',
-        status: 'active',
-      },
-      {
-        id: 'rke2',
-        name: 'RKE2 Documentation',
-        baseUrl: process.env.RKE2_DOCS_URL || 'https://docs.rke2.io',
-        status: 'active',
-      },
-      {
-        id: 'longhorn',
-        name: 'Longhorn Documentation',
-        baseUrl: process.env.LONGHORN_DOCS_URL || 'https://longhorn.io/docs',
-        status: 'active',
-      },
-      {
-        id: 'harvester',
-        name: 'Harvester Documentation',
-        baseUrl: process.env.HARVESTER_DOCS_URL || 'https://docs.harvesterhci.io',
-        status: 'active',
-      },
-      {
-        id: 'neuvector',
-        name: 'NeuVector Documentation',
-        baseUrl: process.env.NEUVECTOR_DOCS_URL || 'https://open-docs.neuvector.com',
-        status: 'active',
-      },
-      {
-        id: 'kubewarden',
-        name: 'Kubewarden Documentation',
-        baseUrl: process.env.KUBEWARDEN_DOCS_URL || 'https://docs.kubewarden.io',
-        status: 'active',
-      },
-    ];
-
-    sources.forEach((source) => {
-      this.sources.set(source.id, source);
-    });
+    for (const source of this.registry.getAll()) {
+      this.sources.set(source.id, { ...source, status: 'active' });
+    }
   }
 
   async listSources() {
@@ -113,8 +104,8 @@ export class DocumentationService {
       }
     }
     
-    // Add document counts to source definitions
-    return Array.from(this.sources.values()).map(source => ({
+    // Add document counts to source definitions (crawl and budget settings stay internal)
+    return Array.from(this.sources.values()).map(({ include, exclude, contentSelectors, fallbackUrls, crawl, budget, priority, globs, ignoreGlobs, versionPattern, ...source }) => ({
       ...source,
       documentCount: sourceCounts.get(source.id) || 0,
       status: sourceCounts.get(source.id) > 0 ? 'indexed' : 'not indexed'
@@ -196,12 +187,16 @@ export class DocumentationService {
     return crypto.createHash('md5').update(url).digest('hex');
   }
 
-  async saveHtmlToCache(url, html) {
+  /**
+   * Save a fetched page. PDFs are stored as-is with a .pdf extension so the
+   * cached copy can be told apart from HTML when it is read back.
+   */
+  async saveHtmlToCache(url, html, extension = '.html') {
     try {
       await fs.mkdir(this.htmlCacheDir, { recursive: true });
-      const filename = this.sanitizeFilename(url) + '.html';
+      const filename = this.sanitizeFilename(url) + extension;
       const filepath = path.join(this.htmlCacheDir, filename);
-      await fs.writeFile(filepath, html, 'utf-8');
+      await fs.writeFile(filepath, html);
       return filepath;
     } catch (error) {
       console.error(`Failed to save HTML for ${url}:`, error.message);
@@ -217,13 +212,42 @@ export class DocumentationService {
     }
   }
 
-  async fetchPageWithCache(url) {
+  /**
+   * Read a cached page back as { html } or, for PDFs, { pdf: Buffer }
+   * @returns {Promise<Object|null>} null if the cached file is missing
+   */
+  async loadPageFromCache(filepath) {
+    if (!filepath.endsWith('.pdf')) {
+      const html = await this.loadHtmlFromCache(filepath);
+      return html ? { html, pdf: null } : null;
+    }
+
+    try {
+      return { html: null, pdf: await fs.readFile(filepath) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isPdf(url, contentType, body) {
+    return /application\/pdf/i.test(contentType || '') ||
+      body.subarray(0, 5).toString('latin1') === '%PDF-' ||
+      /\.pdf$/i.test(new URL(url).pathname);
+  }
+
+  /**
+   * Fetch a page with conditional requests against the page cache
+   * @param {string} url - Page URL
+   * @param {Object} options - { fallbackToCache: serve the cached copy when the
+   *   request fails (default: true) }
+   * @returns {Promise<Object>} { html, pdf, fromCache, status } - `pdf` is a
+   *   Buffer (and `html` null) when the URL serves a PDF
+   */
+  async fetchPageWithCache(url, { fallbackToCache = true } = {}) {
     await this.loadPageCache();
 
     const cached = this.pageCache.get(url);
-    const headers = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-    };
+    const headers = {};
 
     // Add conditional request headers if we have cached data
     if (cached) {
@@ -236,32 +260,41 @@ export class DocumentationService {
     }
 
     try {
-      const response = await axios.get(url, {
+      const response = await this.fetchService.get(url, {
         headers,
         timeout: 15000,
         maxRedirects: 3,
+        // Raw bytes, so PDFs survive; HTML is decoded below
+        responseType: 'arraybuffer',
         validateStatus: (status) => status < 400 || status === 304,
       });
 
+      // The page answers again, so an earlier 404/410 was temporary
+      if (cached?.tombstoneReason?.startsWith('http-')) {
+        this.restorePage(url);
+      }
+
       // 304 Not Modified - use cached HTML
       if (response.status === 304 && cached?.htmlPath) {
         this.pageCacheStats.hits304++;
-        const html = await this.loadHtmlFromCache(cached.htmlPath);
-        if (html) {
-          return { html, fromCache: true, status: 304 };
+        const page = await this.loadPageFromCache(cached.htmlPath);
+        if (page) {
+          return { ...page, fromCache: true, status: 304 };
         }
       }
 
       // Fresh fetch - save and update cache
       this.pageCacheStats.misses++;
-      const html = response.data;
-      const contentHash = this.hashContent(html);
+      const body = Buffer.from(response.data);
+      const pdf = this.isPdf(url, response.headers['content-type'], body) ? body : null;
+      const html = pdf ? null : body.toString('utf-8');
+      const contentHash = this.hashContent(body);
 
       // Check if content actually changed
       if (cached?.contentHash === contentHash && cached?.htmlPath) {
         this.pageCacheStats.hitsCached++;
-        const cachedHtml = await this.loadHtmlFromCache(cached.htmlPath);
-        if (cachedHtml) {
+        const cachedPage = await this.loadPageFromCache(cached.htmlPath);
+        if (cachedPage) {
           // Update cache metadata but use existing HTML
           this.pageCache.set(url, {
             ...cached,
@@ -269,12 +302,12 @@ export class DocumentationService {
             etag: response.headers.etag || cached.etag,
             lastModified: response.headers['last-modified'] || cached.lastModified,
           });
-          return { html: cachedHtml, fromCache: true, status: 'unchanged' };
+          return { ...cachedPage, fromCache: true, status: 'unchanged' };
         }
       }
 
       // New or changed content
-      const htmlPath = await this.saveHtmlToCache(url, html);
+      const htmlPath = await this.saveHtmlToCache(url, pdf || html, pdf ? '.pdf' : '.html');
 
       this.pageCache.set(url, {
         url,
@@ -285,92 +318,225 @@ export class DocumentationService {
         lastChecked: Date.now(),
       });
 
-      return { html, fromCache: false, status: 200 };
+      return { html, pdf, fromCache: false, status: 200 };
     } catch (error) {
+      // Never serve a page robots.txt now forbids, even from the cache
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        throw error;
+      }
+
+      // Nor one the site says is gone
+      const status = error.response?.status;
+      if (status === 404 || status === 410) {
+        this.tombstonePage(url, `http-${status}`);
+        const goneError = new Error(`Page gone (HTTP ${status}): ${url}`);
+        goneError.code = 'PAGE_GONE';
+        throw goneError;
+      }
+
       // If request fails but we have cached data, use it
-      if (cached?.htmlPath) {
+      if (fallbackToCache && cached?.htmlPath) {
         console.warn(`Failed to fetch ${url}, using cached version`);
         this.pageCacheStats.hitsCached++;
-        const html = await this.loadHtmlFromCache(cached.htmlPath);
-        if (html) {
-          return { html, fromCache: true, status: 'error-fallback' };
+        const page = await this.loadPageFromCache(cached.htmlPath);
+        if (page) {
+          return { ...page, fromCache: true, status: 'error-fallback' };
         }
       }
       throw new Error(`Failed to fetch documentation from ${url}: ${error.message}`);
     }
   }
 
-  async fetchDocumentation(url) {
+  async fetchDocumentation(url, options = {}) {
     try {
-      const { html } = await this.fetchPageWithCache(url);
+      const source = this.sources.get(this.getSourceFromUrl(url));
+      if (source?.type === 'local') {
+        return await this.fetchLocalDocument(source, url);
+      }
 
-      const $ = cheerio.load(html);
+      const { html, pdf } = await this.fetchPageWithCache(url, options);
+      return pdf ? await this.parsePdf(pdf, url) : this.parseHtml(html, source);
+    } catch (error) {
+      if (error.code === 'PAGE_GONE') {
+        throw error;
+      }
+      throw new Error(`Failed to fetch documentation from ${url}: ${error.message}`);
+    }
+  }
 
-      // Extract title from HTML before we remove elements
-      let title = '';
-      
-      // Try to get title from various sources
-      const titleTag = $('title').first().text();
-      const h1Tag = $('h1').first().text();
-      const ogTitle = $('meta[property="og:title"]').attr('content');
-      const twitterTitle = $('meta[name="twitter:title"]').attr('content');
-      
-      // Prefer h1, then og:title, then title tag, then twitter:title
-      title = h1Tag || ogTitle || titleTag || twitterTitle || '';
-      
-      // Clean up title (remove site name suffixes, extra whitespace, special chars)
-      title = title
-        .replace(/\s*[\|\-\–]\s*.*(Documentation|Docs|SUSE|Rancher|K3s|RKE2|Longhorn|Harvester|NeuVector|Kubewarden).*$/i, '')
-        .replace(/\[#\]\([^)]+\s+"Permalink"\)/g, '') // Remove [#](url "Permalink")
-        .replace(/\s+/g, ' ')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&#160;/g, ' ')
-        .replace(/Â/g, '')
-        .trim();
-      
-      // Limit title length
-      if (title.length > 80) {
-        title = title.substring(0, 77) + '...';
-      }
-
-      // Remove script, style, and nav elements
-      $('script, style, nav, header, footer, .sidebar, .navigation').remove();
-
-      // Extract main content (adjust selectors based on actual doc structure)
-      let content = '';
-      const mainSelectors = [
-        'main',
-        'article',
-        '.content',
-        '.documentation-content',
-        '#content',
-        '.main-content',
-      ];
-
-      for (const selector of mainSelectors) {
-        const element = $(selector);
-        if (element.length > 0) {
-          content = element.html() || '';
-          break;
-        }
+  /**
+   * Read a page from a local source and record its git version in the page
+   * cache. The etag column holds the file's last commit and htmlPath the file
+   * itself, so change detection can compare commits instead of HTTP headers.
+   */
+  async fetchLocalDocument(source, url) {
+    await this.loadPageCache();
+
+    const cached = this.pageCache.get(url);
+    const document = await this.localSources.readDocument(source, url);
+
+    if (cached?.contentHash === document.contentHash) {
+      this.pageCacheStats.hitsCached++;
+    } else {
+      this.pageCacheStats.misses++;
+    }
+
+    this.pageCache.set(url, {
+      ...(cached || {}),
+      url,
+      etag: document.version,
+      lastModified: null,
+      contentHash: document.contentHash,
+      htmlPath: document.filePath,
+      lastChecked: Date.now(),
+      source: source.id,
+    });
+
+    return { markdown: document.markdown, title: document.title };
+  }
+
+  /**
+   * Read a page from the local HTML cache without touching the network.
+   * Falls back to a (conditional) fetch when no cached copy exists.
+   */
+  async getCachedDocumentation(url) {
+    await this.loadPageCache();
+
+    const cached = this.pageCache.get(url);
+    const source = this.sources.get(cached?.source || this.getSourceFromUrl(url));
+    if (source?.type === 'local') {
+      // The file on disk is the cache
+      const { markdown, title } = await this.localSources.readDocument(source, url, cached?.htmlPath);
+      return { markdown, title };
+    }
+
+    if (cached?.htmlPath) {
+      const page = await this.loadPageFromCache(cached.htmlPath);
+      if (page) {
+        return page.pdf ? await this.parsePdf(page.pdf, url) : this.parseHtml(page.html, source);
       }
+    }
+
+    return await this.fetchDocumentation(url);
+  }
 
-      // Fallback to body if no main content found
-      if (!content) {
-        content = $('body').html() || '';
+  /**
+   * Extract the title and main content of an HTML page as Markdown
+   * @param {string} html - Page HTML
+   * @param {Object} source - Source definition supplying content selectors (optional)
+   */
+  parseHtml(html, source = null) {
+    const $ = cheerio.load(html);
+
+    // Extract title from HTML before we remove elements
+    let title = '';
+    
+    // Try to get title from various sources
+    const titleTag = $('title').first().text();
+    const h1Tag = $('h1').first().text();
+    const ogTitle = $('meta[property="og:title"]').attr('content');
+    const twitterTitle = $('meta[name="twitter:title"]').attr('content');
+    
+    // Prefer h1, then og:title, then title tag, then twitter:title
+    title = h1Tag || ogTitle || titleTag || twitterTitle || '';
+    
+    // Clean up title (remove site name suffixes, extra whitespace, special chars)
+    title = title
+      .replace(/\s*[\|\-\–]\s*.*(Documentation|Docs|SUSE|Rancher|K3s|RKE2|Longhorn|Harvester|NeuVector|Kubewarden).*$/i, '')
+      .replace(/\[#\]\([^)]+\s+"Permalink"\)/g, '') // Remove [#](url "Permalink")
+      .replace(/\s+/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&#160;/g, ' ')
+      .replace(/Â/g, '')
+      .trim();
+    
+    // Limit title length
+    if (title.length > 80) {
+      title = title.substring(0, 77) + '...';
+    }
+
+    // Remove script, style, and nav elements
+    $('script, style, nav, header, footer, .sidebar, .navigation').remove();
+
+    // Extract main content using the source's selectors, in order
+    let content = '';
+    const mainSelectors = source?.contentSelectors || [
+      'main',
+      'article',
+      '.content',
+      '.documentation-content',
+      '#content',
+      '.main-content',
+    ];
+
+    for (const selector of mainSelectors) {
+      const element = $(selector);
+      if (element.length > 0) {
+        content = element.html() || '';
+        break;
       }
+    }
 
-      // Convert HTML to Markdown
-      const markdown = this.turndownService.turndown(content);
+    // Fallback to body if no main content found
+    if (!content) {
+      content = $('body').html() || '';
+    }
 
-      // Return both markdown and extracted title
-      return { markdown, title: title || 'Untitled' };
-    } catch (error) {
-      throw new Error(`Failed to fetch documentation from ${url}: ${error.message}`);
+    // Convert HTML to Markdown
+    const markdown = this.turndownService.turndown(content);
+
+    // Return both markdown and extracted title
+    return { markdown, title: title || 'Untitled' };
+  }
+
+  /**
+   * Extract text from a PDF page by page
+   * @param {Buffer} buffer - PDF bytes
+   * @param {string} url - PDF URL (used for the title when the PDF has none)
+   * @returns {Promise<Object>} { markdown, title, pages: [{ pageNumber, text }] }
+   */
+  async parsePdf(buffer, url) {
+    const pages = [];
+    // pdf.js ignores a Buffer's byteOffset, so small (pooled) Buffers need a copy
+    const data = await pdfParse(new Uint8Array(buffer), {
+      // Called once per page, in page order
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent();
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+          // A new baseline means a new line of text
+          text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages.push({ pageNumber: pageData.pageNumber, text: text.trim() });
+        return text;
+      },
+    });
+
+    const firstLine = pages.map(page => page.text.split('\n')[0].trim()).find(Boolean);
+    let title = data.info?.Title?.trim() || firstLine ||
+      decodeURIComponent(path.basename(new URL(url).pathname, '.pdf'));
+    if (title.length > 80) {
+      title = title.substring(0, 77) + '...';
     }
+
+    return {
+      markdown: pages.map(page => page.text).filter(Boolean).join('\n\n'),
+      title,
+      pages,
+    };
   }
 
-  async indexDocumentation(sourceId, forceRefresh = false) {
+  /**
+   * Index one source or all of them
+   * @param {string} sourceId - Source ID or 'all'
+   * @param {boolean} forceRefresh - Re-index even if the cache says unchanged
+   * @param {Object} options - { onProgress(processed, total, result), signal }
+   *   `signal` is an AbortSignal; indexing stops between batches once it fires
+   */
+  async indexDocumentation(sourceId, forceRefresh = false, options = {}) {
+    const { onProgress = null, signal = null } = options;
     const sources = sourceId === 'all' 
       ? Array.from(this.sources.values()) 
       : [this.sources.get(sourceId)].filter(Boolean);
@@ -381,15 +547,21 @@ export class DocumentationService {
 
     // Reset cache stats before indexing
     this.resetPageCacheStats();
+    this.resetBudgetStats();
+    this.resetTombstoneStats();
     this.vectorService.aiService.resetCacheStats();
 
     let totalDocuments = 0;
     const errors = [];
+    const purged = [];
 
     for (const source of sources) {
+      if (signal?.aborted) break;
+
       try {
         source.status = 'indexing';
-        const count = await this.indexSource(source, forceRefresh);
+        const count = await this.indexSource(source, forceRefresh, { onProgress, signal });
+        purged.push(...await this.purgeTombstones(source.id));
         totalDocuments += count;
         source.status = 'active';
         source.lastIndexed = new Date();
@@ -424,14 +596,39 @@ export class DocumentationService {
     console.log(`      Hit rate: ${embeddingStats.hitRate}`);
     console.log(`      Total cached: ${embeddingStats.currentSize}\n`);
 
+    const budgetStats = this.getBudgetStats();
+    if (budgetStats.total > 0) {
+      console.log(`   💰 Left out by budget: ${budgetStats.total} pages`);
+      console.log(`      Page limit: ${budgetStats.pages}`);
+      console.log(`      Byte limit: ${budgetStats.bytes}`);
+      console.log(`      Embedding call limit: ${budgetStats.embeddingCalls}\n`);
+    }
+
+    console.log(`   🪦 Removed Upstream:`);
+    console.log(`      Newly tombstoned: ${this.tombstoneStats.tombstoned}`);
+    console.log(`      Restored: ${this.tombstoneStats.restored}`);
+    console.log(`      Purged (tombstoned over ${this.tombstoneGraceDays} days): ${purged.length}`);
+    for (const page of purged) {
+      console.log(`        - ${page.url} (${page.reason}, ${page.chunks} chunks)`);
+    }
+    console.log();
+
+    const cancelled = Boolean(signal?.aborted);
+
     return {
-      success: errors.length === 0,
+      success: errors.length === 0 && !cancelled,
+      cancelled,
       documentsIndexed: totalDocuments,
       error: errors.length > 0 ? errors.join('; ') : undefined,
       cacheStats: {
         page: pageStats,
         embedding: embeddingStats,
       },
+      budgetSkipped: budgetStats,
+      tombstones: {
+        ...this.tombstoneStats,
+        purged,
+      },
     };
   }
 
@@ -451,10 +648,15 @@ export class DocumentationService {
     return false;
   }
 
-  async indexSource(source, forceRefresh) {
+  async indexSource(source, forceRefresh, options = {}) {
+    const { onProgress = null, signal = null } = options;
+
     // This is a simplified implementation
     // In a real scenario, you'd crawl the sitemap or use a documented structure
-    const urlData = await this.discoverDocumentUrls(source);
+    const { urlData, discovered, complete } = await this.discoverDocumentUrls(source);
+    if (complete) {
+      await this.tombstoneMissingPages(source, discovered);
+    }
     
     // Pre-filter URLs based on lastmod and cache
     const documentUrls = await this.preFilterUrls(urlData, forceRefresh);
@@ -466,8 +668,34 @@ export class DocumentationService {
     const BATCH_SIZE = parseInt(process.env.FETCH_BATCH_SIZE) || 3;
     let indexed = 0;
     let skipped = 0;
+    let failed = 0;
+
+    // Byte and embedding budgets are checked between batches, so the last
+    // batch may overshoot them slightly
+    const { maxBytes, maxEmbeddingCalls } = source.budget || {};
+    const embeddingCallsAtStart = this.vectorService.aiService.cacheStats.misses;
+    let bytesIndexed = 0;
     
     for (let i = 0; i < documentUrls.length; i += BATCH_SIZE) {
+      // Stop between batches when cancelled; documents already in flight finish first
+      if (signal?.aborted) {
+        console.log(`⏹️  Indexing of ${source.name} cancelled after ${indexed + skipped + failed}/${documentUrls.length} documents`);
+        break;
+      }
+
+      const remaining = documentUrls.length - i;
+      if (maxBytes && bytesIndexed >= maxBytes) {
+        this.budgetStats.bytes += remaining;
+        console.warn(`⚠️  ${source.name}: byte budget (${maxBytes}) reached, leaving out ${remaining} documents`);
+        break;
+      }
+      const embeddingCalls = this.vectorService.aiService.cacheStats.misses - embeddingCallsAtStart;
+      if (maxEmbeddingCalls && embeddingCalls >= maxEmbeddingCalls) {
+        this.budgetStats.embeddingCalls += remaining;
+        console.warn(`⚠️  ${source.name}: embedding call budget (${maxEmbeddingCalls}) reached, leaving out ${remaining} documents`);
+        break;
+      }
+
       const batch = documentUrls.slice(i, i + BATCH_SIZE);
       const results = await Promise.allSettled(
         batch.map(async (url) => {
@@ -481,122 +709,439 @@ export class DocumentationService {
               cached.source = source.id;
               this.pageCache.set(url, cached);
             }
-            // Verify with a HEAD request or conditional GET
-            try {
-              const response = await axios.head(url, {
-                headers: {
-                  'If-None-Match': cached.etag,
-                  'If-Modified-Since': cached.lastModified,
-                },
-                timeout: 5000,
-                validateStatus: (status) => status < 400 || status === 304,
-              });
-              
-              if (response.status === 304) {
-                // Document definitely unchanged, skip it
-                this.pageCacheStats.skipped++;
-                return { url, skipped: true };
+            if (source.type === 'local') {
+              // Same commit (or same bytes outside git): nothing to re-index
+              try {
+                const check = await this.localSources.checkForChanges(source, cached);
+                if (!check.changed) {
+                  this.pageCacheStats.skipped++;
+                  return { url, skipped: true };
+                }
+              } catch (error) {
+                // File moved or unreadable, let the full read report it
+              }
+            } else {
+              // Verify with a HEAD request or conditional GET
+              try {
+                const response = await this.fetchService.head(url, {
+                  headers: {
+                    'If-None-Match': cached.etag,
+                    'If-Modified-Since': cached.lastModified,
+                  },
+                  timeout: 5000,
+                  validateStatus: (status) => status < 400 || status === 304,
+                });
+                
+                if (response.status === 304) {
+                  // Document definitely unchanged, skip it
+                  this.pageCacheStats.skipped++;
+                  return { url, skipped: true };
+                }
+              } catch (error) {
+                // If HEAD fails, proceed with full fetch
               }
-            } catch (error) {
-              // If HEAD fails, proceed with full fetch
             }
           }
 
-          const { markdown, title } = await this.fetchDocumentation(url);
-          await this.vectorService.addDocument({
-            id: url,
-            content: markdown,
-            metadata: {
-              source: source.id,
-              url,
-              title: title || this.extractTitle(markdown),
-              indexedAt: new Date().toISOString(),
-            },
-          });
-
-          // Mark as indexed in page cache and update last_checked timestamp
-          const cached = this.pageCache.get(url);
-          if (cached) {
-            cached.indexed = true;
-            cached.source = source.id;  // Store source for accurate counting
-            cached.last_checked = Date.now();
-            this.pageCache.set(url, cached);
-          }
-          
+          const { bytes } = await this.indexPage(source, url);
+          bytesIndexed += bytes;
           return { url, skipped: false };
         })
       );
       
-      // Count successful indexes and skips
+      // Count successful indexes, skips and failures
       results.forEach((result, idx) => {
+        let status;
         if (result.status === 'fulfilled') {
           if (result.value.skipped) {
             skipped++;
+            status = 'skipped';
             console.log(`⊘ Skipped (unchanged) (${indexed + skipped}/${documentUrls.length}): ${batch[idx]}`);
           } else {
             indexed++;
+            status = 'indexed';
             console.log(`✓ Indexed (${indexed + skipped}/${documentUrls.length}): ${batch[idx]}`);
           }
+        } else if (result.reason?.code === 'PAGE_GONE') {
+          // Tombstoned; purged once the grace period is over
+          failed++;
+          status = 'gone';
+          console.warn(`🪦 Gone upstream: ${result.reason.message}`);
         } else {
+          failed++;
+          status = 'failed';
           console.error(`✗ Failed to index ${batch[idx]}:`, result.reason?.message || result.reason);
         }
+
+        if (onProgress) {
+          onProgress(indexed + skipped + failed, documentUrls.length, {
+            url: batch[idx],
+            source: source.id,
+            status,
+            indexed,
+            skipped,
+            failed,
+          });
+        }
       });
       
       // Add delay between batches to prevent overwhelming Ollama
-      if (i + BATCH_SIZE < documentUrls.length) {
+      if (i + BATCH_SIZE < documentUrls.length && !signal?.aborted) {
         const batchDelay = parseInt(process.env.BATCH_DELAY) || 500;
         await new Promise(resolve => setTimeout(resolve, batchDelay));
       }
     }
 
-    console.log(`\n📈 Processed: ${indexed} indexed, ${skipped} skipped (unchanged)`);
+    console.log(`\n📈 Processed: ${indexed} indexed, ${skipped} skipped (unchanged), ${failed} failed`);
     return indexed;
   }
 
+  /**
+   * Fetch, chunk and embed one page, replacing whatever was indexed for it
+   * @param {Object} source - Source definition
+   * @param {string} url - Page URL
+   * @param {Object} options - Passed to fetchPageWithCache; re-indexing a page
+   *   known to have changed sets fallbackToCache: false
+   * @returns {Promise<Object>} { bytes } - Size of the extracted Markdown
+   * @throws {Error} with code 'PAGE_GONE' when the page answers 404/410
+   */
+  async indexPage(source, url, options = {}) {
+    const { markdown, title, pages } = await this.fetchDocumentation(url, options);
+    const version = this.registry.getVersion(source, url);
+    await this.vectorService.addDocument({
+      id: url,
+      content: markdown,
+      pages,
+      metadata: {
+        source: source.id,
+        url,
+        title: title || this.extractTitle(markdown),
+        ...(version ? { version } : {}),
+        indexedAt: new Date().toISOString(),
+      },
+    });
+
+    // Mark as indexed in page cache and update last_checked timestamp
+    const cached = this.pageCache.get(url);
+    if (cached) {
+      cached.indexed = true;
+      cached.source = source.id;  // Store source for accurate counting
+      cached.last_checked = Date.now();
+      this.pageCache.set(url, cached);
+
+      // Keep the text of each distinct version, so changes can be diffed later
+      if (!this.useJsonCache && cached.contentHash) {
+        this.pageCache.addPageVersion(url, {
+          source: source.id,
+          contentHash: cached.contentHash,
+          title: title || this.extractTitle(markdown),
+          markdown,
+        }, Date.now(), this.pageVersionsKept);
+      }
+    }
+
+    return { bytes: Buffer.byteLength(markdown) };
+  }
+
+  /**
+   * Tombstone a source's cached pages that a complete discovery no longer
+   * lists, and lift 'missing' tombstones from pages listed again
+   * @param {Object} source - Source definition
+   * @param {Set<string>} discovered - Every URL the source currently lists
+   */
+  async tombstoneMissingPages(source, discovered) {
+    if (this.useJsonCache) return;
+    await this.loadPageCache();
+
+    let missing = 0;
+    for (const page of this.pageCache.getBySource(source.id)) {
+      if (!discovered.has(page.url)) {
+        if (this.tombstonePage(page.url, 'missing')) missing++;
+      } else if (page.tombstoneReason === 'missing') {
+        this.restorePage(page.url);
+      }
+    }
+
+    if (missing > 0) {
+      console.log(`🪦 ${source.name}: ${missing} previously indexed pages are no longer listed`);
+    }
+  }
+
+  /**
+   * Take the index-<source> lock (SQLite page cache only). A single source
+   * can't be indexed during an `all` run, nor `all` while any single source
+   * is being indexed
+   * @returns {Object} The acquireLock() result
+   */
+  acquireIndexLock(sourceId, timeoutSeconds) {
+    const conflicts = sourceId === 'all'
+      ? this.registry.getIds().map((id) => `index-${id}`)
+      : ['index-all'];
+    return this.pageCache.acquireLock(`index-${sourceId}`, timeoutSeconds, conflicts);
+  }
+
+  /**
+   * Mark a page as gone upstream (SQLite page cache only)
+   * @returns {boolean} true if the page was newly tombstoned
+   */
+  tombstonePage(url, reason) {
+    if (this.useJsonCache) return false;
+
+    const tombstoned = this.pageCache.tombstone(url, reason);
+    if (tombstoned) this.tombstoneStats.tombstoned++;
+    return tombstoned;
+  }
+
+  restorePage(url) {
+    if (this.useJsonCache) return false;
+
+    const restored = this.pageCache.restoreTombstone(url);
+    if (restored) this.tombstoneStats.restored++;
+    return restored;
+  }
+
+  /**
+   * Purge pages tombstoned for longer than the grace period (TOMBSTONE_GRACE_DAYS):
+   * their vectors and chunk text, cached HTML and page cache entry
+   * @param {string|null} sourceId - Only purge this source's pages
+   * @returns {Promise<Array<Object>>} [{ url, source, reason, tombstonedAt, chunks }]
+   */
+  async purgeTombstones(sourceId = null) {
+    if (this.useJsonCache) return [];
+    await this.loadPageCache();
+
+    const cutoff = Date.now() - this.tombstoneGraceDays * 24 * 60 * 60 * 1000;
+    const htmlCacheDir = path.resolve(this.htmlCacheDir);
+    const purged = [];
+
+    for (const page of this.pageCache.getTombstones({ source: sourceId, before: cutoff })) {
+      try {
+        const chunks = await this.vectorService.deleteDocument(page.url);
+        // Local sources point htmlPath at the file itself; only cached copies are deleted
+        if (page.htmlPath && path.resolve(page.htmlPath).startsWith(htmlCacheDir + path.sep)) {
+          await fs.rm(page.htmlPath, { force: true });
+        }
+        this.pageCache.delete(page.url);
+
+        purged.push({
+          url: page.url,
+          source: page.source,
+          reason: page.tombstoneReason,
+          tombstonedAt: new Date(page.tombstonedAt).toISOString(),
+          chunks,
+        });
+      } catch (error) {
+        console.error(`Failed to purge ${page.url}:`, error.message);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Find a source's pages and pick the ones to index this run
+   * @returns {Promise<Object>} { urlData: [{ url, lastmod, priority }] to index,
+   *   discovered: Set of every URL the source lists, complete: whether `discovered`
+   *   is the full list (every sitemap read, or a local directory), so pages
+   *   missing from it can be tombstoned }
+   */
   async discoverDocumentUrls(source) {
-    // Parse sitemap and extract URLs with optional lastmod timestamps
+    if (source.type === 'local') {
+      const entries = (await this.localSources.discover(source))
+        .filter(({ url }) => this.registry.matchesUrl(source, url));
+      console.log(`📁 Found ${entries.length} files in ${source.path}`);
+      return {
+        urlData: this.applyPageBudget(source, entries),
+        discovered: new Set(entries.map(({ url }) => url)),
+        complete: true,
+      };
+    }
+
+    // Parse the source's sitemaps (plus any listed in robots.txt) and extract
+    // URLs with optional lastmod timestamps
     const urlData = [];
+    const seen = new Set();
+    const visitedSitemaps = new Set();
+    let sitemapFetched = false;
+    const failedSitemaps = [];
+
+    const robotsSitemaps = (await this.getRobotsSitemaps(source.baseUrl))
+      .filter(url => !source.sitemaps.includes(url));
+    const sitemaps = [
+      ...source.sitemaps.map(url => ({ url, fromRobots: false })),
+      ...robotsSitemaps.map(url => ({ url, fromRobots: true })),
+    ];
 
-    try {
-      // Try to fetch sitemap
-      const sitemapUrl = `${source.baseUrl}/sitemap.xml`;
-      const response = await axios.get(sitemapUrl, { timeout: 10000 });
-      const $ = cheerio.load(response.data, { xmlMode: true });
-      
-      $('url').each((_, element) => {
-        const $url = $(element);
-        const loc = $url.find('loc').text();
-        const lastmod = $url.find('lastmod').text(); // May be empty if not present
-        
-        // Filter out blog posts, archives, and search pages
-        if (loc && 
-            !loc.includes('/blog') && 
-            !loc.includes('/archive') && 
-            !loc.includes('/search') &&
-            !loc.includes('/tags/') &&
-            !loc.includes('/authors')) {
-          urlData.push({
-            url: loc,
-            lastmod: lastmod ? new Date(lastmod).getTime() : null,
-          });
+    for (const sitemap of sitemaps) {
+      try {
+        const entries = await this.fetchSitemapEntries(sitemap.url, visitedSitemaps, 0, failedSitemaps);
+        sitemapFetched = true;
+
+        for (const { url, lastmod, priority } of entries) {
+          // Site-wide sitemaps from robots.txt may cover more than this source
+          if (sitemap.fromRobots && !url.startsWith(source.baseUrl)) continue;
+
+          // Apply the source's include/exclude patterns (blog posts, archives, search pages...)
+          if (!seen.has(url) && this.registry.matchesUrl(source, url)) {
+            seen.add(url);
+            urlData.push({ url, lastmod, priority });
+          }
         }
-      });
+      } catch (error) {
+        failedSitemaps.push(sitemap.url);
+        console.error(`Could not fetch sitemap ${sitemap.url} for ${source.name}: ${error.message}`);
+      }
+    }
+
+    // Crawls and fallback pages are partial views of the site, so only a
+    // fully read sitemap can say a page is gone
+    const complete = sitemapFetched && failedSitemaps.length === 0 && urlData.length > 0;
+    const discovered = new Set(urlData.map(({ url }) => url));
 
-      if (urlData.length === 0) {
-        console.warn(`No valid URLs found in sitemap for ${source.name}, using fallback`);
-        const fallbackUrls = this.getFallbackUrls(source);
-        urlData.push(...fallbackUrls.map(url => ({ url, lastmod: null })));
+    if (urlData.length === 0 && source.crawl) {
+      // No usable sitemap: crawl the site from its seed pages instead
+      console.warn(sitemapFetched
+        ? `No valid URLs found in sitemap for ${source.name}, crawling links instead`
+        : `Could not fetch sitemap for ${source.name}, crawling links instead`);
+      try {
+        const crawledUrls = await this.crawler.crawl(source, { ...source.crawl, registry: this.registry });
+        urlData.push(...crawledUrls.map(url => ({ url, lastmod: null })));
+      } catch (error) {
+        console.error(`Crawl of ${source.name} failed: ${error.message}`);
       }
-    } catch (error) {
+    }
+
+    if (urlData.length === 0) {
       // Fallback: return common documentation pages
-      console.error(`Could not fetch sitemap for ${source.name}, using fallback URLs`);
+      console.warn(`No pages discovered for ${source.name}, using fallback URLs`);
       const fallbackUrls = this.getFallbackUrls(source);
       urlData.push(...fallbackUrls.map(url => ({ url, lastmod: null })));
     }
 
-    // Limit based on source to keep indexing reasonable
-    const limit = source.id === 'suse' ? 50 : 30;
-    return urlData.slice(0, limit);
+    // Drop pages robots.txt forbids before they count against the budget
+    const allowed = [];
+    for (const item of urlData) {
+      if (await this.fetchService.isAllowed(item.url)) {
+        allowed.push(item);
+      }
+    }
+    if (allowed.length < urlData.length) {
+      console.warn(`🤖 ${source.name}: robots.txt disallows ${urlData.length - allowed.length} of ${urlData.length} discovered pages`);
+    }
+
+    return { urlData: this.applyPageBudget(source, allowed), discovered, complete };
+  }
+
+  /**
+   * Sort discovered pages by priority and keep what fits the page budget
+   */
+  applyPageBudget(source, urlData) {
+    // Most important pages first, so a page budget cuts the least useful ones
+    const prioritized = this.prioritizeUrls(source, urlData);
+    const maxPages = source.budget?.maxPages;
+
+    if (maxPages && prioritized.length > maxPages) {
+      const leftOut = prioritized.length - maxPages;
+      this.budgetStats.pages += leftOut;
+      console.warn(`⚠️  ${source.name}: page budget (${maxPages}) leaves out ${leftOut} of ${prioritized.length} discovered pages`);
+      return prioritized.slice(0, maxPages);
+    }
+
+    return prioritized;
+  }
+
+  /**
+   * Order discovered URLs by importance: the source's priority patterns first
+   * (in the order they are listed), then sitemap <priority>, then shallower paths
+   */
+  prioritizeUrls(source, urlData) {
+    const patterns = source.priority || [];
+    const rank = (url) => {
+      const idx = patterns.findIndex(pattern => pattern.test(url));
+      return idx === -1 ? patterns.length : idx;
+    };
+    const depth = (url) => {
+      try {
+        return new URL(url).pathname.split('/').filter(Boolean).length;
+      } catch (error) {
+        return Infinity;
+      }
+    };
+
+    return urlData
+      .map((item, order) => ({ item, order, rank: rank(item.url), depth: depth(item.url) }))
+      .sort((a, b) =>
+        a.rank - b.rank ||
+        (b.item.priority ?? 0.5) - (a.item.priority ?? 0.5) ||
+        a.depth - b.depth ||
+        a.order - b.order
+      )
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Read `Sitemap:` lines from the site's robots.txt
+   * @returns {Promise<Array<string>>} Sitemap URLs (empty if robots.txt is missing)
+   */
+  async getRobotsSitemaps(baseUrl) {
+    try {
+      return await this.fetchService.getSitemaps(baseUrl);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Fetch a sitemap and return its page entries. Sitemap indexes are followed
+   * recursively and gzipped sitemaps (.xml.gz) are decompressed.
+   * @param {string} sitemapUrl - Sitemap or sitemap index URL
+   * @param {Set<string>} visited - Sitemaps already read (guards against loops)
+   * @param {number} depth - Current sitemap index nesting level
+   * @param {Array<string>} failed - Collects child sitemaps that could not be read
+   * @returns {Promise<Array<{url: string, lastmod: number|null}>>}
+   */
+  async fetchSitemapEntries(sitemapUrl, visited = new Set(), depth = 0, failed = []) {
+    if (visited.has(sitemapUrl) || depth > 5) return [];
+    visited.add(sitemapUrl);
+
+    const response = await this.fetchService.get(sitemapUrl, { timeout: 10000, responseType: 'arraybuffer' });
+    let body = Buffer.from(response.data);
+
+    // Gzip magic bytes: the file itself is compressed, not just the transfer
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = zlib.gunzipSync(body);
+    }
+
+    const $ = cheerio.load(body.toString('utf-8'), { xmlMode: true });
+    const entries = [];
+
+    $('url').each((_, element) => {
+      const $url = $(element);
+      const loc = $url.find('loc').first().text().trim();
+      const lastmod = Date.parse($url.find('lastmod').first().text().trim()); // May be empty if not present
+      const priority = parseFloat($url.find('priority').first().text());
+
+      if (loc) {
+        entries.push({
+          url: loc,
+          lastmod: Number.isNaN(lastmod) ? null : lastmod,
+          priority: Number.isNaN(priority) ? null : priority,
+        });
+      }
+    });
+
+    // Sitemap index: descend into each child sitemap
+    const children = $('sitemap > loc').map((_, element) => $(element).text().trim()).get();
+    for (const child of children.filter(Boolean)) {
+      try {
+        entries.push(...await this.fetchSitemapEntries(child, visited, depth + 1, failed));
+      } catch (error) {
+        failed.push(child);
+        console.error(`Could not fetch child sitemap ${child}: ${error.message}`);
+      }
+    }
+
+    return entries;
   }
 
   async preFilterUrls(urlData, forceRefresh) {
@@ -642,59 +1187,8 @@ export class DocumentationService {
   }
 
   getFallbackUrls(source) {
-    // Provide some common starting URLs for each source
-    switch (source.id) {
-      case 'suse':
-        return [
-          `${source.baseUrl}/sles/15-SP5/`,
-          `${source.baseUrl}/sle-micro/5.5/`,
-        ];
-      case 'rancher':
-        return [
-          `${source.baseUrl}/getting-started/overview`,
-          `${source.baseUrl}/how-to-guides/new-user-guides/kubernetes-clusters-in-rancher-setup/launch-kubernetes-with-rancher`,
-        ];
-      case 'k3s':
-        return [
-          `${source.baseUrl}/`,
-          `${source.baseUrl}/installation`,
-          `${source.baseUrl}/architecture`,
-        ];
-      case 'rke2':
-        return [
-          `${source.baseUrl}/install/quickstart`,
-          `${source.baseUrl}/install/configuration`,
-          `${source.baseUrl}/architecture`,
-          `${source.baseUrl}/advanced`,
-        ];
-      case 'longhorn':
-        return [
-          `${source.baseUrl}/latest/`,
-          `${source.baseUrl}/latest/deploy/install/`,
-          `${source.baseUrl}/latest/concepts/`,
-          `${source.baseUrl}/latest/best-practices/`,
-        ];
-      case 'harvester':
-        return [
-          `${source.baseUrl}/v1.3/`,
-          `${source.baseUrl}/v1.3/install/requirements`,
-          `${source.baseUrl}/v1.3/vm/create-vm`,
-        ];
-      case 'neuvector':
-        return [
-          `${source.baseUrl}/basics/overview`,
-          `${source.baseUrl}/deploying/kubernetes`,
-          `${source.baseUrl}/navigation/multicluster`,
-        ];
-      case 'kubewarden':
-        return [
-          `${source.baseUrl}/quick-start`,
-          `${source.baseUrl}/writing-policies/`,
-          `${source.baseUrl}/operator-manual/`,
-        ];
-      default:
-        return [];
-    }
+    // Common starting URLs configured for each source in the registry
+    return source.fallbackUrls || [];
   }
 
   extractTitle(markdown) {
@@ -719,4 +1213,23 @@ export class DocumentationService {
     this.pageCacheStats.hitsCached = 0;
     this.pageCacheStats.misses = 0;
   }
+
+  getBudgetStats() {
+    const { pages, bytes, embeddingCalls } = this.budgetStats;
+    return {
+      ...this.budgetStats,
+      total: pages + bytes + embeddingCalls,
+    };
+  }
+
+  resetBudgetStats() {
+    this.budgetStats.pages = 0;
+    this.budgetStats.bytes = 0;
+    this.budgetStats.embeddingCalls = 0;
+  }
+
+  resetTombstoneStats() {
+    this.tombstoneStats.tombstoned = 0;
+    this.tombstoneStats.restored = 0;
+  }
 }
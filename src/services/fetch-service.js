@@ -0,0 +1,319 @@
+import axios, { AxiosError } from 'axios';
+
+const DEFAULT_USER_AGENT = 'DocsNavigatorMCP/1.0 (+https://github.com/mso-docs/Docs-Navigator-MCP-SUSE-Edition)';
+
+// How long a robots.txt that could not be fetched (5xx, network error) blocks a host
+// before we try again
+const ROBOTS_RETRY_MS = 10 * 60 * 1000;
+
+let sharedInstance = null;
+
+/**
+ * Fetch Service
+ * The one HTTP layer every crawler-like caller goes through. It sends an
+ * identifiable User-Agent, obeys robots.txt (Disallow/Allow and Crawl-delay)
+ * and rate-limits requests per host with a token bucket.
+ *
+ * Use FetchService.shared() so all callers in the process share the same
+ * per-host buckets and robots.txt cache.
+ */
+export class FetchService {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.respectRobots = options.respectRobots ?? process.env.RESPECT_ROBOTS_TXT !== 'false';
+    // Sustained requests per second per host, and how many may go out back to back
+    this.ratePerSecond = options.ratePerSecond || parseFloat(process.env.FETCH_RATE_LIMIT) || 2;
+    this.burst = options.burst || parseInt(process.env.FETCH_RATE_BURST) || 2;
+    this.robotsTtl = (options.robotsTtlHours || parseInt(process.env.ROBOTS_CACHE_TTL) || 24) * 60 * 60 * 1000;
+
+    this.robotsCache = new Map(); // origin -> { rules, crawlDelay, sitemaps, expiresAt }
+    this.robotsPending = new Map(); // origin -> Promise, so concurrent callers fetch robots.txt once
+    this.buckets = new Map(); // host -> { tokens, updatedAt, queue }
+    this.stats = {
+      requests: 0,
+      blockedByRobots: 0,
+      throttledMs: 0,
+    };
+  }
+
+  /**
+   * Process-wide instance shared by DocumentationService, CrawlerService and
+   * ChangeDetectionService
+   */
+  static shared() {
+    if (!sharedInstance) {
+      sharedInstance = new FetchService();
+    }
+    return sharedInstance;
+  }
+
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  async head(url, config = {}) {
+    return this.request({ ...config, method: 'head', url });
+  }
+
+  /**
+   * Make a request after checking robots.txt and waiting for the host's rate
+   * limit. Redirects are followed here rather than by axios, so each hop is
+   * checked against its own host's robots.txt and rate limit
+   * @param {Object} config - axios request config (url is required;
+   *   maxRedirects defaults to 5)
+   * @returns {Promise<Object>} axios response
+   * @throws {Error} with code 'ROBOTS_DISALLOWED' when robots.txt forbids the URL
+   *   or a redirect target
+   */
+  async request(config) {
+    const { maxRedirects = 5, validateStatus = (status) => status >= 200 && status < 300 } = config;
+    let { url, method = 'get' } = config;
+
+    for (let redirects = 0; ; redirects++) {
+      if (!(await this.isAllowed(url))) {
+        this.stats.blockedByRobots++;
+        const error = new Error(`Disallowed by robots.txt: ${url}`);
+        error.code = 'ROBOTS_DISALLOWED';
+        throw error;
+      }
+
+      const response = await this.send({ ...config, url, method, maxRedirects: 0, validateStatus: () => true });
+      const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+
+      if (location && maxRedirects > 0) {
+        if (redirects >= maxRedirects) {
+          throw new AxiosError('Maximum number of redirects exceeded', 'ERR_FR_TOO_MANY_REDIRECTS',
+            response.config, response.request, response);
+        }
+        url = new URL(location, url).href;
+        // 303 See Other asks for a GET of the new location
+        if (response.status === 303 && method !== 'head') method = 'get';
+        continue;
+      }
+
+      // Same rejection axios would have raised itself
+      if (!validateStatus(response.status)) {
+        throw new AxiosError(`Request failed with status code ${response.status}`,
+          response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+          response.config, response.request, response);
+      }
+      return response;
+    }
+  }
+
+  async send(config) {
+    await this.throttle(config.url);
+    this.stats.requests++;
+
+    return axios.request({
+      ...config,
+      headers: {
+        ...(config.headers || {}),
+        'User-Agent': this.userAgent,
+      },
+    });
+  }
+
+  /**
+   * Check a URL against its host's robots.txt
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(url) {
+    if (!this.respectRobots) return true;
+
+    const robots = await this.getRobots(url);
+    return this.matchRules(robots.rules, new URL(url));
+  }
+
+  /**
+   * Sitemap URLs listed in a host's robots.txt
+   * @returns {Promise<Array<string>>}
+   */
+  async getSitemaps(url) {
+    const robots = await this.getRobots(url);
+    return robots.sitemaps;
+  }
+
+  /**
+   * Get the parsed robots.txt for a URL's origin, fetching it when missing or stale
+   */
+  async getRobots(url) {
+    const origin = new URL(url).origin;
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    if (!this.robotsPending.has(origin)) {
+      this.robotsPending.set(origin, this.fetchRobots(origin).finally(() => this.robotsPending.delete(origin)));
+    }
+    return this.robotsPending.get(origin);
+  }
+
+  async fetchRobots(origin) {
+    let robots;
+    try {
+      const response = await this.send({
+        method: 'get',
+        url: `${origin}/robots.txt`,
+        timeout: 10000,
+        responseType: 'text',
+        validateStatus: () => true,
+      });
+
+      if (response.status >= 500) {
+        // Server error: assume everything is disallowed until we can read it (RFC 9309)
+        robots = { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, sitemaps: [], expiresAt: Date.now() + ROBOTS_RETRY_MS };
+      } else if (response.status >= 400) {
+        // No robots.txt: everything is allowed
+        robots = { rules: [], crawlDelay: null, sitemaps: [], expiresAt: Date.now() + this.robotsTtl };
+      } else {
+        robots = { ...this.parseRobots(String(response.data)), expiresAt: Date.now() + this.robotsTtl };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read ${origin}/robots.txt (${error.message}), pausing requests to this host`);
+      robots = { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, sitemaps: [], expiresAt: Date.now() + ROBOTS_RETRY_MS };
+    }
+
+    this.robotsCache.set(origin, robots);
+    if (robots.crawlDelay) {
+      // Crawl-delay wins over the configured rate when it is slower
+      const bucket = this.getBucket(new URL(origin).host);
+      bucket.ratePerSecond = Math.min(this.ratePerSecond, 1 / robots.crawlDelay);
+      bucket.burst = 1;
+      bucket.tokens = Math.min(bucket.tokens, 1);
+    }
+    return robots;
+  }
+
+  /**
+   * Parse robots.txt, keeping the group that applies to our User-Agent
+   * (or the '*' group when no group names us)
+   * @returns {Object} { rules: [{ allow, pattern }], crawlDelay, sitemaps }
+   */
+  parseRobots(text) {
+    const agentToken = this.userAgent.split('/')[0].toLowerCase();
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!match) continue;
+
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything
+        if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay > 0) current.crawlDelay = delay;
+      }
+    }
+
+    // A group applies when it names our product token exactly (case-insensitive),
+    // so groups for e.g. "bot" or "docs" are not ours
+    const ours = groups.filter((group) => group.agents.includes(agentToken));
+    const selected = ours.length > 0 ? ours : groups.filter((group) => group.agents.includes('*'));
+
+    return {
+      rules: selected.flatMap((group) => group.rules),
+      crawlDelay: selected.map((group) => group.crawlDelay).find((delay) => delay !== null) ?? null,
+      sitemaps,
+    };
+  }
+
+  /**
+   * Longest matching rule wins; Allow wins a tie. Supports '*' and '$' in patterns.
+   */
+  matchRules(rules, url) {
+    const target = url.pathname + url.search;
+    let best = null;
+
+    for (const rule of rules) {
+      if (!this.patternToRegExp(rule.pattern).test(target)) continue;
+      if (!best || rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, {
+        tokens: this.burst,
+        burst: this.burst,
+        ratePerSecond: this.ratePerSecond,
+        updatedAt: Date.now(),
+        queue: Promise.resolve(),
+      });
+    }
+    return this.buckets.get(host);
+  }
+
+  /**
+   * Wait for a token from the host's bucket. Waiters are served in order.
+   */
+  async throttle(url) {
+    const bucket = this.getBucket(new URL(url).host);
+    const turn = bucket.queue.then(() => this.takeToken(bucket));
+    bucket.queue = turn;
+    return turn;
+  }
+
+  async takeToken(bucket) {
+    const refill = () => {
+      const now = Date.now();
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.ratePerSecond);
+      bucket.updatedAt = now;
+    };
+
+    refill();
+    if (bucket.tokens < 1) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.ratePerSecond) * 1000);
+      this.stats.throttledMs += waitMs;
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      refill();
+    }
+    bucket.tokens = Math.max(0, bucket.tokens - 1);
+  }
+
+  getStats() {
+    return { ...this.stats, hosts: this.buckets.size };
+  }
+}
@@ -0,0 +1,169 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Lexical Index Service
+ * SQLite FTS5 index over chunk text, ranked with BM25. It catches exact
+ * tokens that embeddings blur: flags (`--cluster-init`), environment
+ * variables (`INSTALL_K3S_EXEC`), CVE ids and error strings.
+ */
+export class LexicalIndexService {
+  constructor(dbPath = process.env.LEXICAL_INDEX_PATH || './data/lexical-index.db') {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    // '_' is part of a token so INSTALL_K3S_EXEC stays one word; hyphenated
+    // terms like --cluster-init are matched as phrases instead (see buildQuery)
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+        chunk_id UNINDEXED,
+        doc_id UNINDEXED,
+        source UNINDEXED,
+        metadata UNINDEXED,
+        title,
+        content,
+        tokenize = "unicode61 tokenchars '_'"
+      );
+    `);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Replace all chunks of a document
+   * @param {string} docId - Document id (the page URL)
+   * @param {Array<Object>} chunks - [{ id, content, metadata }]
+   */
+  async upsertDocument(docId, chunks) {
+    await this.initialize();
+
+    const remove = this.db.prepare('DELETE FROM chunks_fts WHERE doc_id = ?');
+    const insert = this.db.prepare(`
+      INSERT INTO chunks_fts (chunk_id, doc_id, source, metadata, title, content)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      remove.run(docId);
+      for (const chunk of chunks) {
+        insert.run(
+          chunk.id,
+          docId,
+          chunk.metadata.source || null,
+          JSON.stringify(chunk.metadata),
+          chunk.metadata.title || '',
+          chunk.content
+        );
+      }
+    })();
+  }
+
+  async deleteDocument(docId) {
+    await this.initialize();
+    this.db.prepare('DELETE FROM chunks_fts WHERE doc_id = ?').run(docId);
+  }
+
+  async deleteSource(sourceId) {
+    await this.initialize();
+    this.db.prepare('DELETE FROM chunks_fts WHERE source = ?').run(sourceId);
+  }
+
+  async clear() {
+    await this.initialize();
+    this.db.prepare('DELETE FROM chunks_fts').run();
+  }
+
+  async count() {
+    await this.initialize();
+    return this.db.prepare('SELECT COUNT(*) as count FROM chunks_fts').get().count;
+  }
+
+  /**
+   * Turn free text into an FTS5 query: every whitespace-separated term is
+   * quoted (so punctuation can't break the syntax) and terms are OR'ed, letting
+   * BM25 rank chunks that match more of them higher. A term such as
+   * `--cluster-init` becomes the phrase "cluster init".
+   * @returns {string|null} FTS5 MATCH expression, or null if nothing searchable
+   */
+  buildQuery(query) {
+    const terms = query
+      .split(/\s+/)
+      .map((term) => term.split(/[^\p{L}\p{N}_]+/u).filter(Boolean).join(' '))
+      .filter(Boolean)
+      .map((term) => `"${term}"`);
+
+    return terms.length > 0 ? Array.from(new Set(terms)).join(' OR ') : null;
+  }
+
+  /**
+   * BM25 search over chunk text and titles
+   * @param {string} query - Free-text query
+   * @param {Object} filters - { sources, version, urlPrefix, indexedAfter, indexedBefore }
+   *   as built by VectorService.buildFilters; null values are ignored
+   * @param {number} limit - Maximum chunks to return
+   * @returns {Promise<Array<Object>>} [{ id, content, metadata, score }], best first
+   */
+  async search(query, filters = {}, limit = 10) {
+    await this.initialize();
+
+    const match = this.buildQuery(query);
+    if (!match) return [];
+
+    const conditions = ['chunks_fts MATCH ?'];
+    const params = [match];
+    if (filters.sources) {
+      conditions.push(`source IN (${filters.sources.map(() => '?').join(', ')})`);
+      params.push(...filters.sources);
+    }
+    if (filters.version) {
+      conditions.push("json_extract(metadata, '$.version') = ?");
+      params.push(filters.version);
+    }
+    if (filters.urlPrefix) {
+      conditions.push("substr(json_extract(metadata, '$.url'), 1, ?) = ?");
+      params.push(filters.urlPrefix.length, filters.urlPrefix);
+    }
+    if (filters.indexedAfter) {
+      conditions.push("json_extract(metadata, '$.indexedAt') >= ?");
+      params.push(filters.indexedAfter);
+    }
+    if (filters.indexedBefore) {
+      conditions.push("json_extract(metadata, '$.indexedAt') <= ?");
+      params.push(filters.indexedBefore);
+    }
+
+    // bm25() is lower-is-better; titles weigh twice as much as body text
+    const rows = this.db.prepare(`
+      SELECT chunk_id, content, metadata, bm25(chunks_fts, 0, 0, 0, 0, 2.0, 1.0) as rank
+      FROM chunks_fts
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank
+      LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map((row) => ({
+      id: row.chunk_id,
+      content: row.content,
+      metadata: JSON.parse(row.metadata),
+      score: -row.rank,
+    }));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.initialized = false;
+    }
+  }
+}
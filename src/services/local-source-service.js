@@ -0,0 +1,353 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Directories never worth walking into
+const SKIPPED_DIRS = new Set(['.git', 'node_modules', '.docusaurus', 'build']);
+
+// How long the list of uncommitted files is reused before asking git again
+const DIRTY_TTL_MS = 10 * 1000;
+
+/**
+ * Local Source Service
+ * Indexes Markdown, MDX and AsciiDoc files from a local directory or git clone.
+ * Pages get canonical URLs from the source's urlTemplate, and in a git
+ * checkout the last commit that touched a file is its version, standing in
+ * for the ETag a web page would have.
+ */
+export class LocalSourceService {
+  constructor() {
+    // sourceId -> Map(url -> relative file path), filled by discover()
+    this.documents = new Map();
+    // directory -> { head, commits: Map(relative path -> commit), dirty, dirtyAt }
+    this.commitCache = new Map();
+  }
+
+  /**
+   * List the source's files as discovered pages
+   * @param {Object} source - Local source definition from the registry
+   * @returns {Promise<Array<{url: string, lastmod: number, priority: null, file: string}>>}
+   */
+  async discover(source) {
+    const files = await this.listFiles(source);
+    const urls = new Map();
+    const entries = [];
+
+    for (const file of files) {
+      const fullPath = path.join(source.path, file);
+      const [text, stat] = await Promise.all([fs.readFile(fullPath, 'utf-8'), fs.stat(fullPath)]);
+      const { frontMatter } = this.splitFrontMatter(text);
+      if (frontMatter.draft === 'true' || frontMatter.unlisted === 'true') continue;
+
+      const url = this.buildUrl(source, file, frontMatter);
+      if (urls.has(url)) continue;
+
+      urls.set(url, file);
+      entries.push({ url, lastmod: stat.mtimeMs, priority: null, file });
+    }
+
+    this.documents.set(source.id, urls);
+    return entries;
+  }
+
+  /**
+   * Walk the source directory and return files matching its globs
+   * @returns {Promise<Array<string>>} POSIX paths relative to source.path, sorted
+   */
+  async listFiles(source) {
+    const include = source.globs.map((glob) => this.globToRegExp(glob));
+    const ignore = source.ignoreGlobs.map((glob) => this.globToRegExp(glob));
+    const files = [];
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIPPED_DIRS.has(entry.name)) await walk(fullPath);
+          continue;
+        }
+
+        const relative = path.relative(source.path, fullPath).split(path.sep).join('/');
+        if (include.some((re) => re.test(relative)) && !ignore.some((re) => re.test(relative))) {
+          files.push(relative);
+        }
+      }
+    };
+
+    try {
+      await walk(source.path);
+    } catch (error) {
+      throw new Error(`Cannot read local source ${source.id} at ${source.path}: ${error.message}`);
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Read a page and convert it to Markdown
+   * @param {Object} source - Local source definition
+   * @param {string} url - Canonical URL from discover()
+   * @returns {Promise<Object>} { markdown, title, filePath, contentHash, version }
+   */
+  async readDocument(source, url, filePath = null) {
+    const fullPath = filePath || path.join(source.path, await this.resolveFile(source, url));
+    const text = await fs.readFile(fullPath, 'utf-8');
+    const { frontMatter, body } = this.splitFrontMatter(text);
+    const isAsciiDoc = /\.(adoc|asciidoc)$/i.test(fullPath);
+
+    const markdown = isAsciiDoc ? this.asciiDocToMarkdown(body) : this.cleanMarkdown(body, fullPath);
+    const heading = markdown.match(/^#\s+(.+)$/m);
+
+    return {
+      markdown,
+      title: frontMatter.title || frontMatter.sidebar_label || heading?.[1].trim() || path.basename(fullPath).replace(/\.[^.]+$/, ''),
+      filePath: fullPath,
+      contentHash: this.hashContent(text),
+      version: await this.getFileVersion(source, fullPath),
+    };
+  }
+
+  async resolveFile(source, url) {
+    if (!this.documents.has(source.id)) {
+      await this.discover(source);
+    }
+    const file = this.documents.get(source.id).get(url);
+    if (!file) {
+      throw new Error(`No file in local source ${source.id} maps to ${url}`);
+    }
+    return file;
+  }
+
+  /**
+   * The file's version: the last commit that touched it, or null when the
+   * directory isn't a git checkout or the file has uncommitted changes
+   * @returns {Promise<string|null>}
+   */
+  async getFileVersion(source, filePath) {
+    const git = await this.getGitState(source);
+    if (!git) return null;
+
+    const relative = path.relative(source.path, filePath).split(path.sep).join('/');
+    if (git.dirty.has(relative)) return null;
+    return git.commits.get(relative) || null;
+  }
+
+  /**
+   * Compare a cached page with the file on disk
+   * @param {Object} cached - Page cache entry (htmlPath holds the file path)
+   * @returns {Promise<Object>} { changed, method, version, contentHash }
+   */
+  async checkForChanges(source, cached) {
+    const version = await this.getFileVersion(source, cached.htmlPath);
+
+    if (version && cached.etag) {
+      return { changed: version !== cached.etag, method: 'git-commit', version };
+    }
+
+    const contentHash = this.hashContent(await fs.readFile(cached.htmlPath, 'utf-8'));
+    return { changed: contentHash !== cached.contentHash, method: 'content-hash', version, contentHash };
+  }
+
+  /**
+   * Per-file last commits and uncommitted files for a git checkout, cached
+   * until HEAD moves
+   * @returns {Promise<Object|null>} { head, commits, dirty } or null outside git
+   */
+  async getGitState(source) {
+    let head;
+    try {
+      head = (await this.git(source.path, ['rev-parse', 'HEAD'])).trim();
+    } catch (error) {
+      return null;
+    }
+
+    let state = this.commitCache.get(source.path);
+    if (!state || state.head !== head) {
+      // One pass over history: the first commit listing a file is its latest
+      const log = await this.git(source.path, ['log', '--format=%x00%H', '--name-only', '--relative', '--', '.']);
+      const commits = new Map();
+      let commit = null;
+      for (const line of log.split('\n')) {
+        if (line.startsWith('\0')) {
+          commit = line.slice(1);
+        } else if (line && commit && !commits.has(line)) {
+          commits.set(line, commit);
+        }
+      }
+      state = { head, commits, dirty: null, dirtyAt: 0 };
+      this.commitCache.set(source.path, state);
+    }
+
+    // Uncommitted edits change without HEAD moving, so only reuse them briefly
+    if (!state.dirty || Date.now() - state.dirtyAt > DIRTY_TTL_MS) {
+      const [modified, untracked] = await Promise.all([
+        this.git(source.path, ['diff', '--name-only', '--relative', 'HEAD']),
+        this.git(source.path, ['ls-files', '--others', '--exclude-standard']),
+      ]);
+      state.dirty = new Set([...modified.split('\n'), ...untracked.split('\n')].filter(Boolean));
+      state.dirtyAt = Date.now();
+    }
+
+    return state;
+  }
+
+  async git(cwd, args) {
+    const { stdout } = await execFileAsync('git', ['-c', 'core.quotepath=off', ...args], {
+      cwd,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  }
+
+  /**
+   * Fill the source's urlTemplate for a file
+   *   {path} - relative path without extension; index/README pages map to their directory
+   *   {file} - relative path with extension
+   *   {slug} - front-matter slug (Docusaurus), falling back to {path}
+   */
+  buildUrl(source, file, frontMatter = {}) {
+    const withoutExt = file.replace(/\.[^./]+$/, '');
+    const pagePath = withoutExt.replace(/(^|\/)(index|README|_index)$/i, '');
+    const slug = frontMatter.slug ? frontMatter.slug.replace(/^\/+/, '') : pagePath;
+
+    return source.urlTemplate
+      .replace(/\{path\}/g, pagePath)
+      .replace(/\{file\}/g, file)
+      .replace(/\{slug\}/g, slug);
+  }
+
+  /**
+   * Split YAML front matter from the body. Only flat `key: value` pairs are
+   * read, which covers title, slug, sidebar_label and draft.
+   */
+  splitFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+      return { frontMatter: {}, body: text };
+    }
+
+    const frontMatter = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+      if (pair) {
+        frontMatter[pair[1]] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+      }
+    }
+
+    return { frontMatter, body: text.slice(match[0].length) };
+  }
+
+  /**
+   * Drop MDX-only syntax (imports, exports, JSX wrapper lines, admonition fences)
+   */
+  cleanMarkdown(body, filePath) {
+    if (!/\.mdx$/i.test(filePath)) return body.trim();
+
+    return body
+      .split('\n')
+      .filter((line) => !/^\s*(import|export)\s/.test(line))
+      .filter((line) => !/^\s*<\/?[A-Z][\w.]*(\s[^>]*)?\/?>\s*$/.test(line))
+      .map((line) => line.replace(/^:::\s*(\w+)\s*(.*)$/, (_, type, title) => `**${type.charAt(0).toUpperCase()}${type.slice(1)}${title ? `: ${title}` : ''}**`))
+      .filter((line) => !/^:::\s*$/.test(line))
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * Convert the common subset of AsciiDoc to Markdown: titles, listing and
+   * literal blocks, admonitions and links. Attributes, includes, conditionals
+   * and comments are dropped.
+   */
+  asciiDocToMarkdown(body) {
+    const output = [];
+    let language = '';
+    let inBlock = null;
+
+    for (const line of body.split(/\r?\n/)) {
+      if (inBlock) {
+        if (line === inBlock) {
+          output.push('```');
+          inBlock = null;
+        } else {
+          output.push(line);
+        }
+        continue;
+      }
+
+      const source = line.match(/^\[source,\s*([\w+-]+)/);
+      if (source) {
+        language = source[1];
+        continue;
+      }
+      if (line === '----' || line === '....') {
+        output.push('```' + language);
+        inBlock = line;
+        language = '';
+        continue;
+      }
+
+      if (/^(:[\w-]+:|\/\/|include::|ifdef::|ifndef::|endif::|ifeval::)/.test(line) || /^\[[^\]]*\]$/.test(line)) {
+        continue;
+      }
+
+      const heading = line.match(/^(={1,6})\s+(.+)$/);
+      if (heading) {
+        output.push(`${'#'.repeat(heading[1].length)} ${heading[2]}`);
+        continue;
+      }
+
+      output.push(line
+        .replace(/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s+/, (_, type) => `> **${type.charAt(0)}${type.slice(1).toLowerCase()}:** `)
+        .replace(/link:([^\s[]+)\[([^\]]*)\]/g, (_, url, text) => `[${text || url}](${url})`)
+        .replace(/xref:[^\s[]+\[([^\]]*)\]/g, '$1')
+        .replace(/(https?:\/\/[^\s[]+)\[([^\]]+)\]/g, '[$2]($1)'));
+    }
+
+    return output.join('\n').trim();
+  }
+
+  /**
+   * Convert a glob (supports **, *, ? and {a,b}) to a RegExp over POSIX paths
+   */
+  globToRegExp(glob) {
+    let pattern = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        // '**/' matches zero or more directories
+        if (glob[i + 2] === '/') {
+          pattern += '(?:.*/)?';
+          i += 2;
+        } else {
+          pattern += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        pattern += '[^/]*';
+      } else if (char === '?') {
+        pattern += '[^/]';
+      } else if (char === '{') {
+        pattern += '(?:';
+        braceDepth++;
+      } else if (char === '}' && braceDepth > 0) {
+        pattern += ')';
+        braceDepth--;
+      } else if (char === ',' && braceDepth > 0) {
+        pattern += '|';
+      } else {
+        pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${pattern}$`);
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
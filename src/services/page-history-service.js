@@ -0,0 +1,249 @@
+import { CacheService } from './cache-service.js';
+
+// Above this many line pairs the changed middle of two versions is shown as
+// removed and re-added instead of aligned line by line
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Page History Service
+ * Reads the page versions indexing records in the page cache (one per
+ * distinct content hash, with the extracted Markdown) and diffs any two of
+ * them as a unified diff.
+ *
+ * Versions are referred to by id, by date (the version that was current at
+ * that time), or as 'latest' / 'previous'.
+ */
+export class PageHistoryService {
+  constructor(cacheService = null) {
+    this.cacheService = cacheService || new CacheService(process.env.PAGE_CACHE_PATH || './data/page-cache.db');
+  }
+
+  async initialize() {
+    if (!this.cacheService.initialized) {
+      await this.cacheService.initialize();
+    }
+  }
+
+  /**
+   * List a page's versions, oldest first
+   * @returns {Promise<Array<Object>>} [{ id, contentHash, title, size, capturedAt }],
+   *   with capturedAt as an ISO string
+   */
+  async listVersions(url) {
+    await this.initialize();
+    return this.cacheService.getPageVersions(url).map((version) => ({
+      ...version,
+      capturedAt: new Date(version.capturedAt).toISOString(),
+    }));
+  }
+
+  /**
+   * Look up one version of a page
+   * @param {string} url - Page URL
+   * @param {string|number} ref - Version id, date, 'latest' or 'previous'
+   * @throws {Error} with code 'INVALID_VERSION' for an unreadable ref and
+   *   'VERSION_NOT_FOUND' when the page has no such version
+   */
+  async getVersion(url, ref = 'latest') {
+    await this.initialize();
+
+    let version;
+    if (ref === 'latest' || ref === 'previous') {
+      const versions = this.cacheService.getPageVersions(url);
+      const match = versions[versions.length - (ref === 'latest' ? 1 : 2)];
+      version = match ? this.cacheService.getPageVersion(url, { id: match.id }) : null;
+    } else if (/^\d+$/.test(String(ref))) {
+      version = this.cacheService.getPageVersion(url, { id: Number(ref) });
+    } else {
+      const at = new Date(ref).getTime();
+      if (Number.isNaN(at)) {
+        throw versionError('INVALID_VERSION', `Invalid version: ${ref} (use a version id, a date, 'latest' or 'previous')`);
+      }
+      version = this.cacheService.getPageVersion(url, { at });
+    }
+
+    if (!version) {
+      throw versionError('VERSION_NOT_FOUND', `No version '${ref}' recorded for ${url}`);
+    }
+    return { ...version, capturedAt: new Date(version.capturedAt).toISOString() };
+  }
+
+  /**
+   * Diff two versions of a page
+   * @param {string} url - Page URL
+   * @param {string|number} from - Older version ref (default: 'previous')
+   * @param {string|number} to - Newer version ref (default: 'latest')
+   * @param {Object} options - { context: unchanged lines around each change (default: 3) }
+   * @returns {Promise<Object>} { url, from, to, identical, stats: { added, removed }, diff }
+   */
+  async diff(url, from = 'previous', to = 'latest', { context = 3 } = {}) {
+    const older = await this.getVersion(url, from);
+    const newer = await this.getVersion(url, to);
+
+    const { stats, hunks } = this.diffText(older.markdown, newer.markdown, { context });
+    const describe = ({ id, title, contentHash, capturedAt }) => ({ id, title, contentHash, capturedAt });
+
+    return {
+      url,
+      from: describe(older),
+      to: describe(newer),
+      identical: stats.added === 0 && stats.removed === 0,
+      stats,
+      diff: [
+        `--- ${url} (version ${older.id}, ${older.capturedAt})`,
+        `+++ ${url} (version ${newer.id}, ${newer.capturedAt})`,
+        hunks,
+      ].filter(Boolean).join('\n'),
+    };
+  }
+
+  /**
+   * Diff two texts line by line
+   * @returns {Object} { stats: { added, removed }, hunks: unified diff hunks without file headers }
+   */
+  diffText(oldText, newText, { context = 3 } = {}) {
+    const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+    return {
+      stats: {
+        added: ops.filter((op) => op.type === '+').length,
+        removed: ops.filter((op) => op.type === '-').length,
+      },
+      hunks: formatHunks(ops, context).join('\n'),
+    };
+  }
+
+  /**
+   * Render a diff result as a Markdown document
+   */
+  formatMarkdown(result) {
+    const title = result.to.title || result.from.title || result.url;
+    const lines = [
+      `# Changes to ${title}`,
+      '',
+      `<${result.url}>`,
+      '',
+      `Version ${result.from.id} (${result.from.capturedAt}) → version ${result.to.id} (${result.to.capturedAt}): ` +
+        `${result.stats.added} lines added, ${result.stats.removed} removed`,
+      '',
+    ];
+
+    if (result.identical) {
+      lines.push('The extracted text is identical; only the page markup changed.');
+    } else {
+      lines.push('```diff', result.diff, '```');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  close() {
+    this.cacheService.close();
+  }
+}
+
+function versionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Line diff: common prefix and suffix are matched directly, the changed
+ * middle through a longest-common-subsequence table
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ type: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    ops.push(...midA.map((line) => ({ type: '-', line })), ...midB.map((line) => ({ type: '+', line })));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        ops.push({ type: '-', line: midA[i++] });
+      } else {
+        ops.push({ type: '+', line: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: '-', line: midA[i++] });
+    while (j < m) ops.push({ type: '+', line: midB[j++] });
+  }
+
+  ops.push(...a.slice(endA).map((line) => ({ type: ' ', line })));
+  return ops;
+}
+
+/**
+ * Group diff operations into unified diff hunks
+ * @returns {Array<string>} Hunk header and body lines
+ */
+function formatHunks(ops, context) {
+  const changes = [];
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') changes.push(index);
+  });
+
+  // Changes closer than two context windows share a hunk
+  const groups = [];
+  for (const index of changes) {
+    const group = groups[groups.length - 1];
+    if (group && index - group.end <= context * 2 + 1) {
+      group.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  // Line numbers before each operation, so hunk headers can be computed
+  const oldLine = [];
+  const newLine = [];
+  let oldCount = 0;
+  let newCount = 0;
+  for (const op of ops) {
+    oldLine.push(oldCount);
+    newLine.push(newCount);
+    if (op.type !== '+') oldCount++;
+    if (op.type !== '-') newCount++;
+  }
+
+  const lines = [];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length, group.end + context + 1);
+    const hunk = ops.slice(from, to);
+    const oldLength = hunk.filter((op) => op.type !== '+').length;
+    const newLength = hunk.filter((op) => op.type !== '-').length;
+
+    lines.push(`@@ -${oldLine[from] + (oldLength > 0 ? 1 : 0)},${oldLength} +${newLine[from] + (newLength > 0 ? 1 : 0)},${newLength} @@`);
+    lines.push(...hunk.map((op) => `${op.type}${op.line}`));
+  }
+  return lines;
+}
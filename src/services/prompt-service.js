@@ -0,0 +1,154 @@
+/**
+ * Prompt Service
+ * Named MCP prompt templates for common SUSE operations workflows. Each prompt
+ * searches the relevant sources and embeds the retrieved passages so the
+ * resulting message list can be sent to a model as-is.
+ */
+
+const PROMPTS = [
+  {
+    name: 'troubleshoot-k3s-install',
+    description: 'Troubleshoot a failing K3s installation using the K3s docs',
+    arguments: [
+      { name: 'symptom', description: 'Error message or behaviour you are seeing', required: true },
+      { name: 'environment', description: 'OS, architecture, air-gapped or not, install flags used', required: false },
+    ],
+    searches: (args) => [
+      { source: 'k3s', query: `K3s installation ${args.symptom}` },
+      { source: 'k3s', query: 'K3s installation requirements and known issues' },
+    ],
+    instructions: (args) =>
+      `I'm installing K3s and running into a problem: ${args.symptom}\n` +
+      (args.environment ? `Environment: ${args.environment}\n` : '') +
+      '\nUsing the documentation below, identify the most likely causes, the commands to confirm each one, ' +
+      'and the steps to fix it. Cite sources using [Source N] notation.',
+  },
+  {
+    name: 'plan-rancher-upgrade',
+    description: 'Build a step-by-step Rancher upgrade plan between two versions',
+    arguments: [
+      { name: 'currentVersion', description: 'Rancher version currently installed', required: true },
+      { name: 'targetVersion', description: 'Rancher version to upgrade to', required: true },
+      { name: 'installType', description: 'How Rancher is installed (e.g. Helm on RKE2, Docker)', required: false },
+    ],
+    searches: (args) => [
+      { source: 'rancher', query: `upgrade Rancher ${args.installType || ''} to ${args.targetVersion}`.replace(/\s+/g, ' ') },
+      { source: 'rancher', query: 'Rancher backup before upgrade and rollback' },
+      { source: 'rancher', query: `Rancher ${args.targetVersion} support matrix Kubernetes versions` },
+    ],
+    instructions: (args) =>
+      `Plan an upgrade of Rancher from ${args.currentVersion} to ${args.targetVersion}` +
+      (args.installType ? ` (installed via ${args.installType})` : '') + '.\n' +
+      '\nUsing the documentation below, list pre-upgrade checks, backups to take, the upgrade steps in order, ' +
+      'validation after the upgrade, and how to roll back. Call out any breaking changes. ' +
+      'Cite sources using [Source N] notation.',
+  },
+  {
+    name: 'compare-k3s-rke2',
+    description: 'Compare K3s and RKE2 for a given use case',
+    arguments: [
+      { name: 'useCase', description: 'Workload or environment the cluster is for (e.g. edge, regulated datacenter)', required: false },
+    ],
+    searches: (args) => [
+      { source: 'k3s', query: `K3s architecture ${args.useCase || ''}`.trim() },
+      { source: 'rke2', query: `RKE2 architecture security ${args.useCase || ''}`.trim() },
+    ],
+    instructions: (args) =>
+      'Compare K3s and RKE2' + (args.useCase ? ` for this use case: ${args.useCase}` : '') + '.\n' +
+      '\nUsing the documentation below, compare architecture, resource footprint, security and compliance posture, ' +
+      'datastore options, and upgrade model, then recommend one. Cite sources using [Source N] notation.',
+  },
+  {
+    name: 'harden-cluster-with-neuvector',
+    description: 'Produce a NeuVector hardening plan for a Kubernetes cluster',
+    arguments: [
+      { name: 'distribution', description: 'Kubernetes distribution (e.g. RKE2, K3s)', required: false },
+      { name: 'focus', description: 'Area to prioritise (e.g. network segmentation, admission control)', required: false },
+    ],
+    searches: (args) => [
+      { source: 'neuvector', query: `deploy NeuVector on ${args.distribution || 'Kubernetes'}` },
+      { source: 'neuvector', query: `NeuVector ${args.focus || 'security policy'} protect mode` },
+    ],
+    instructions: (args) =>
+      `Harden my ${args.distribution || 'Kubernetes'} cluster with NeuVector` +
+      (args.focus ? `, focusing on ${args.focus}` : '') + '.\n' +
+      '\nUsing the documentation below, describe deployment, the policies to enable in order ' +
+      '(discover, monitor, protect), and how to verify each step. Cite sources using [Source N] notation.',
+  },
+];
+
+export class PromptService {
+  constructor(vectorService, aiService) {
+    this.vectorService = vectorService;
+    this.aiService = aiService;
+    this.resultsPerSearch = parseInt(process.env.PROMPT_RESULTS_PER_SEARCH) || 3;
+  }
+
+  /**
+   * List prompt definitions in MCP format
+   */
+  listPrompts() {
+    return PROMPTS.map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args,
+    }));
+  }
+
+  /**
+   * Render a prompt with retrieved documentation embedded
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments (all values are strings)
+   * @returns {Promise<Object>} { description, messages }
+   */
+  async getPrompt(name, args = {}) {
+    const prompt = PROMPTS.find((p) => p.name === name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    for (const arg of prompt.arguments) {
+      if (arg.required && !args[arg.name]) {
+        throw new Error(`Missing required argument: ${arg.name}`);
+      }
+    }
+
+    const passages = await this.retrievePassages(prompt.searches(args));
+    const text = prompt.instructions(args) +
+      '\n\nDocumentation Sources:\n' +
+      (passages.length > 0
+        ? this.aiService.formatSources(passages)
+        : '(No indexed documentation matched. Run index_documentation for the relevant sources first.)');
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text,
+          },
+        },
+      ],
+    };
+  }
+
+  async retrievePassages(searches) {
+    const passages = [];
+    const seen = new Set();
+
+    for (const { query, source } of searches) {
+      const results = await this.vectorService.search(query, source, this.resultsPerSearch);
+
+      for (const result of results) {
+        const key = `${result.metadata.url}\n${result.content}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        passages.push(result);
+      }
+    }
+
+    return passages;
+  }
+}
@@ -0,0 +1,177 @@
+import { DocumentationService } from './documentation-service.js';
+
+/**
+ * Re-index Service
+ * Closes the loop between change detection and indexing: changed and new
+ * pages are queued in the page cache database (reindex_queue), then
+ * re-fetched, re-chunked and re-embedded one source at a time under the same
+ * `index-<source>` lock the indexer takes. Only the queued pages' chunks are
+ * replaced; the rest of the index is untouched.
+ */
+export class ReindexService {
+  constructor(docService = null) {
+    this.docService = docService || new DocumentationService();
+    // Failed pages are retried on later runs up to this many times
+    this.maxAttempts = parseInt(process.env.REINDEX_MAX_ATTEMPTS) || 3;
+    this.lockTimeout = 1800; // 30 minutes, like a full indexing run
+  }
+
+  get cache() {
+    return this.docService.pageCache;
+  }
+
+  async initialize() {
+    if (this.docService.useJsonCache) {
+      throw new Error('Automatic re-indexing requires the SQLite page cache (unset USE_JSON_CACHE)');
+    }
+    await this.docService.loadPageCache();
+  }
+
+  /**
+   * Queue the changed and new pages of a change detection run
+   * @param {Object} checkResults - Results from checkAllSources or checkSourceForChanges
+   * @returns {Promise<number>} Number of pages queued
+   */
+  async enqueueChanges(checkResults) {
+    await this.initialize();
+
+    const sourceResults = checkResults.sources ? Object.values(checkResults.sources) : [checkResults];
+    const entries = sourceResults.flatMap((result) =>
+      [...result.changed, ...result.new].map((page) => ({
+        url: page.url,
+        source: result.source,
+        reason: page.status,
+        contentHash: page.newHash,
+      }))
+    );
+
+    return entries.length > 0 ? this.cache.enqueueReindex(entries) : 0;
+  }
+
+  /**
+   * Re-index queued pages, one source at a time. Sources whose lock is held
+   * by another indexing process are left queued for the next run. Pages whose
+   * tombstone grace period is over are purged while the lock is held.
+   * @param {Object} options - { sources: only these source IDs, limit: pages per source,
+   *   onProgress(processed, total, { url, source, status }) }
+   * @returns {Promise<Object>} { timestamp, queued, reindexed, gone, failed, retrying, locked, purged }
+   */
+  async processQueue(options = {}) {
+    const { sources = null, limit = null, onProgress = null } = options;
+    await this.initialize();
+
+    const results = {
+      timestamp: new Date().toISOString(),
+      queued: 0,
+      reindexed: [],
+      gone: [],
+      failed: [],
+      retrying: [],
+      locked: [],
+      purged: [],
+    };
+
+    const pending = this.cache.getPendingReindex()
+      .filter((entry) => !sources || sources.includes(entry.source));
+    const bySource = new Map();
+    for (const entry of pending) {
+      if (!bySource.has(entry.source)) bySource.set(entry.source, []);
+      bySource.get(entry.source).push(entry);
+    }
+    // Sources that were checked may have expired tombstones even with nothing queued
+    for (const sourceId of sources || []) {
+      if (!bySource.has(sourceId)) bySource.set(sourceId, []);
+    }
+
+    const total = Array.from(bySource.values()).reduce((sum, entries) => sum + Math.min(entries.length, limit || Infinity), 0);
+    let processed = 0;
+
+    for (const [sourceId, entries] of bySource) {
+      const source = this.docService.sources.get(sourceId);
+      if (!source) {
+        for (const entry of entries) {
+          this.cache.markReindex(entry.url, 'failed', `Unknown source: ${sourceId}`);
+          results.failed.push({ url: entry.url, source: sourceId, error: `Unknown source: ${sourceId}` });
+        }
+        continue;
+      }
+
+      // Also refused while a full `index all` run holds index-all
+      const lockName = `index-${sourceId}`;
+      const lock = this.docService.acquireIndexLock(sourceId, this.lockTimeout);
+      if (!lock.acquired) {
+        console.log(`⚠️  ${source.name} is being indexed by another process; ${entries.length} pages stay queued`);
+        results.locked.push(sourceId);
+        continue;
+      }
+
+      try {
+        const batch = limit ? entries.slice(0, limit) : entries;
+        results.queued += batch.length;
+
+        for (const entry of batch) {
+          const status = await this.reindexPage(source, entry, results);
+          processed++;
+          if (onProgress) {
+            onProgress(processed, total, { url: entry.url, source: sourceId, status });
+          }
+        }
+
+        results.purged.push(...await this.docService.purgeTombstones(sourceId));
+      } finally {
+        this.cache.releaseLock(lockName, lock.lockId);
+      }
+    }
+
+    await this.docService.vectorService.aiService.saveEmbeddingCache();
+    return results;
+  }
+
+  /**
+   * Re-index one queued page and record the outcome in the queue
+   * @returns {Promise<string>} 'reindexed', 'gone', 'retrying' or 'failed'
+   */
+  async reindexPage(source, entry, results) {
+    try {
+      // The cached copy is the outdated version, so a failed fetch is a failure
+      await this.docService.indexPage(source, entry.url, { fallbackToCache: false });
+      this.cache.markReindex(entry.url, 'done');
+      results.reindexed.push({ url: entry.url, source: source.id, reason: entry.reason });
+      return 'reindexed';
+    } catch (error) {
+      if (error.code === 'PAGE_GONE') {
+        // Tombstoned by the fetch; purged once the grace period is over
+        this.cache.markReindex(entry.url, 'gone', error.message);
+        results.gone.push({ url: entry.url, source: source.id });
+        return 'gone';
+      }
+
+      const giveUp = entry.attempts + 1 >= this.maxAttempts;
+      this.cache.markReindex(entry.url, giveUp ? 'failed' : 'pending', error.message);
+      (giveUp ? results.failed : results.retrying).push({ url: entry.url, source: source.id, error: error.message });
+      return giveUp ? 'failed' : 'retrying';
+    }
+  }
+
+  /**
+   * Queue a change detection run's changed and new pages and re-index them
+   * @param {Object} checkResults - Results from checkAllSources or checkSourceForChanges
+   * @param {Object} options - Passed to processQueue
+   */
+  async run(checkResults, options = {}) {
+    const sources = checkResults.sources ? Object.keys(checkResults.sources) : [checkResults.source];
+    await this.enqueueChanges(checkResults);
+    return this.processQueue({ sources, ...options });
+  }
+
+  getQueueStats(source = null) {
+    return this.cache.getReindexStats(source);
+  }
+
+  close() {
+    if (!this.docService.useJsonCache) {
+      this.docService.pageCache.close();
+    }
+    this.docService.vectorService.close();
+  }
+}
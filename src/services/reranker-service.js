@@ -0,0 +1,155 @@
+import { Ollama } from 'ollama';
+import pLimit from 'p-limit';
+import { AIService } from './ai-service.js';
+
+export const RERANK_MODES = ['off', 'ollama', 'llm'];
+
+/**
+ * Reranker Service
+ * Optional second pass over the top search candidates: each passage is
+ * rescored against the query, either by a local reranker model through
+ * Ollama ("ollama") or by an LLM-as-judge prompt through AIService ("llm").
+ * Reranking runs under a time budget; if it fails or runs out of time the
+ * candidates keep their retrieval order.
+ */
+export class RerankerService {
+  constructor(aiService = null) {
+    this.aiService = aiService || new AIService();
+    this.mode = process.env.RERANK_MODE || 'off';
+    if (!RERANK_MODES.includes(this.mode)) {
+      console.warn(`⚠️  Unknown RERANK_MODE "${this.mode}", reranking disabled`);
+      this.mode = 'off';
+    }
+    // Candidates rescored per search; the rest keep their retrieval order below them
+    this.topN = parseInt(process.env.RERANK_TOP_N) || 20;
+    this.timeoutMs = parseInt(process.env.RERANK_TIMEOUT_MS) || 5000;
+    this.model = process.env.RERANK_MODEL || process.env.OLLAMA_MODEL || 'llama3.2:latest';
+    this.concurrency = parseInt(process.env.RERANK_CONCURRENCY) || 4;
+    // Passages are trimmed so the judge prompt stays small
+    this.maxPassageLength = 1000;
+    this.ollamaClient = null;
+    this.stats = {
+      reranked: 0,
+      fallbacks: 0,
+      timeouts: 0,
+    };
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Rescore the first topN candidates and reorder them
+   * @param {string} query - Search query
+   * @param {Array<Object>} candidates - [{ content, ... }] in retrieval order
+   * @returns {Promise<Array<Object>>} Reranked candidates with `rerankScore`, or
+   *   the input unchanged if reranking is off, failed or timed out
+   */
+  async rerank(query, candidates) {
+    if (!this.enabled || candidates.length < 2) return candidates;
+
+    const head = candidates.slice(0, this.topN);
+    const tail = candidates.slice(this.topN);
+
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+
+    try {
+      const scores = await Promise.race([this.scoreCandidates(query, head), deadline]);
+
+      // Stable sort: equal scores keep their retrieval order
+      const reranked = head
+        .map((candidate, i) => ({ ...candidate, rerankScore: scores[i] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+      this.stats.reranked++;
+      return [...reranked, ...tail];
+    } catch (error) {
+      this.stats.fallbacks++;
+      if (error.message.startsWith('timed out')) this.stats.timeouts++;
+      console.warn(`⚠️  Reranking skipped, keeping retrieval order: ${error.message}`);
+      return candidates;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async scoreCandidates(query, candidates) {
+    const passages = candidates.map((candidate) => candidate.content.slice(0, this.maxPassageLength));
+    return this.mode === 'ollama'
+      ? await this.scoreWithOllama(query, passages)
+      : await this.scoreWithJudge(query, passages);
+  }
+
+  /**
+   * Pointwise scoring with a local model: one short prompt per passage
+   * @returns {Promise<number[]>} Scores from 0 to 10
+   */
+  async scoreWithOllama(query, passages) {
+    if (!this.ollamaClient) {
+      this.ollamaClient = new Ollama({ host: process.env.OLLAMA_BASE_URL || 'http://localhost:11434' });
+    }
+    const limit = pLimit(this.concurrency);
+
+    return Promise.all(passages.map((passage) => limit(async () => {
+      const response = await this.ollamaClient.generate({
+        model: this.model,
+        prompt: `Rate how well the passage answers the query, from 0 (irrelevant) to 10 (answers it directly). Reply with the number only.
+
+Query: ${query}
+
+Passage:
+${passage}
+
+Score:`,
+        stream: false,
+        options: { temperature: 0, num_predict: 4 },
+      });
+      return this.parseScore(response.response);
+    })));
+  }
+
+  /**
+   * Listwise scoring: a single LLM-as-judge prompt over all passages
+   * @returns {Promise<number[]>} Scores from 0 to 10
+   */
+  async scoreWithJudge(query, passages) {
+    const numbered = passages.map((passage, i) => `[${i + 1}]\n${passage}`).join('\n\n');
+    const response = await this.aiService.generateCompletion(`You are ranking documentation passages for a search engine.
+
+Query: ${query}
+
+Passages:
+${numbered}
+
+Rate how well each passage answers the query, from 0 (irrelevant) to 10 (answers it directly). Reply with a JSON array of ${passages.length} numbers, one per passage in order, and nothing else.`);
+
+    const match = response.match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(scores) || scores.length !== passages.length) {
+      throw new Error(`judge returned ${scores ? `${scores.length} scores for ${passages.length} passages` : 'no scores'}`);
+    }
+    return scores.map(Number);
+  }
+
+  parseScore(text) {
+    const match = String(text).match(/\d+(\.\d+)?/);
+    if (!match) {
+      throw new Error(`reranker returned no score: "${String(text).trim().slice(0, 50)}"`);
+    }
+    return parseFloat(match[0]);
+  }
+
+  getStats() {
+    return { mode: this.mode, ...this.stats };
+  }
+
+  resetStats() {
+    this.stats.reranked = 0;
+    this.stats.fallbacks = 0;
+    this.stats.timeouts = 0;
+  }
+}
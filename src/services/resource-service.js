@@ -0,0 +1,114 @@
+/**
+ * Resource Service
+ * Exposes indexed documentation pages as MCP resources addressed by
+ * docs://<source>/<path> URIs
+ */
+export class ResourceService {
+  constructor(docService) {
+    this.docService = docService;
+    this.pageSize = parseInt(process.env.RESOURCE_PAGE_SIZE) || 500;
+    // Maps resource URIs back to page URLs (rebuilt on every listing)
+    this.uriIndex = new Map();
+  }
+
+  /**
+   * Build the resource URI for a page URL
+   * @param {string} url - Page URL
+   * @param {string} sourceId - Source ID the page belongs to
+   * @returns {string} docs://<source>/<path> URI
+   */
+  getResourceUri(url, sourceId) {
+    const source = this.docService.sources.get(sourceId);
+    let resourcePath;
+
+    if (source && url.startsWith(source.baseUrl)) {
+      resourcePath = url.substring(source.baseUrl.length);
+    } else {
+      // Page lives outside the source's base URL, keep the host to stay unique
+      const parsed = new URL(url);
+      resourcePath = `${parsed.host}${parsed.pathname}${parsed.search}`;
+    }
+
+    return `docs://${sourceId}/${resourcePath.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Collect every indexed page as a resource descriptor
+   */
+  async getIndexedResources() {
+    await this.docService.loadPageCache();
+
+    const resources = [];
+    this.uriIndex.clear();
+
+    for (const [url, entry] of this.docService.pageCache.entries()) {
+      if (!entry.indexed) continue;
+
+      const sourceId = entry.source || this.docService.getSourceFromUrl(url);
+      if (!sourceId) continue;
+
+      const uri = this.getResourceUri(url, sourceId);
+      const source = this.docService.sources.get(sourceId);
+      this.uriIndex.set(uri, url);
+
+      resources.push({
+        uri,
+        name: uri.substring('docs://'.length),
+        description: `${source?.name || sourceId}: ${url}`,
+        mimeType: 'text/markdown',
+      });
+    }
+
+    return resources.sort((a, b) => a.uri.localeCompare(b.uri));
+  }
+
+  /**
+   * List resources one page at a time
+   * @param {string} cursor - Opaque cursor returned by a previous call
+   * @returns {Promise<Object>} { resources, nextCursor }
+   */
+  async listResources(cursor = null) {
+    const resources = await this.getIndexedResources();
+    const offset = cursor ? parseInt(cursor) || 0 : 0;
+    const page = resources.slice(offset, offset + this.pageSize);
+    const nextOffset = offset + page.length;
+
+    return {
+      resources: page,
+      nextCursor: nextOffset < resources.length ? String(nextOffset) : undefined,
+    };
+  }
+
+  /**
+   * Resolve a resource URI to the page URL it was built from
+   * @returns {Promise<string|null>} Page URL or null if unknown
+   */
+  async resolveUri(uri) {
+    if (!this.uriIndex.has(uri)) {
+      await this.getIndexedResources();
+    }
+    return this.uriIndex.get(uri) || null;
+  }
+
+  /**
+   * Read the cached markdown for a resource
+   */
+  async readResource(uri) {
+    const url = await this.resolveUri(uri);
+    if (!url) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    const { markdown } = await this.docService.getCachedDocumentation(url);
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/markdown',
+          text: markdown,
+        },
+      ],
+    };
+  }
+}
@@ -0,0 +1,507 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CacheService } from './cache-service.js';
+import { ChangeDetectionService } from './change-detection-service.js';
+import { DigestService } from './digest-service.js';
+import { DocumentationService } from './documentation-service.js';
+import { ReindexService } from './reindex-service.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'jobs.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Cron Expression
+ * Standard five-field cron syntax (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps, month and weekday names, and the @daily-style
+ * macros. Times are in the process's local time zone (set TZ to change it).
+ * As in cron, when both day fields are restricted (neither starts with `*`)
+ * a day matching either runs.
+ */
+export class CronExpression {
+  constructor(expression) {
+    this.expression = expression;
+    const fields = (CRON_MACROS[expression.trim().toLowerCase()] || expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw scheduleError(`Invalid schedule "${expression}": expected 5 fields (minute hour day month weekday) or a macro like @daily`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, CRON_FIELDS[i], expression));
+    this.minutes = minutes;
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    // 7 is another name for Sunday
+    this.weekdays = new Set([...weekdays].map(day => day % 7));
+    // A field starting with * (e.g. */2) is a filter, not a restriction
+    this.anyDay = fields[2].startsWith('*');
+    this.anyWeekday = fields[4].startsWith('*');
+  }
+
+  /**
+   * The first time after `after` that matches
+   * @param {number|Date} after - Start time (exclusive)
+   * @returns {Date}
+   */
+  next(after = Date.now()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Five years covers every satisfiable combination, Feb 29 included
+    const limit = date.getTime() + 5 * 366 * DAY;
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+    throw scheduleError(`Schedule "${this.expression}" never matches`);
+  }
+
+  matchesDay(date) {
+    const day = this.days.has(date.getDate());
+    const weekday = this.weekdays.has(date.getDay());
+    if (this.anyDay || this.anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  }
+}
+
+/**
+ * Scheduler Service
+ * Runs the jobs defined in jobs.json (or the file named by JOBS_CONFIG_PATH)
+ * on cron schedules: indexing, change checks, digests and database
+ * maintenance. Each job's next run and last result are kept in the page
+ * cache database, so schedules survive restarts; a run missed while the
+ * scheduler was down happens once when it starts again.
+ *
+ * A job holds the lock `job-<name>` while it runs, so it never overlaps
+ * itself, even across processes (e.g. the web server and a standalone
+ * scheduler). Due jobs run one after another.
+ */
+export class SchedulerService {
+  constructor(cacheService = null, docService = null) {
+    this.cacheService = cacheService || new CacheService(process.env.PAGE_CACHE_PATH || './data/page-cache.db');
+    this.docService = docService;
+    this.ownsDocService = !docService;
+    this.configPath = process.env.JOBS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+    this.tickSeconds = parseInt(process.env.SCHEDULER_TICK_SECONDS) || 30;
+    this.historyRuns = parseInt(process.env.JOB_HISTORY_RUNS) || 100;
+    this.jobs = new Map();
+    this.jobsLoaded = false;
+    this.timer = null;
+    this.ticking = null;
+    this.stopped = true;
+    this.stopping = false;
+    this.tasks = {
+      index: (job) => this.indexTask(job),
+      check: (job) => this.checkTask(job),
+      digest: (job) => this.digestTask(job),
+      vacuum: () => this.vacuumTask(),
+    };
+  }
+
+  /**
+   * Add a task type jobs can use
+   * @param {string} name - Task name, as used in a job's "task"
+   * @param {Function} fn - async (job) => result summary (stored as JSON)
+   */
+  registerTask(name, fn) {
+    this.tasks[name] = fn;
+  }
+
+  async initialize() {
+    if (this.jobsLoaded) return;
+    if (!this.cacheService.initialized) {
+      await this.cacheService.initialize();
+    }
+    this.loadJobs();
+    this.jobsLoaded = true;
+  }
+
+  /**
+   * Read the job definitions and store each job's next run. A job keeps its
+   * persisted next run unless it is new or its schedule or task changed.
+   */
+  loadJobs() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw jobError(`No jobs defined: ${this.configPath} does not exist (copy jobs.example.json to start)`, 'NO_JOBS_CONFIG');
+      }
+      throw new Error(`Failed to load jobs from ${this.configPath}: ${error.message}`);
+    }
+
+    const now = Date.now();
+    this.jobs.clear();
+    for (const definition of config.jobs || []) {
+      const job = this.validateJob(definition);
+      if (this.jobs.has(job.name)) {
+        throw jobError(`Duplicate job name: ${job.name}`);
+      }
+      this.jobs.set(job.name, job);
+
+      const state = this.cacheService.getJob(job.name);
+      const unchanged = state && state.schedule === job.schedule && state.task === job.task && state.nextRunAt;
+      this.cacheService.saveJob({
+        ...job,
+        nextRunAt: unchanged ? state.nextRunAt : job.cron.next(now).getTime(),
+      });
+    }
+  }
+
+  validateJob(definition) {
+    const { name, schedule, task, enabled = true, timeoutMinutes = 180 } = definition;
+    if (!name || !/^[\w.-]+$/.test(name)) {
+      throw jobError(`Invalid job name: ${JSON.stringify(name)} (use letters, digits, ".", "_" and "-")`);
+    }
+    if (!this.tasks[task]) {
+      throw jobError(`Job ${name}: unknown task "${task}" (available: ${Object.keys(this.tasks).join(', ')})`);
+    }
+    if (typeof schedule !== 'string') {
+      throw jobError(`Job ${name}: schedule is required`);
+    }
+    return { ...definition, name, schedule, task, enabled, timeoutMinutes, cron: new CronExpression(schedule) };
+  }
+
+  /**
+   * Run due jobs now and then every SCHEDULER_TICK_SECONDS until stop()
+   */
+  async start() {
+    await this.initialize();
+    this.stopped = false;
+    this.stopping = false;
+    console.log(`⏰ Scheduler started with ${this.jobs.size} job(s) from ${this.configPath}`);
+
+    const loop = async () => {
+      this.ticking = this.tick().catch(error => console.error('❌ Scheduler tick failed:', error.message));
+      await this.ticking;
+      this.ticking = null;
+      if (!this.stopped) {
+        this.timer = setTimeout(loop, this.tickSeconds * 1000);
+      }
+    };
+    await loop();
+  }
+
+  /**
+   * Stop scheduling; resolves once a running job has finished
+   */
+  async stop() {
+    if (this.stopped && !this.ticking) return;
+    this.stopped = true;
+    this.stopping = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.ticking;
+    this.stopping = false;
+    console.log('🛑 Scheduler stopped');
+  }
+
+  /**
+   * Run every enabled job whose next run has come, one after another
+   * @returns {Promise<Array<Object>>} The runs
+   */
+  async tick(now = Date.now()) {
+    const runs = [];
+    for (const job of this.jobs.values()) {
+      // stop() lets the running job finish but starts no more
+      if (this.stopping) break;
+      const state = this.cacheService.getJob(job.name);
+      if (job.enabled && state?.nextRunAt && state.nextRunAt <= now) {
+        runs.push(await this.runJob(job.name, { trigger: 'schedule' }));
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Run a job now, unless it is already running somewhere
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger: 'schedule' (the next run is moved on)
+   *   or 'manual' (default; the schedule is left as it is) }
+   * @returns {Promise<Object>} { job, trigger, status: 'success' | 'failed' |
+   *   'skipped', startedAt, finishedAt, durationMs, result, error }
+   */
+  async runJob(name, { trigger = 'manual' } = {}) {
+    await this.initialize();
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw jobError(`Unknown job: ${name}`, 'JOB_NOT_FOUND');
+    }
+
+    const startedAt = Date.now();
+    const lockName = `job-${name}`;
+    const lock = this.cacheService.acquireLock(lockName, job.timeoutMinutes * 60);
+
+    let status;
+    let result = null;
+    let error = null;
+    if (!lock.acquired) {
+      status = 'skipped';
+      error = `Already running (lock ${lockName} expires in ${Math.round(lock.expiresIn / 60)} min)`;
+      console.log(`⏭️  ${name}: ${error}`);
+    } else {
+      console.log(`▶️  Running job ${name} (${job.task})`);
+      try {
+        result = (await this.tasks[job.task](job)) ?? null;
+        status = 'success';
+        console.log(`✅ Job ${name} finished in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+      } catch (taskError) {
+        status = 'failed';
+        error = taskError.message;
+        console.error(`❌ Job ${name} failed: ${error}`);
+      } finally {
+        this.cacheService.releaseLock(lockName, lock.lockId);
+      }
+    }
+
+    const finishedAt = Date.now();
+    this.cacheService.recordJobRun(name, { trigger, status, startedAt, finishedAt, result, error }, this.historyRuns);
+    if (trigger === 'schedule') {
+      this.cacheService.setJobNextRun(name, job.cron.next(finishedAt).getTime());
+    }
+
+    return { job: name, trigger, status, startedAt, finishedAt, durationMs: finishedAt - startedAt, result, error };
+  }
+
+  /**
+   * The configured jobs with their state
+   * @returns {Promise<Array<Object>>} [{ name, task, schedule, enabled, running,
+   *   nextRunAt, lastRun: { at, status, durationMs, result, error } | null }], times as ISO strings
+   */
+  async listJobs() {
+    await this.initialize();
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    return Array.from(this.jobs.values()).map(job => {
+      const state = this.cacheService.getJob(job.name);
+      return {
+        name: job.name,
+        task: job.task,
+        schedule: job.schedule,
+        enabled: job.enabled,
+        running: this.cacheService.isLocked(`job-${job.name}`),
+        nextRunAt: job.enabled ? iso(state.nextRunAt) : null,
+        lastRun: state.lastRunAt ? {
+          at: iso(state.lastRunAt),
+          status: state.lastStatus,
+          durationMs: state.lastDurationMs,
+          result: state.lastResult,
+          error: state.lastError,
+        } : null,
+      };
+    });
+  }
+
+  /**
+   * A job's recent runs, newest first (times as ISO strings)
+   */
+  async getRuns(name, limit = 20) {
+    await this.initialize();
+    if (!this.jobs.has(name)) {
+      throw jobError(`Unknown job: ${name}`, 'JOB_NOT_FOUND');
+    }
+
+    return this.cacheService.getJobRuns(name, limit).map(run => ({
+      ...run,
+      startedAt: new Date(run.startedAt).toISOString(),
+      finishedAt: new Date(run.finishedAt).toISOString(),
+    }));
+  }
+
+  async getDocService() {
+    if (!this.docService) {
+      this.docService = new DocumentationService();
+    }
+    await this.docService.loadPageCache();
+    return this.docService;
+  }
+
+  /**
+   * Index sources ("sources": source IDs or "all", "forceRefresh"), each
+   * under its index-<source> lock like `npm run index`
+   */
+  async indexTask(job) {
+    const docService = await this.getDocService();
+    const sources = job.sources === undefined || job.sources === 'all' ? ['all'] : [].concat(job.sources);
+    const result = {};
+
+    for (const source of sources) {
+      const lock = docService.useJsonCache ? null : docService.acquireIndexLock(source, job.timeoutMinutes * 60);
+      if (lock && !lock.acquired) {
+        result[source] = { skipped: 'Another indexing process is running' };
+        continue;
+      }
+
+      try {
+        const status = await docService.indexDocumentation(source, Boolean(job.forceRefresh));
+        if (!status.success) {
+          throw new Error(`Indexing ${source} failed: ${status.error}`);
+        }
+        result[source] = { documentsIndexed: status.documentsIndexed };
+      } finally {
+        if (lock) {
+          docService.pageCache.releaseLock(`index-${source}`, lock.lockId);
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Check sources for changes ("sources", default: all) and re-index what
+   * changed ("reindex", default: true), optionally only the pages that are
+   * due ("adaptive", "budget") and with a digest of the changes ("digest")
+   */
+  async checkTask(job) {
+    const docService = await this.getDocService();
+    if (docService.useJsonCache) {
+      throw new Error('Change checks need the SQLite page cache (USE_JSON_CACHE is set)');
+    }
+
+    const changeDetection = new ChangeDetectionService(docService.pageCache);
+    const sources = job.sources ? [].concat(job.sources) : changeDetection.registry.getIds();
+    const checkOptions = { limit: job.limit, olderThanDays: job.olderThanDays, parallel: job.parallel };
+
+    const results = job.adaptive
+      ? await changeDetection.checkDuePages(sources, { ...checkOptions, budget: job.budget })
+      : await changeDetection.checkAllSources(sources, checkOptions);
+    const summary = { summary: results.summary };
+    if (results.schedule) {
+      summary.schedule = results.schedule;
+    }
+
+    if (job.reindex !== false) {
+      const reindex = await new ReindexService(docService).run(results);
+      summary.reindex = Object.fromEntries(
+        ['reindexed', 'gone', 'failed', 'retrying', 'locked', 'purged'].map(key => [key, reindex[key].length])
+      );
+
+      if (job.digest && reindex.reindexed.length > 0) {
+        const digest = await new DigestService(docService.pageCache, docService.vectorService.aiService).run(results);
+        summary.digest = { id: digest.id, totals: digest.totals };
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Write a "what changed" digest of the last "days" (default: 7) for
+   * "sources" (default: all), with AI summaries unless "useAI" is false
+   */
+  async digestTask(job) {
+    const docService = await this.getDocService();
+    const digestService = new DigestService(this.cacheService, docService.vectorService.aiService);
+
+    const digest = await digestService.generate({
+      since: Date.now() - (job.days || 7) * DAY,
+      sources: job.sources ? [].concat(job.sources) : null,
+      useAI: job.useAI !== false,
+    });
+    await digestService.save(digest);
+    return { id: digest.id, totals: digest.totals };
+  }
+
+  /**
+   * Clear expired locks, then compact the page cache database
+   */
+  async vacuumTask() {
+    const locksCleared = this.cacheService.cleanupExpiredLocks();
+    return { locksCleared, ...this.cacheService.vacuum() };
+  }
+
+  async close() {
+    await this.stop();
+    if (this.ownsDocService && this.docService) {
+      if (!this.docService.useJsonCache && this.docService.pageCache.db) {
+        this.docService.pageCache.close();
+      }
+      this.docService.vectorService.close();
+    }
+    this.cacheService.close();
+  }
+}
+
+function parseField(field, { name, min, max, names }, expression) {
+  const values = new Set();
+  const toNumber = (value) => {
+    const index = names ? names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (name === 'month' ? 1 : 0) : Number(value);
+    if (!/^\d+$/.test(String(number)) || number < min || number > max) {
+      throw scheduleError(`Invalid schedule "${expression}": ${name} "${value}" is not between ${min} and ${max}`);
+    }
+    return number;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw scheduleError(`Invalid schedule "${expression}": bad step in ${name} "${part}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(toNumber);
+    } else {
+      from = toNumber(range);
+      // "5/15" means every 15 starting at 5
+      to = stepText === undefined ? from : max;
+    }
+    if (from > to) {
+      throw scheduleError(`Invalid schedule "${expression}": ${name} range "${range}" is backwards`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+function scheduleError(message) {
+  return jobError(message, 'INVALID_SCHEDULE');
+}
+
+function jobError(message, code = 'INVALID_JOB') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'sources.json');
+
+const DEFAULT_LOCAL_GLOBS = ['**/*.md', '**/*.mdx', '**/*.adoc'];
+
+/**
+ * Source Registry
+ * Loads documentation source definitions from sources.json (or the file named
+ * by SOURCES_CONFIG_PATH) so every consumer works from the same list
+ *
+ * Each entry supports:
+ *   id, name, baseUrl        - required (baseUrl only for web sources)
+ *   type                     - "web" (default) or "local"
+ *   baseUrlEnv               - env var that overrides baseUrl
+ *   sitemaps                 - sitemap URLs (default: <baseUrl>/sitemap.xml)
+ *   include / exclude        - regular expressions matched against page URLs
+ *   contentSelectors         - CSS selectors tried in order for the main content
+ *   fallbackUrls             - pages to index when no sitemap is usable
+ *                              (paths are relative to baseUrl)
+ *   budget                   - per-run indexing budget: { maxPages, maxBytes,
+ *                              maxEmbeddingCalls }; unset limits are unbounded
+ *   priority                 - regular expressions for sections to index first,
+ *                              most important first
+ *   crawl                    - link crawler settings used when no sitemap is
+ *                              usable: { seeds, maxDepth, maxPages, concurrency },
+ *                              or false to disable crawling
+ *   versionPattern           - regular expression whose first group extracts the
+ *                              product version from a page URL, e.g. "/v(\\d+\\.\\d+)/"
+ *
+ * Local sources (type "local") index files from a directory or git clone instead:
+ *   path, urlTemplate        - required; path is relative to the registry file
+ *   pathEnv                  - env var that overrides path
+ *   globs / ignoreGlobs      - files to index (default: Markdown, MDX, AsciiDoc)
+ *   urlTemplate              - canonical page URL, e.g. "https://docs.k3s.io/{path}";
+ *                              placeholders {path}, {file} and {slug}
+ * baseUrl defaults to the part of urlTemplate before the first placeholder.
+ *
+ * Values under "defaults" apply to every source that doesn't set them.
+ */
+export class SourceRegistry {
+  constructor(configPath = process.env.SOURCES_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.sources = new Map();
+    this.load();
+  }
+
+  load() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to load source registry from ${this.configPath}: ${error.message}`);
+    }
+
+    const defaults = config.defaults || {};
+    this.sources.clear();
+
+    for (const entry of config.sources || []) {
+      const source = this.normalize(entry, defaults);
+      if (this.sources.has(source.id)) {
+        throw new Error(`Duplicate source id in ${this.configPath}: ${source.id}`);
+      }
+      this.sources.set(source.id, source);
+    }
+  }
+
+  normalize(entry, defaults) {
+    const type = entry.type || 'web';
+    if (type !== 'web' && type !== 'local') {
+      throw new Error(`Source entry in ${this.configPath} has unknown type "${type}": ${entry.id}`);
+    }
+
+    const required = type === 'local' ? ['id', 'name', 'path', 'urlTemplate'] : ['id', 'name', 'baseUrl'];
+    for (const field of required) {
+      if (!entry[field]) {
+        throw new Error(`Source entry in ${this.configPath} is missing "${field}": ${JSON.stringify(entry)}`);
+      }
+    }
+
+    const configuredBaseUrl = (entry.baseUrlEnv && process.env[entry.baseUrlEnv]) || entry.baseUrl ||
+      entry.urlTemplate.split('{')[0];
+    const baseUrl = configuredBaseUrl.replace(/\/+$/, '');
+    const resolve = (url) => (/^https?:\/\//.test(url) ? url : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`);
+
+    const budget = {
+      maxPages: null,
+      maxBytes: null,
+      maxEmbeddingCalls: null,
+      ...(defaults.budget || {}),
+      ...(entry.budget || {}),
+    };
+    const fallbackUrls = (entry.fallbackUrls || []).map(resolve);
+
+    let crawl = null;
+    if (entry.crawl !== false && defaults.crawl !== false) {
+      const settings = { ...(defaults.crawl || {}), ...(entry.crawl || {}) };
+      crawl = {
+        seeds: settings.seeds ? settings.seeds.map(resolve) : (fallbackUrls.length > 0 ? fallbackUrls : [`${baseUrl}/`]),
+        maxDepth: settings.maxDepth ?? 3,
+        maxPages: settings.maxPages || budget.maxPages || 500,
+        concurrency: settings.concurrency || 2,
+      };
+    }
+
+    if (type === 'local') {
+      return {
+        id: entry.id,
+        name: entry.name,
+        type,
+        baseUrl,
+        path: path.resolve(path.dirname(this.configPath), (entry.pathEnv && process.env[entry.pathEnv]) || entry.path),
+        globs: entry.globs || DEFAULT_LOCAL_GLOBS,
+        ignoreGlobs: entry.ignoreGlobs || [],
+        urlTemplate: entry.urlTemplate,
+        sitemaps: [],
+        include: (entry.include || []).map((pattern) => new RegExp(pattern)),
+        exclude: (entry.exclude || []).map((pattern) => new RegExp(pattern)),
+        contentSelectors: [],
+        fallbackUrls: [],
+        budget,
+        priority: (entry.priority || defaults.priority || []).map((pattern) => new RegExp(pattern)),
+        versionPattern: entry.versionPattern ? new RegExp(entry.versionPattern) : null,
+        crawl: null,
+      };
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      type,
+      baseUrl,
+      sitemaps: (entry.sitemaps || defaults.sitemaps || ['/sitemap.xml']).map(resolve),
+      include: (entry.include || defaults.include || []).map((pattern) => new RegExp(pattern)),
+      exclude: (entry.exclude || defaults.exclude || []).map((pattern) => new RegExp(pattern)),
+      contentSelectors: entry.contentSelectors || defaults.contentSelectors || ['main', 'article', 'body'],
+      fallbackUrls,
+      budget,
+      priority: (entry.priority || defaults.priority || []).map((pattern) => new RegExp(pattern)),
+      versionPattern: entry.versionPattern ? new RegExp(entry.versionPattern) : null,
+      crawl,
+    };
+  }
+
+  /**
+   * Check a URL against the source's include/exclude patterns
+   */
+  matchesUrl(source, url) {
+    if (source.exclude.some((pattern) => pattern.test(url))) return false;
+    if (source.include.length === 0) return true;
+    return source.include.some((pattern) => pattern.test(url));
+  }
+
+  /**
+   * Product version of a page, taken from its URL with the source's versionPattern
+   * @returns {string|null} e.g. "15-SP5", or null if the source or URL has none
+   */
+  getVersion(source, url) {
+    const match = source.versionPattern && url.match(source.versionPattern);
+    return match ? match[1] : null;
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.sources.values());
+  }
+
+  getIds() {
+    return Array.from(this.sources.keys());
+  }
+}
@@ -0,0 +1,235 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * SQLite Vector Store
+ * Keeps vectors (float32 BLOBs), chunk text and metadata in one SQLite
+ * database next to the page cache. Writes are transactional, so parallel
+ * batches can't corrupt the index, and only the rows a query needs are read.
+ * Search is an exact brute-force cosine scan over the rows that pass the
+ * filters, which stays fast up to a few hundred thousand chunks.
+ */
+export class SqliteVectorStore {
+  constructor(dbPath = process.env.SQLITE_VECTOR_DB_PATH || './data/vectors.db') {
+    this.type = 'sqlite';
+    this.dbPath = dbPath;
+    this.location = dbPath;
+    this.db = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    // Filterable metadata is duplicated into columns so filters run in SQL
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chunks (
+        id TEXT PRIMARY KEY,
+        doc_id TEXT NOT NULL,
+        source TEXT,
+        version TEXT,
+        url TEXT,
+        indexed_at TEXT,
+        metadata TEXT NOT NULL,
+        content TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        norm REAL NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_chunks_doc_id ON chunks(doc_id);
+      CREATE INDEX IF NOT EXISTS idx_chunks_source ON chunks(source);
+    `);
+
+    this.initialized = true;
+  }
+
+  async upsertChunks(chunks) {
+    await this.initialize();
+    this.db.transaction(() => this.writeChunks(chunks))();
+  }
+
+  async replaceDocument(docId, chunks) {
+    await this.initialize();
+    const remove = this.db.prepare('DELETE FROM chunks WHERE doc_id = ?');
+
+    this.db.transaction(() => {
+      remove.run(docId);
+      this.writeChunks(chunks);
+    })();
+  }
+
+  /**
+   * Insert or replace chunks; callers wrap this in a transaction
+   */
+  writeChunks(chunks) {
+    const upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO chunks (id, doc_id, source, version, url, indexed_at, metadata, content, vector, norm)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const chunk of chunks) {
+      const { metadata } = chunk;
+      upsert.run(
+        chunk.id,
+        metadata.originalDocId || chunk.id,
+        metadata.source || null,
+        metadata.version || null,
+        metadata.url || null,
+        metadata.indexedAt || null,
+        JSON.stringify(metadata),
+        chunk.content,
+        this.encodeVector(chunk.vector),
+        this.norm(chunk.vector)
+      );
+    }
+  }
+
+  async query(vector, limit, filters) {
+    await this.initialize();
+
+    const { where, params } = this.buildWhere(filters);
+    const queryNorm = this.norm(vector);
+    if (queryNorm === 0 || limit <= 0) return [];
+
+    // Keep the best `limit` rows in a small array sorted by score, descending
+    const top = [];
+    const scan = this.db.prepare(`SELECT rowid, vector, norm FROM chunks ${where}`);
+    for (const row of scan.iterate(...params)) {
+      const stored = this.decodeVector(row.vector);
+      let dot = 0;
+      for (let i = 0; i < stored.length; i++) {
+        dot += stored[i] * vector[i];
+      }
+      const score = row.norm === 0 ? 0 : dot / (row.norm * queryNorm);
+
+      if (top.length < limit || score > top[top.length - 1].score) {
+        let i = top.length;
+        while (i > 0 && top[i - 1].score < score) i--;
+        top.splice(i, 0, { rowid: row.rowid, score });
+        if (top.length > limit) top.pop();
+      }
+    }
+
+    const load = this.db.prepare('SELECT id, metadata FROM chunks WHERE rowid = ?');
+    return top.map(({ rowid, score }) => {
+      const row = load.get(rowid);
+      return { id: row.id, metadata: JSON.parse(row.metadata), score };
+    });
+  }
+
+  /**
+   * Translate search filters into a WHERE clause over the metadata columns
+   */
+  buildWhere(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.sources) {
+      conditions.push(`source IN (${filters.sources.map(() => '?').join(', ')})`);
+      params.push(...filters.sources);
+    }
+    if (filters.version) {
+      conditions.push('version = ?');
+      params.push(filters.version);
+    }
+    if (filters.urlPrefix) {
+      conditions.push('substr(url, 1, ?) = ?');
+      params.push(filters.urlPrefix.length, filters.urlPrefix);
+    }
+    if (filters.indexedAfter) {
+      conditions.push('indexed_at >= ?');
+      params.push(filters.indexedAfter);
+    }
+    if (filters.indexedBefore) {
+      conditions.push('indexed_at <= ?');
+      params.push(filters.indexedBefore);
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  async getChunk(id) {
+    await this.initialize();
+    const row = this.db.prepare('SELECT id, metadata, content FROM chunks WHERE id = ?').get(id);
+    return row ? { id: row.id, metadata: JSON.parse(row.metadata), content: row.content } : null;
+  }
+
+  async getContent(id) {
+    await this.initialize();
+    const row = this.db.prepare('SELECT content FROM chunks WHERE id = ?').get(id);
+    return row ? row.content : null;
+  }
+
+  async listChunks({ includeVectors = false } = {}) {
+    await this.initialize();
+    const rows = this.db.prepare(`SELECT id, metadata${includeVectors ? ', vector' : ''} FROM chunks`).all();
+    return rows.map((row) => ({
+      id: row.id,
+      metadata: JSON.parse(row.metadata),
+      ...(includeVectors ? { vector: Array.from(this.decodeVector(row.vector)) } : {}),
+    }));
+  }
+
+  async deleteChunks(ids) {
+    await this.initialize();
+    const remove = this.db.prepare('DELETE FROM chunks WHERE id = ?');
+    this.db.transaction(() => {
+      for (const id of ids) {
+        remove.run(id);
+      }
+    })();
+  }
+
+  async deleteDocument(docId) {
+    await this.initialize();
+    return this.db.prepare('DELETE FROM chunks WHERE doc_id = ?').run(docId).changes;
+  }
+
+  async deleteSource(sourceId) {
+    await this.initialize();
+    return this.db.prepare('DELETE FROM chunks WHERE source = ?').run(sourceId).changes;
+  }
+
+  async count() {
+    await this.initialize();
+    return this.db.prepare('SELECT COUNT(*) as count FROM chunks').get().count;
+  }
+
+  async clear() {
+    await this.initialize();
+    this.db.prepare('DELETE FROM chunks').run();
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.initialized = false;
+    }
+  }
+
+  encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+  }
+
+  decodeVector(buffer) {
+    // Float32Array views need 4-byte alignment; copy pooled buffers that lack it
+    if (buffer.byteOffset % 4 !== 0) {
+      return new Float32Array(new Uint8Array(buffer).buffer);
+    }
+    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+  }
+
+  norm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+      sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+  }
+}
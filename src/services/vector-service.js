@@ -1,14 +1,37 @@
-import { LocalIndex } from 'vectra';
 import { AIService } from './ai-service.js';
-import path from 'path';
-import fs from 'fs/promises';
+import { ChunkerService } from './chunker-service.js';
+import { LexicalIndexService } from './lexical-index-service.js';
+import { RerankerService } from './reranker-service.js';
+import { createVectorStore } from './vector-store.js';
 import pLimit from 'p-limit';
 
+export const SEARCH_MODES = ['hybrid', 'semantic', 'lexical'];
+
+function invalidSearch(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEARCH';
+  return error;
+}
+
 export class VectorService {
-  constructor() {
-    this.indexPath = process.env.VECTOR_DB_PATH || './data/vectors';
-    this.index = new LocalIndex(this.indexPath);
+  constructor(store = null) {
+    // Embedded chunks live in the backend selected by VECTOR_STORE (vectra or sqlite)
+    this.store = store || createVectorStore();
     this.aiService = new AIService();
+    // Chunk size (CHUNK_SIZE) stays at 1500 by default to avoid Ollama connection issues with large texts
+    this.chunker = new ChunkerService();
+    // BM25 index over the same chunks, for exact tokens embeddings blur
+    this.lexicalIndex = new LexicalIndexService();
+    this.searchMode = process.env.SEARCH_MODE || 'hybrid';
+    // Share of the fused score given to semantic ranks (the rest goes to BM25)
+    const semanticWeight = parseFloat(process.env.SEARCH_SEMANTIC_WEIGHT);
+    this.semanticWeight = Number.isNaN(semanticWeight) ? 0.5 : semanticWeight;
+    // Reciprocal rank fusion constant; larger values flatten the rank curve
+    this.rrfK = parseInt(process.env.RRF_K) || 60;
+    // Optional second pass over the top candidates (RERANK_MODE)
+    this.reranker = new RerankerService(this.aiService);
+    // Neighbouring chunks added on each side of a match for context
+    this.contextWindow = parseInt(process.env.SEARCH_CONTEXT_WINDOW) || 0;
     this.initialized = false;
     this.updateQueue = Promise.resolve();
     // Limit concurrent embedding requests to avoid overwhelming Ollama
@@ -21,218 +44,380 @@ export class VectorService {
 
   async ensureInitialized() {
     if (!this.initialized) {
-      try {
-        // Check if index directory exists
-        await fs.access(this.indexPath);
-        
-        // Try to load existing index
-        if (await this.index.isIndexCreated()) {
-          await this.index.beginUpdate();
-          await this.index.endUpdate();
-        } else {
-          await this.index.createIndex();
-        }
-      } catch (error) {
-        // Create directory and index if it doesn't exist
-        await fs.mkdir(this.indexPath, { recursive: true });
-        await this.index.createIndex();
-      }
+      await this.store.initialize();
+      await this.backfillLexicalIndex();
       this.initialized = true;
     }
   }
 
+  /**
+   * Populate the lexical index from the vector index when it is empty, e.g.
+   * the first start after upgrading or after its database was deleted
+   */
+  async backfillLexicalIndex() {
+    if (await this.lexicalIndex.count() > 0) return;
+
+    const items = await this.store.listChunks();
+    if (items.length === 0) return;
+
+    console.log(`🔤 Building lexical index from ${items.length} indexed chunks...`);
+    const documents = new Map();
+    for (const item of items) {
+      const docId = item.metadata.originalDocId;
+      if (!documents.has(docId)) documents.set(docId, []);
+      documents.get(docId).push({
+        id: item.id,
+        content: await this.getChunkContent(item.id),
+        metadata: item.metadata,
+      });
+    }
+    for (const [docId, chunks] of documents) {
+      await this.lexicalIndex.upsertDocument(docId, chunks);
+    }
+    console.log(`✅ Lexical index built for ${documents.size} documents`);
+  }
+
+  /**
+   * Run an index update after the ones already queued, so database writes
+   * are serialized. A failed update rejects only its own caller; the queue
+   * carries on with the next one.
+   */
+  enqueueUpdate(update) {
+    const run = this.updateQueue.then(update);
+    this.updateQueue = run.catch(() => {});
+    return run;
+  }
+
   async addDocument(doc) {
-    // Queue the update to serialize database operations
-    this.updateQueue = this.updateQueue.then(async () => {
+    await this.enqueueUpdate(async () => {
       await this.ensureInitialized();
 
       try {
-        // Split content into chunks for better retrieval
-        // Reduced chunk size to 1500 to avoid Ollama connection issues with large texts
-        const chunkSize = parseInt(process.env.CHUNK_SIZE) || 1500;
-        const chunks = this.splitIntoChunks(doc.content, chunkSize);
-
-        await this.index.beginUpdate();
-
-        try {
-          // Generate embeddings with controlled concurrency to avoid overwhelming Ollama
-          const embeddingPromises = chunks.map(chunk => 
-            this.embeddingLimit(() => this.aiService.generateEmbedding(chunk))
-          );
-          const embeddings = await Promise.all(embeddingPromises);
-
-          // Insert all chunks at once
-          for (let i = 0; i < chunks.length; i++) {
-            const chunkId = `${doc.id}#chunk${i}`;
-
-            await this.index.insertItem({
-              id: chunkId,
-              metadata: {
-                ...doc.metadata,
-                chunkIndex: i,
-                totalChunks: chunks.length,
-                originalDocId: doc.id,
-              },
-              vector: embeddings[i],
-            });
-            
-            // Store chunk content separately
-            await this.storeChunkContent(chunkId, chunks[i]);
-          }
-
-          await this.index.endUpdate();
-        } catch (error) {
-          // Ensure endUpdate is called even if there's an error
-          try {
-            await this.index.endUpdate();
-          } catch (e) {
-            // Ignore endUpdate errors
-          }
-          throw error;
-        }
+        // Split content into section-aware chunks for better retrieval.
+        // PDFs are chunked page by page so every chunk knows its page number
+        const chunks = doc.pages
+          ? doc.pages.flatMap(({ pageNumber, text }) =>
+              this.chunker.chunk(text).map(chunk => ({ ...chunk, page: pageNumber }))
+            )
+          : this.chunker.chunk(doc.content);
+
+        // Generate embeddings with controlled concurrency to avoid overwhelming Ollama
+        const embeddingPromises = chunks.map(chunk => 
+          this.embeddingLimit(() => this.aiService.generateEmbedding(chunk.text))
+        );
+        const embeddings = await Promise.all(embeddingPromises);
+
+        const storedChunks = chunks.map((chunk, i) => ({
+          id: `${doc.id}#chunk${i}`,
+          vector: embeddings[i],
+          content: chunk.text,
+          metadata: {
+            ...doc.metadata,
+            ...(chunk.page ? { page: chunk.page } : {}),
+            ...(chunk.breadcrumb ? { breadcrumb: chunk.breadcrumb } : {}),
+            ...(chunk.anchor ? { anchor: chunk.anchor } : {}),
+            chunkIndex: i,
+            totalChunks: chunks.length,
+            originalDocId: doc.id,
+          },
+        }));
+
+        // Swap out every chunk of the previous version in one step, so pages
+        // that shrink don't leave stale chunks behind
+        await this.store.replaceDocument(doc.id, storedChunks);
+        await this.lexicalIndex.upsertDocument(doc.id, storedChunks);
       } catch (error) {
         console.error(`Failed to add document ${doc.id}:`, error);
         throw error;
       }
     });
-
-    // Wait for this operation to complete
-    await this.updateQueue;
   }
 
-  async search(query, source = 'all', limit = 5) {
+  /**
+   * Search indexed chunks and return the best chunk of each matching document
+   * @param {string} query - Search query
+   * @param {string|string[]} source - Source ID, list of source IDs, or 'all'
+   * @param {number} limit - Maximum documents to return
+   * @param {Object} options - { mode: 'hybrid' | 'semantic' | 'lexical', semanticWeight: 0..1,
+   *   filters: { version, urlPrefix, indexedAfter, indexedBefore },
+   *   rerank: boolean (defaults to on when RERANK_MODE is set),
+   *   contextWindow: neighbouring chunks to add around each match }
+   * @returns {Promise<Array<Object>>} [{ content, metadata }] - one result per page; its
+   *   matching chunks are merged into contiguous passages listed in `metadata.matchedRanges`
+   * @throws {Error} with code 'INVALID_SEARCH' for an unknown mode or malformed filter
+   */
+  async search(query, source = 'all', limit = 5, options = {}) {
+    const mode = options.mode || this.searchMode;
+    if (!SEARCH_MODES.includes(mode)) {
+      throw invalidSearch(`Unknown search mode "${mode}" (expected ${SEARCH_MODES.join(', ')})`);
+    }
+    const filters = this.buildFilters(source, options.filters || {});
+    const semanticWeight = Math.min(1, Math.max(0, options.semanticWeight ?? this.semanticWeight));
+    const contextWindow = Math.max(0, parseInt(options.contextWindow ?? this.contextWindow) || 0);
+    const rerank = this.reranker.enabled && options.rerank !== false;
+    // Reranking gets a wider pool of candidates to choose from
+    const candidates = rerank ? Math.max(limit * 2, this.reranker.topN) : limit * 2;
+
     await this.ensureInitialized();
 
     try {
-      // Generate query embedding
-      const queryEmbedding = await this.aiService.generateEmbedding(query);
-
-      // Search the index
-      const results = await this.index.queryItems(queryEmbedding, limit * 2);
+      let ranked;
+      if (mode === 'semantic') {
+        ranked = await this.semanticSearch(query, filters, candidates);
+      } else if (mode === 'lexical') {
+        ranked = await this.lexicalIndex.search(query, filters, candidates);
+      } else {
+        ranked = await this.hybridSearch(query, filters, candidates, semanticWeight);
+      }
 
-      // Filter by source if specified
-      const filteredResults = source === 'all' 
-        ? results 
-        : results.filter((r) => r.item.metadata.source === source);
+      if (rerank) {
+        for (const result of ranked.slice(0, this.reranker.topN)) {
+          result.content ??= await this.getChunkContent(result.id);
+        }
+        ranked = await this.reranker.rerank(query, ranked);
+      }
 
-      // Group chunks by original document and reconstruct content
+      // Group chunks by original document, ordered by each page's best chunk
       const documentMap = new Map();
 
-      for (const result of filteredResults.slice(0, limit * 2)) {
-        const originalDocId = result.item.metadata.originalDocId;
+      for (const result of ranked) {
+        const originalDocId = result.metadata.originalDocId;
         
         if (!documentMap.has(originalDocId)) {
-          // Read the chunk content from the index
-          const content = await this.getChunkContent(result.item.id);
-          
-          documentMap.set(originalDocId, {
-            content: content,
-            metadata: {
-              source: result.item.metadata.source,
-              url: result.item.metadata.url,
-              title: result.item.metadata.title,
-              score: result.score,
-            },
-          });
+          // Further matches still count for pages already found
+          if (documentMap.size >= limit) continue;
+          documentMap.set(originalDocId, { best: result, matched: new Map() });
         }
+        documentMap.get(originalDocId).matched.set(result.metadata.chunkIndex ?? 0, result);
+      }
 
-        if (documentMap.size >= limit) {
-          break;
-        }
+      const results = [];
+      for (const [originalDocId, { best, matched }] of documentMap) {
+        const { content, matchedRanges } = await this.buildPassage(originalDocId, best, matched, contextWindow);
+
+        results.push({
+          content: content,
+          metadata: {
+            source: best.metadata.source,
+            url: best.metadata.url,
+            title: best.metadata.title,
+            ...(best.metadata.page ? { page: best.metadata.page } : {}),
+            ...(best.metadata.breadcrumb ? { breadcrumb: best.metadata.breadcrumb } : {}),
+            ...(best.metadata.anchor ? { anchor: best.metadata.anchor } : {}),
+            score: best.score,
+            ...(best.rerankScore !== undefined ? { rerankScore: best.rerankScore } : {}),
+            matchedRanges,
+            totalChunks: best.metadata.totalChunks,
+          },
+        });
       }
 
-      return Array.from(documentMap.values());
+      return results;
     } catch (error) {
       console.error('Search failed:', error);
       return [];
     }
   }
 
-  sanitizeFilename(filename) {
-    // Replace invalid characters for file systems (Windows is most restrictive)
-    return filename
-      .replace(/[<>:"/\\|?*]/g, '_')  // Replace invalid chars with underscore
-      .replace(/\s+/g, '_')            // Replace spaces with underscore
-      .substring(0, 200);              // Limit length to avoid path too long errors
-  }
+  /**
+   * Merge a page's matching chunks, plus `contextWindow` neighbours on each
+   * side, into contiguous passages. Separate passages are joined with "[...]".
+   * @param {string} docId - Original document id
+   * @param {Object} best - Best-ranked chunk of the page
+   * @param {Map<number, Object>} matched - Matching chunks by chunkIndex
+   * @param {number} contextWindow - Neighbouring chunks to add on each side
+   * @returns {Promise<Object>} { content, matchedRanges: [{ start, end }] }
+   */
+  async buildPassage(docId, best, matched, contextWindow) {
+    const lastIndex = (best.metadata.totalChunks || 1) - 1;
+    const matchedIndexes = Array.from(matched.keys());
+    const contextIndexes = matchedIndexes.flatMap((i) => {
+      const indexes = [];
+      for (let j = Math.max(0, i - contextWindow); j <= Math.min(lastIndex, i + contextWindow); j++) {
+        indexes.push(j);
+      }
+      return indexes;
+    });
 
-  async getChunkContent(chunkId) {
-    // In Vectra, we need to store content separately or in metadata
-    // For simplicity, we'll store it in a separate file structure
-    try {
-      const safeId = this.sanitizeFilename(chunkId);
-      const contentPath = path.join(this.indexPath, 'content', `${safeId}.txt`);
-      const content = await fs.readFile(contentPath, 'utf-8');
-      return content;
-    } catch (error) {
-      return '[Content not available]';
+    const passages = [];
+    for (const { start, end } of this.toRanges(contextIndexes)) {
+      let text = '';
+      let previousBreadcrumb = null;
+
+      for (let i = start; i <= end; i++) {
+        const chunk = matched.get(i) || await this.getNeighbourChunk(docId, i);
+        if (!chunk) continue;
+
+        const chunkText = chunk.content ?? await this.getChunkContent(chunk.id);
+        text = text ? this.joinChunks(text, chunkText, chunk.metadata.breadcrumb, previousBreadcrumb) : chunkText;
+        previousBreadcrumb = chunk.metadata.breadcrumb;
+      }
+      if (text) passages.push(text);
     }
+
+    return {
+      content: passages.join('\n\n[...]\n\n'),
+      matchedRanges: this.toRanges(matchedIndexes),
+    };
   }
 
-  async storeChunkContent(chunkId, content) {
-    try {
-      const contentDir = path.join(this.indexPath, 'content');
-      await fs.mkdir(contentDir, { recursive: true });
-      const safeId = this.sanitizeFilename(chunkId);
-      const contentPath = path.join(contentDir, `${safeId}.txt`);
-      await fs.writeFile(contentPath, content, 'utf-8');
-    } catch (error) {
-      console.error(`Failed to store chunk content ${chunkId}:`, error);
-    }
+  /**
+   * Chunk of a page that did not match the query itself
+   * @returns {Promise<Object|null>} { id, metadata, content } or null if missing
+   */
+  async getNeighbourChunk(docId, chunkIndex) {
+    return this.store.getChunk(`${docId}#chunk${chunkIndex}`);
   }
 
-  splitIntoChunks(text, maxChunkSize) {
-    const chunks = [];
-    const paragraphs = text.split(/\n\n+/);
+  /**
+   * Append a chunk to the one before it, dropping the breadcrumb it repeats
+   * within the same section and the prose carried over as chunk overlap
+   */
+  joinChunks(previous, next, breadcrumb, previousBreadcrumb) {
+    let body = next;
+    if (breadcrumb && breadcrumb === previousBreadcrumb && body.startsWith(`${breadcrumb}\n\n`)) {
+      body = body.slice(breadcrumb.length + 2);
+    }
 
-    let currentChunk = '';
+    const firstBlockEnd = body.indexOf('\n\n');
+    if (firstBlockEnd > 0 && previous.endsWith(body.slice(0, firstBlockEnd))) {
+      body = body.slice(firstBlockEnd + 2);
+    }
+    return `${previous}\n\n${body}`;
+  }
 
-    for (const paragraph of paragraphs) {
-      if (currentChunk.length + paragraph.length > maxChunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk.trim());
-        currentChunk = paragraph;
+  /**
+   * Collapse chunk indexes into sorted, inclusive ranges of consecutive indexes
+   * @returns {Array<Object>} [{ start, end }]
+   */
+  toRanges(indexes) {
+    const ranges = [];
+    for (const index of Array.from(new Set(indexes)).sort((a, b) => a - b)) {
+      const last = ranges[ranges.length - 1];
+      if (last && index === last.end + 1) {
+        last.end = index;
       } else {
-        currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
+        ranges.push({ start: index, end: index });
       }
     }
+    return ranges;
+  }
 
-    if (currentChunk.trim()) {
-      chunks.push(currentChunk.trim());
-    }
+  /**
+   * Normalise the source argument and filter options of a search
+   * @returns {Object} { sources: string[] | null, version, urlPrefix, indexedAfter, indexedBefore },
+   *   with dates as ISO strings and unset filters null
+   */
+  buildFilters(source, filters = {}) {
+    const sources = [].concat(source || 'all').filter((id) => id && id !== 'all');
+
+    const toIsoDate = (name) => {
+      const value = filters[name];
+      if (value === undefined || value === null || value === '') return null;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw invalidSearch(`Invalid ${name} date: ${value}`);
+      }
+      return date.toISOString();
+    };
+
+    return {
+      sources: sources.length > 0 ? sources : null,
+      version: filters.version ? String(filters.version) : null,
+      urlPrefix: filters.urlPrefix || null,
+      indexedAfter: toIsoDate('indexedAfter'),
+      indexedBefore: toIsoDate('indexedBefore'),
+    };
+  }
 
-    return chunks.length > 0 ? chunks : [text];
+  /**
+   * Rank chunks by embedding similarity. Filters are applied before the top
+   * results are taken, so small sources aren't crowded out by large ones.
+   * @returns {Promise<Array<Object>>} [{ id, metadata, score }], best first
+   */
+  async semanticSearch(query, filters, limit) {
+    const queryEmbedding = await this.aiService.generateEmbedding(query);
+    return this.store.query(queryEmbedding, limit, filters);
   }
 
-  async deleteDocument(docId) {
-    await this.ensureInitialized();
+  /**
+   * Merge semantic and BM25 rankings with weighted reciprocal rank fusion:
+   * each list contributes weight / (k + rank) per chunk. Scores are scaled so a
+   * chunk ranked first by both lists scores 1. If embeddings are unavailable the
+   * lexical ranking is used on its own.
+   */
+  async hybridSearch(query, filters, limit, semanticWeight) {
+    const lexicalWeight = 1 - semanticWeight;
+
+    const [semantic, lexical] = await Promise.all([
+      semanticWeight > 0
+        ? this.semanticSearch(query, filters, limit).catch((error) => {
+            console.warn(`⚠️  Semantic search unavailable, using lexical results only: ${error.message}`);
+            return [];
+          })
+        : [],
+      lexicalWeight > 0 ? this.lexicalIndex.search(query, filters, limit) : [],
+    ]);
+
+    const fused = new Map();
+    const addRanking = (results, weight) => {
+      results.forEach((result, rank) => {
+        const entry = fused.get(result.id) || { ...result, score: 0 };
+        entry.content ??= result.content;
+        entry.score += (weight * (this.rrfK + 1)) / (this.rrfK + rank + 1);
+        fused.set(result.id, entry);
+      });
+    };
+    addRanking(semantic, semanticWeight);
+    addRanking(lexical, lexicalWeight);
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  }
 
-    try {
-      await this.index.beginUpdate();
+  async getChunkContent(chunkId) {
+    return (await this.store.getContent(chunkId)) ?? '[Content not available]';
+  }
 
-      // Find all chunks for this document
-      const allItems = await this.index.listItems();
-      const chunksToDelete = allItems.filter(
-        (item) => item.metadata.originalDocId === docId
-      );
+  /**
+   * Remove every chunk of a document
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteDocument(docId) {
+    return this.enqueueUpdate(async () => {
+      await this.ensureInitialized();
 
-      for (const chunk of chunksToDelete) {
-        await this.index.deleteItem(chunk.id);
+      try {
+        const removed = await this.store.deleteDocument(docId);
+        await this.lexicalIndex.deleteDocument(docId);
+        return removed;
+      } catch (error) {
+        console.error(`Failed to delete document ${docId}:`, error);
+        throw error;
       }
+    });
+  }
 
-      await this.index.endUpdate();
-    } catch (error) {
-      console.error(`Failed to delete document ${docId}:`, error);
-      throw error;
-    }
+  /**
+   * Remove every chunk of one source, leaving other sources untouched
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteSource(sourceId) {
+    return this.enqueueUpdate(async () => {
+      await this.ensureInitialized();
+      const removed = await this.store.deleteSource(sourceId);
+      await this.lexicalIndex.deleteSource(sourceId);
+      return removed;
+    });
   }
 
   async clear() {
     await this.ensureInitialized();
-    await this.index.beginUpdate();
-    const items = await this.index.listItems();
-    for (const item of items) {
-      await this.index.deleteItem(item.id);
-    }
-    await this.index.endUpdate();
+    await this.store.clear();
+    await this.lexicalIndex.clear();
+  }
+
+  close() {
+    this.store.close();
+    this.lexicalIndex.close();
   }
 }
@@ -0,0 +1,60 @@
+import { VectraVectorStore } from './vectra-vector-store.js';
+import { SqliteVectorStore } from './sqlite-vector-store.js';
+
+export const VECTOR_STORES = ['vectra', 'sqlite'];
+
+/**
+ * Vector stores hold the embedded chunks behind VectorService. Every backend
+ * implements the same methods:
+ *
+ *   initialize()                       - open or create the store
+ *   upsertChunks(chunks)               - insert or replace [{ id, vector, content, metadata }]
+ *                                        as one transaction
+ *   replaceDocument(docId, chunks)     - swap every chunk of a document (metadata.originalDocId)
+ *                                        for `chunks` as one transaction
+ *   query(vector, limit, filters)      - top `limit` chunks by cosine similarity among
+ *                                        those matching the filters (see matchesFilters),
+ *                                        as [{ id, metadata, score }], best first
+ *   getChunk(id)                       - { id, metadata, content } or null
+ *   getContent(id)                     - chunk text or null
+ *   listChunks({ includeVectors })     - every chunk as [{ id, metadata, vector? }]
+ *   deleteChunks(ids)                  - remove chunks and their text
+ *   deleteDocument(docId)              - remove a document's chunks; returns how many
+ *   deleteSource(sourceId)             - remove a source's chunks; returns how many
+ *   count()                            - number of chunks
+ *   clear()                            - remove everything
+ *   close()
+ *
+ * and exposes `type` and `location` for stats output.
+ */
+
+/**
+ * Create the vector store selected by VECTOR_STORE ("vectra" by default)
+ * @param {string} type - 'vectra' or 'sqlite'
+ * @returns {VectraVectorStore|SqliteVectorStore}
+ */
+export function createVectorStore(type = process.env.VECTOR_STORE || 'vectra') {
+  switch (type) {
+    case 'vectra':
+      return new VectraVectorStore();
+    case 'sqlite':
+      return new SqliteVectorStore();
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${type}" (expected ${VECTOR_STORES.join(' or ')})`);
+  }
+}
+
+/**
+ * Check chunk metadata against search filters
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} filters - { sources, version, urlPrefix, indexedAfter, indexedBefore };
+ *   null values match everything
+ */
+export function matchesFilters(metadata, filters) {
+  if (filters.sources && !filters.sources.includes(metadata.source)) return false;
+  if (filters.version && metadata.version !== filters.version) return false;
+  if (filters.urlPrefix && !metadata.url?.startsWith(filters.urlPrefix)) return false;
+  if (filters.indexedAfter && !(metadata.indexedAt >= filters.indexedAfter)) return false;
+  if (filters.indexedBefore && !(metadata.indexedAt <= filters.indexedBefore)) return false;
+  return true;
+}
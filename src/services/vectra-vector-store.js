@@ -0,0 +1,272 @@
+import { LocalIndex } from 'vectra';
+import path from 'path';
+import fs from 'fs/promises';
+import { matchesFilters } from './vector-store.js';
+
+/**
+ * Vectra Vector Store
+ * The original backend: vectra's LocalIndex (one index.json loaded into
+ * memory) plus one text file per chunk under `content/`. Vectra has no
+ * lookup by metadata, so the chunk ids of every document are kept in a map
+ * built once when the index is opened.
+ */
+export class VectraVectorStore {
+  constructor(indexPath = process.env.VECTOR_DB_PATH || './data/vectors') {
+    this.type = 'vectra';
+    this.indexPath = indexPath;
+    this.location = indexPath;
+    this.index = new LocalIndex(indexPath);
+    // Document id -> { source, ids: Set of chunk ids }, and chunk id -> document id
+    this.documents = new Map();
+    this.chunkDocIds = new Map();
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Check if index directory exists
+      await fs.access(this.indexPath);
+
+      // Try to load existing index
+      if (await this.index.isIndexCreated()) {
+        await this.index.beginUpdate();
+        await this.index.endUpdate();
+      } else {
+        await this.index.createIndex();
+      }
+    } catch (error) {
+      // Create directory and index if it doesn't exist
+      await fs.mkdir(this.indexPath, { recursive: true });
+      await this.index.createIndex();
+    }
+
+    this.documents.clear();
+    this.chunkDocIds.clear();
+    for (const item of await this.index.listItems()) {
+      this.trackChunk(item.id, item.metadata);
+    }
+    this.initialized = true;
+  }
+
+  async upsertChunks(chunks) {
+    await this.initialize();
+    await this.index.beginUpdate();
+
+    try {
+      for (const chunk of chunks) {
+        await this.index.upsertItem({ id: chunk.id, metadata: chunk.metadata, vector: chunk.vector });
+      }
+      await this.index.endUpdate();
+    } catch (error) {
+      await this.rollback();
+      throw error;
+    }
+
+    // Store chunk content separately
+    for (const chunk of chunks) {
+      this.trackChunk(chunk.id, chunk.metadata);
+      await this.storeContent(chunk.id, chunk.content);
+    }
+  }
+
+  async replaceDocument(docId, chunks) {
+    await this.initialize();
+    const newIds = new Set(chunks.map((chunk) => chunk.id));
+    const staleIds = Array.from(this.documents.get(docId)?.ids || []).filter((id) => !newIds.has(id));
+
+    // Write the new text beside the old files first, so a failed update
+    // leaves the document exactly as it was
+    await fs.mkdir(path.join(this.indexPath, 'content'), { recursive: true });
+    try {
+      for (const chunk of chunks) {
+        await fs.writeFile(`${this.contentPath(chunk.id)}.tmp`, chunk.content, 'utf-8');
+      }
+
+      await this.index.beginUpdate();
+      try {
+        for (const id of staleIds) {
+          await this.index.deleteItem(id);
+        }
+        for (const chunk of chunks) {
+          await this.index.upsertItem({ id: chunk.id, metadata: chunk.metadata, vector: chunk.vector });
+        }
+        await this.index.endUpdate();
+      } catch (error) {
+        await this.rollback();
+        throw error;
+      }
+    } catch (error) {
+      for (const chunk of chunks) {
+        await fs.rm(`${this.contentPath(chunk.id)}.tmp`, { force: true });
+      }
+      throw error;
+    }
+
+    for (const chunk of chunks) {
+      await fs.rename(`${this.contentPath(chunk.id)}.tmp`, this.contentPath(chunk.id));
+    }
+    for (const id of staleIds) {
+      await fs.rm(this.contentPath(id), { force: true });
+    }
+
+    for (const id of staleIds) {
+      this.untrackChunk(id);
+    }
+    for (const chunk of chunks) {
+      this.trackChunk(chunk.id, chunk.metadata);
+    }
+  }
+
+  async query(vector, limit, filters) {
+    await this.initialize();
+
+    const where = {};
+    if (filters.sources) where.source = { $in: filters.sources };
+    if (filters.version) where.version = { $eq: filters.version };
+    // Vectra's range operators only compare numbers, so URL prefixes and
+    // indexedAt ranges are checked here against every candidate
+    const scanAll = Boolean(filters.urlPrefix || filters.indexedAfter || filters.indexedBefore);
+
+    const results = await this.index.queryItems(
+      vector,
+      scanAll ? Number.MAX_SAFE_INTEGER : limit,
+      Object.keys(where).length > 0 ? where : undefined
+    );
+
+    return results
+      .filter((r) => matchesFilters(r.item.metadata, filters))
+      .slice(0, limit)
+      .map((r) => ({ id: r.item.id, metadata: r.item.metadata, score: r.score }));
+  }
+
+  async getChunk(id) {
+    await this.initialize();
+    const item = await this.index.getItem(id);
+    if (!item) return null;
+    return { id: item.id, metadata: item.metadata, content: await this.getContent(id) };
+  }
+
+  async getContent(id) {
+    try {
+      return await fs.readFile(this.contentPath(id), 'utf-8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async listChunks({ includeVectors = false } = {}) {
+    await this.initialize();
+    const items = await this.index.listItems();
+    return items.map((item) => ({
+      id: item.id,
+      metadata: item.metadata,
+      ...(includeVectors ? { vector: item.vector } : {}),
+    }));
+  }
+
+  async deleteChunks(ids) {
+    if (ids.length === 0) return;
+    await this.initialize();
+    await this.index.beginUpdate();
+
+    try {
+      for (const id of ids) {
+        await this.index.deleteItem(id);
+      }
+      await this.index.endUpdate();
+    } catch (error) {
+      await this.rollback();
+      throw error;
+    }
+
+    for (const id of ids) {
+      this.untrackChunk(id);
+      await fs.rm(this.contentPath(id), { force: true });
+    }
+  }
+
+  async deleteDocument(docId) {
+    await this.initialize();
+    const ids = Array.from(this.documents.get(docId)?.ids || []);
+    await this.deleteChunks(ids);
+    return ids.length;
+  }
+
+  async deleteSource(sourceId) {
+    await this.initialize();
+    const ids = [];
+    for (const document of this.documents.values()) {
+      if (document.source === sourceId) ids.push(...document.ids);
+    }
+    await this.deleteChunks(ids);
+    return ids.length;
+  }
+
+  async count() {
+    await this.initialize();
+    return (await this.index.listItems()).length;
+  }
+
+  async clear() {
+    await this.initialize();
+    const items = await this.index.listItems();
+    await this.deleteChunks(items.map((item) => item.id));
+  }
+
+  /**
+   * Discard a failed update. Vectra's pending update shares its item list
+   * with the loaded index, so cancelUpdate alone leaves the partial changes
+   * in memory; reopen the index to reload what is on disk.
+   */
+  async rollback() {
+    this.index.cancelUpdate();
+    this.index = new LocalIndex(this.indexPath);
+    this.initialized = false;
+    await this.initialize();
+  }
+
+  trackChunk(id, metadata) {
+    const docId = metadata.originalDocId || id;
+    this.untrackChunk(id);
+    if (!this.documents.has(docId)) {
+      this.documents.set(docId, { source: metadata.source, ids: new Set() });
+    }
+    this.documents.get(docId).ids.add(id);
+    this.chunkDocIds.set(id, docId);
+  }
+
+  untrackChunk(id) {
+    const docId = this.chunkDocIds.get(id);
+    if (docId === undefined) return;
+
+    const document = this.documents.get(docId);
+    document.ids.delete(id);
+    if (document.ids.size === 0) this.documents.delete(docId);
+    this.chunkDocIds.delete(id);
+  }
+
+  close() {}
+
+  sanitizeFilename(filename) {
+    // Replace invalid characters for file systems (Windows is most restrictive)
+    return filename
+      .replace(/[<>:"/\\|?*]/g, '_')  // Replace invalid chars with underscore
+      .replace(/\s+/g, '_')            // Replace spaces with underscore
+      .substring(0, 200);              // Limit length to avoid path too long errors
+  }
+
+  contentPath(id) {
+    return path.join(this.indexPath, 'content', `${this.sanitizeFilename(id)}.txt`);
+  }
+
+  async storeContent(id, content) {
+    try {
+      await fs.mkdir(path.join(this.indexPath, 'content'), { recursive: true });
+      await fs.writeFile(this.contentPath(id), content, 'utf-8');
+    } catch (error) {
+      console.error(`Failed to store chunk content ${id}:`, error);
+    }
+  }
+}
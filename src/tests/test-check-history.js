@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Test the change detection history: runs and per-page results recorded in
+ * SQLite, trend queries and pruning (fetches are stubbed, so no network)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'check-history-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [
+    { id: 'alpha', name: 'Alpha Docs', baseUrl: 'https://alpha.example.com', crawl: false },
+    { id: 'beta', name: 'Beta Docs', baseUrl: 'https://beta.example.com', crawl: false },
+  ],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.CHECK_HISTORY_DAYS = '90';
+
+const { CacheService } = await import('../services/cache-service.js');
+const { ChangeDetectionService } = await import('../services/change-detection-service.js');
+
+// Page body per URL; a URL mapped to an Error fails, one mapped to a number answers with that status.
+// Binary bodies come back as bytes only with responseType 'arraybuffer', as with axios
+const upstream = new Map();
+const respond = (url, options = {}) => {
+  const page = upstream.get(url);
+  if (page instanceof Error) throw page;
+  if (typeof page === 'number') return { status: page, headers: {}, data: '' };
+  const data = Buffer.isBuffer(page) && options.responseType !== 'arraybuffer' ? page.toString('utf-8') : page;
+  return { status: 200, headers: {}, data };
+};
+const fetchService = {
+  head: async (url) => respond(url),
+  get: async (url, options) => respond(url, options),
+};
+
+const cache = new CacheService(process.env.PAGE_CACHE_PATH);
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+await quiet(() => cache.initialize());
+const changeDetection = new ChangeDetectionService(cache, fetchService);
+
+const A = 'https://alpha.example.com';
+const B = 'https://beta.example.com';
+const pages = {
+  [`${A}/release-notes`]: 'v1',
+  [`${A}/install`]: 'install',
+  [`${A}/flaky`]: 'flaky',
+  [`${B}/concepts`]: 'concepts',
+  // Not valid UTF-8, so only the raw bytes hash the way indexing hashed them
+  [`${B}/guide.pdf`]: Buffer.from([0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x37, 0x0a, 0xe2, 0xe3, 0xcf, 0xd3, 0xff, 0x00]),
+};
+for (const [url, body] of Object.entries(pages)) {
+  upstream.set(url, body);
+  cache.set(url, { source: url.startsWith(A) ? 'alpha' : 'beta', contentHash: changeDetection.calculateHash(body) });
+}
+
+// A change detection run that re-indexes what changed (new hashes go into the cache)
+const runCheck = async (sources) => {
+  const results = await quiet(() => changeDetection.checkAllSources(sources, { parallel: 2 }));
+  for (const source of Object.values(results.sources)) {
+    for (const changed of source.changed) {
+      cache.set(changed.url, { ...cache.get(changed.url), contentHash: changed.newHash });
+    }
+  }
+  return results;
+};
+
+try {
+  // Run 1: release notes change, flaky page fails
+  upstream.set(`${A}/release-notes`, 'v2');
+  upstream.set(`${A}/flaky`, new Error('timeout of 10000ms exceeded'));
+  const first = await runCheck(['alpha', 'beta']);
+
+  const runs = cache.getCheckRuns();
+  check('Each source check is recorded as a run', runs.length === 2 && runs.every((run) => run.totalChecked > 0));
+  check('Check results carry their run ID',
+    runs.some((run) => run.id === first.sources.alpha.runId && run.source === 'alpha' && run.changed === 1 && run.errors === 1));
+
+  const rows = cache.db.prepare('SELECT * FROM check_results WHERE run_id = ? ORDER BY url').all(first.sources.alpha.runId);
+  const byUrl = Object.fromEntries(rows.map((row) => [row.url, row]));
+  check('Per-page results keep status, method and hashes',
+    byUrl[`${A}/release-notes`].status === 'changed' &&
+    byUrl[`${A}/release-notes`].method === 'content-hash' &&
+    byUrl[`${A}/release-notes`].old_hash === changeDetection.calculateHash('v1') &&
+    byUrl[`${A}/release-notes`].new_hash === changeDetection.calculateHash('v2') &&
+    byUrl[`${A}/install`].status === 'unchanged');
+  check('Per-page results keep fetch errors',
+    byUrl[`${A}/flaky`].status === 'error' && byUrl[`${A}/flaky`].error.includes('timeout'));
+  check('Unchanged binary pages (PDFs) hash the same as when indexed',
+    first.sources.beta.unchanged.some((page) => page.url === `${B}/guide.pdf`) && first.sources.beta.changed.length === 0);
+
+  // Runs 2 and 3: release notes change again, flaky keeps failing, install disappears
+  upstream.set(`${A}/release-notes`, 'v3');
+  await runCheck(['alpha', 'beta']);
+  upstream.set(`${A}/release-notes`, 'v4');
+  upstream.set(`${A}/flaky`, new Error('socket hang up'));
+  upstream.set(`${A}/install`, 404);
+  await runCheck(['alpha']);
+
+  const trends = await changeDetection.getTrends({ days: 30 });
+  const alpha = trends.sources.find((row) => row.source === 'alpha');
+  const beta = trends.sources.find((row) => row.source === 'beta');
+  check('Change frequency is summed per source',
+    alpha.runs === 3 && alpha.checks === 9 && alpha.changed === 3 && alpha.errors === 3 && alpha.gone === 1 &&
+    alpha.pagesChanged === 1 && beta.runs === 2 && beta.changed === 0);
+  check('Change rates are derived from checks and the period',
+    alpha.changeRate === Number((3 / 9).toFixed(4)) && alpha.changesPerWeek === 0.7 && beta.changeRate === 0);
+  check('Busiest sources come first', trends.sources[0].source === 'alpha');
+  check('Pages that change most often are listed',
+    trends.pages.length === 1 && trends.pages[0].url === `${A}/release-notes` &&
+    trends.pages[0].changes === 3 && trends.pages[0].checks === 3);
+  check('Recurring errors are listed with the latest message',
+    trends.errors.length === 1 && trends.errors[0].url === `${A}/flaky` &&
+    trends.errors[0].errors === 3 && trends.errors[0].lastError === 'socket hang up');
+
+  const betaTrends = await changeDetection.getTrends({ source: 'beta' });
+  check('Trends can be limited to a source',
+    betaTrends.sources.length === 1 && betaTrends.pages.length === 0 && betaTrends.errors.length === 0);
+
+  // History beyond CHECK_HISTORY_DAYS is pruned when the next run is recorded
+  const old = Date.now() - 100 * 24 * 60 * 60 * 1000;
+  cache.addCheckRun({ source: 'beta', startedAt: old, finishedAt: old, results: [{ url: `${B}/concepts`, status: 'changed' }] });
+  check('Old runs count for longer periods', (await changeDetection.getTrends({ days: 120, source: 'beta' })).pages.length === 1);
+  await runCheck(['beta']);
+  check('Runs older than CHECK_HISTORY_DAYS are pruned',
+    cache.getCheckRuns({ source: 'beta' }).every((run) => run.startedAt > old) &&
+    cache.db.prepare('SELECT COUNT(*) as count FROM check_results WHERE checked_at = ?').get(old).count === 0);
+} finally {
+  cache.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} check history check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Check history test complete!');
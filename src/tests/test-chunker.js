@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Test the heading-aware Markdown chunker (no network access or Ollama required)
+ */
+
+import { ChunkerService } from '../services/chunker-service.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const sentence = 'Mirror every image the cluster needs into the private registry before installing. ';
+const code = '```bash\n' + Array.from({ length: 8 }, (_, i) => `k3s ctr images import image-${i}.tar`).join('\n') + '\n```';
+const table = '| Flag | Default |\n|------|---------|\n| --data-dir | /var/lib/rancher |\n| --token | (none) |';
+
+const markdown = `# Installation
+
+Choose an installation method.
+
+## Air-gap
+
+### Private registry {#private-registry}
+
+${sentence.repeat(3)}
+
+${code}
+
+${table}
+
+${sentence.repeat(2)}
+
+## Air-gap
+
+Second section with the same heading.
+`;
+
+console.log('🧪 Testing Markdown chunker\n');
+
+const chunker = new ChunkerService({ chunkSize: 400, overlap: 60 });
+const chunks = chunker.chunk(markdown);
+
+check('splits on heading boundaries', chunks.every((chunk) => !chunk.text.includes('Choose') || chunk.breadcrumb === 'Installation'));
+check('prefixes chunks with their breadcrumb',
+  chunks.filter((chunk) => chunk.anchor === 'private-registry')
+    .every((chunk) => chunk.text.startsWith('Installation > Air-gap > Private registry\n\n')));
+check('keeps code blocks whole', chunks.filter((chunk) => chunk.text.includes('```bash')).length === 1 &&
+  chunks.some((chunk) => chunk.text.includes(code)));
+check('keeps tables whole', chunks.some((chunk) => chunk.text.includes(table)));
+check('respects the chunk size', chunks.every((chunk) => chunk.text.length - chunk.breadcrumb.length - 2 <= 400));
+
+const registryChunks = chunks.filter((chunk) => chunk.anchor === 'private-registry');
+const previousEnd = registryChunks[0].text.slice(-30);
+check('overlaps consecutive chunks of a section', registryChunks.length > 1 && registryChunks[1].text.includes(previousEnd));
+
+check('uses explicit heading ids as anchors', registryChunks.length > 0);
+check('generates unique slugs for repeated headings', chunks[chunks.length - 1].anchor === 'air-gap-1');
+check('skips headings without their own content', !chunks.some((chunk) => chunk.anchor === 'air-gap'));
+
+const noOverlap = new ChunkerService({ chunkSize: 400, overlap: 0 }).chunk(markdown);
+check('overlap can be turned off', noOverlap.length <= chunks.length);
+
+const plain = chunker.chunk('Just a paragraph without headings.');
+check('handles documents without headings', plain.length === 1 && plain[0].breadcrumb === '' && plain[0].anchor === null);
+
+const longCode = '```\n' + Array.from({ length: 200 }, (_, i) => `echo line ${i}`).join('\n') + '\n```';
+const split = chunker.chunk(longCode);
+check('splits oversized code blocks into fenced pieces',
+  split.length > 1 && split.every((chunk) => chunk.text.startsWith('```') && chunk.text.endsWith('```')));
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Chunker test complete!');
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test the breadth-first link crawler against a local HTTP server
+ * (no network access or Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CacheService } from '../services/cache-service.js';
+import { CrawlerService } from '../services/crawler-service.js';
+
+const PORT = 3993;
+const BASE = `http://127.0.0.1:${PORT}/docs`;
+
+// Page path -> links on that page
+const site = {
+  '/docs/': ['install', 'config?utm_source=newsletter#top', '/blog/post', 'https://example.com/docs/x', 'logo.png'],
+  '/docs/install': ['/docs/', 'install/airgap'],
+  '/docs/config': ['reference'],
+  '/docs/install/airgap': ['too-deep'],
+  '/docs/reference': [],
+};
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const server = http.createServer((req, res) => {
+  const links = site[req.url.split('?')[0]];
+  if (!links) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><body><main>${links.map((href) => `<a href="${href}">link</a>`).join('\n')}</main></body></html>`);
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-test-'));
+const cacheService = new CacheService(path.join(tmpDir, 'cache.db'));
+
+console.log('🧪 Testing link crawler\n');
+
+try {
+  const fetched = [];
+  const crawler = new CrawlerService(async (url) => {
+    fetched.push(url);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.text();
+  }, cacheService);
+
+  check('strips fragments and tracking params',
+    crawler.normalizeUrl('page?utm_source=x&v=2#top', `${BASE}/`) === `${BASE}/page?v=2`);
+
+  const source = { id: 'local', name: 'Local', baseUrl: BASE, include: [], exclude: [] };
+  const urls = await crawler.crawl(source, { seeds: [`${BASE}/`], maxDepth: 2, maxPages: 10 });
+
+  check('crawls breadth-first from the seed', urls[0] === `${BASE}/`);
+  check('follows in-domain links', urls.includes(`${BASE}/install`) && urls.includes(`${BASE}/config`));
+  check('respects depth limit', urls.includes(`${BASE}/install/airgap`) && !urls.includes(`${BASE}/install/too-deep`));
+  check('stays under the base path and host', !fetched.some((url) => url.includes('/blog/') || url.includes('example.com')));
+  check('skips asset links', !fetched.some((url) => url.endsWith('.png')));
+  check('fetches each page once', new Set(fetched).size === fetched.length);
+
+  const limited = await crawler.crawl(source, { seeds: [`${BASE}/`], maxDepth: 5, maxPages: 2 });
+  check('respects page limit', limited.length === 2);
+
+  // Simulate an interrupted crawl: one page done, one still pending
+  cacheService.clearCrawlFrontier('local');
+  cacheService.enqueueCrawlUrls('local', [{ url: `${BASE}/`, depth: 0 }, { url: `${BASE}/config`, depth: 1 }]);
+  cacheService.markCrawlUrl('local', `${BASE}/`, 'done');
+  fetched.length = 0;
+  const resumed = await crawler.crawl(source, { seeds: [`${BASE}/`], maxDepth: 2, maxPages: 10 });
+  check('resumes from the persisted frontier', fetched[0] === `${BASE}/config` && resumed.includes(`${BASE}/reference`));
+} finally {
+  server.close();
+  cacheService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Crawler test complete!');
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Test "what changed" digests: noise filtering, AI summaries (stubbed, so no
+ * Ollama required), saved reports and the change detection hand-off
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'digest-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [
+    { id: 'alpha', name: 'Alpha Docs', baseUrl: 'https://alpha.example.com', crawl: false },
+    { id: 'beta', name: 'Beta Docs', baseUrl: 'https://beta.example.com', crawl: false },
+  ],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.DIGEST_DIR = path.join(tmpDir, 'digests');
+
+const { CacheService } = await import('../services/cache-service.js');
+const { DigestService, normalizeForDigest } = await import('../services/digest-service.js');
+
+const summaries = [];
+const aiService = {
+  failFor: null,
+  async summarizeChanges(title, url, diff) {
+    summaries.push({ title, url, diff });
+    if (url === this.failFor) throw new Error('AI completion failed: model offline');
+    if (diff.includes('Port 8080')) return 'No meaningful changes.';
+    return '- The default port is now 9443.\n- A firewall step was added.';
+  },
+};
+
+const cache = new CacheService(process.env.PAGE_CACHE_PATH);
+await cache.initialize();
+const digestService = new DigestService(cache, aiService);
+
+const DAY = 24 * 60 * 60 * 1000;
+const t0 = Date.now() - 10 * DAY;
+const record = (url, source, markdown, at) =>
+  cache.addPageVersion(url, { source, contentHash: `${url}:${markdown.length}:${at}`, title: url.split('/').pop(), markdown }, at);
+
+const install = [
+  '# Install',
+  '[Home](/) » [Docs](/docs)',
+  'Set the port to 8443.',
+  'Run the installer.',
+  '[Previous](/a) [Next](/b)',
+].join('\n');
+
+// alpha/install: real change
+record('https://alpha.example.com/install', 'alpha', install, t0);
+record('https://alpha.example.com/install', 'alpha',
+  install.replace('8443', '9443').replace('Run the installer.', 'Open the <firewall> & port.\nRun the installer.'), t0 + 5 * DAY);
+
+// alpha/nav: whitespace, breadcrumb and pager changes only
+record('https://alpha.example.com/nav', 'alpha', install, t0);
+record('https://alpha.example.com/nav', 'alpha',
+  install.replace('Set the port', 'Set   the port').replace('[Docs](/docs)', '[Documentation](/docs) » [Install](/install)')
+    .replace('[Next](/b)', '[Next](/c)') + '\n\nLast updated: yesterday\nEdit this page', t0 + 5 * DAY);
+
+// alpha/reword: a change the model judges not meaningful
+record('https://alpha.example.com/reword', 'alpha', 'Port 8080 is used.', t0);
+record('https://alpha.example.com/reword', 'alpha', 'Port 8080 is the one used.', t0 + 5 * DAY);
+
+// beta/new: first seen inside the window; beta/old: changed before it
+record('https://beta.example.com/new', 'beta', '# New\nBrand new page.', t0 + 6 * DAY);
+record('https://beta.example.com/old', 'beta', 'First.', t0);
+record('https://beta.example.com/old', 'beta', 'Second.', t0 + DAY);
+
+try {
+  check('Normalization keeps headings that look like pager links',
+    normalizeForDigest('## Next steps\n\n  Do   this.\nNext\n* [Back](/x) | [Up](/y)') === '## Next steps\nDo this.');
+
+  const digest = await digestService.generate({ since: t0 + 3 * DAY });
+  const alpha = Object.fromEntries(digest.sources.alpha.pages.map((page) => [page.url.split('/').pop(), page]));
+  const beta = Object.fromEntries(digest.sources.beta.pages.map((page) => [page.url.split('/').pop(), page]));
+
+  check('Pages changed before the window are left out', !beta.old);
+  check('Meaningful changes are diffed and summarized',
+    alpha.install.status === 'changed' &&
+    alpha.install.diff.includes('-Set the port to 8443.') &&
+    alpha.install.diff.includes('+Open the <firewall> & port.') &&
+    alpha.install.summary.includes('9443'));
+  check('Whitespace and navigation changes are cosmetic, without an AI call',
+    alpha.nav.status === 'cosmetic' && !summaries.some((call) => call.url.endsWith('/nav')));
+  check('Changes the model finds meaningless are cosmetic',
+    alpha.reword.status === 'cosmetic' && alpha.reword.summary === null);
+  check('Pages first seen in the window are new', beta.new.status === 'new' && beta.new.fromVersion === null);
+  check('Totals add up',
+    digest.totals.changed === 1 && digest.totals.cosmetic === 2 && digest.totals.new === 1 && digest.totals.summarized === 1);
+
+  const betaOnly = await digestService.generate({ since: t0 + 3 * DAY, sources: ['beta'] });
+  check('Digests can be limited to sources', Object.keys(betaOnly.sources).join() === 'beta');
+
+  const callsBefore = summaries.length;
+  const noAI = await digestService.generate({ since: t0 + 3 * DAY, useAI: false });
+  const noAIInstall = noAI.sources.alpha.pages.find((page) => page.url.endsWith('/install'));
+  check('useAI: false keeps the diffs and skips the model',
+    summaries.length === callsBefore && noAIInstall.status === 'changed' && noAIInstall.diff && !noAIInstall.summary);
+
+  aiService.failFor = 'https://alpha.example.com/install';
+  const failed = await digestService.generate({ since: t0 + 3 * DAY, sources: ['alpha'] });
+  const failedInstall = failed.sources.alpha.pages.find((page) => page.url.endsWith('/install'));
+  check('A failed summary keeps the diff and records the error',
+    failedInstall.status === 'changed' && failedInstall.diff && failedInstall.error.includes('model offline') &&
+    failed.totals.failed === 1);
+  aiService.failFor = null;
+
+  // gamma/pruned: the version current at the window's start was pruned
+  const pruned = 'https://gamma.example.com/pruned';
+  cache.addPageVersion(pruned, { source: 'gamma', contentHash: 'v1', markdown: 'Port 1.' }, t0, 2);
+  const kept = cache.addPageVersion(pruned, { source: 'gamma', contentHash: 'v2', markdown: 'Port 2.' }, t0 + 4 * DAY, 2);
+  cache.addPageVersion(pruned, { source: 'gamma', contentHash: 'v3', markdown: 'Port 3.' }, t0 + 5 * DAY, 2);
+  const [truncated] = (await digestService.generate({ since: t0 + 3 * DAY, sources: ['gamma'], useAI: false })).sources.gamma.pages;
+  check('Pages whose older versions were pruned are diffed from the oldest kept version',
+    truncated.status === 'changed' && truncated.baselineTruncated && truncated.fromVersion === kept.id &&
+    truncated.diff.includes('-Port 2.'));
+
+  // Saved reports
+  const files = await digestService.save(digest);
+  check('Reports are written per source',
+    ['digest.json', 'alpha.md', 'alpha.html', 'beta.md', 'beta.html'].every((name) => files.some((file) => file.endsWith(name))));
+
+  const listed = await digestService.list();
+  const latest = await digestService.load('latest');
+  check('Saved digests are listed and loadable', listed[0]?.id === digest.id && latest?.id === digest.id);
+
+  const markdown = await digestService.getReport(digest.id, 'alpha', 'markdown');
+  check('Markdown report has summaries, diffs and cosmetic pages',
+    markdown.startsWith('# What changed: Alpha Docs') &&
+    markdown.includes('The default port is now 9443.') &&
+    markdown.includes('```diff') &&
+    markdown.includes('## Cosmetic changes only'));
+
+  const html = await digestService.getReport('latest', 'alpha');
+  check('HTML report renders summaries as lists and escapes page text',
+    html.startsWith('<!DOCTYPE html>') &&
+    html.includes('<li>The default port is now 9443.</li>') &&
+    html.includes('<span class="add">+Open the &lt;firewall&gt; &amp; port.</span>'));
+
+  check('Unknown digests, sources and unsafe ids are not found',
+    await digestService.getReport(digest.id, 'gamma') === null &&
+    await digestService.getReport(digest.id, 'constructor') === null &&
+    await digestService.load('../digests') === null);
+
+  // Change detection hand-off: only versions recorded since the check started
+  const checkStarted = Date.now();
+  record('https://alpha.example.com/install', 'alpha', install.replace('8443', '10443'), checkStarted);
+  const run = await digestService.run({ timestamp: new Date(checkStarted - 1000).toISOString(), sources: { alpha: {} } });
+  const saved = await digestService.load(run.id);
+  check('run() digests the pages re-indexed since the check',
+    run.totals.changed === 1 && saved.sources.alpha.pages.length === 1 &&
+    saved.sources.alpha.pages[0].diff.includes('+Set the port to 10443.'));
+} finally {
+  digestService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} digest check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Digest test complete!');
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Test robots.txt handling and per-host rate limiting in the fetch layer
+ * against a local HTTP server (no network access required)
+ */
+
+import http from 'http';
+import { FetchService } from '../services/fetch-service.js';
+
+const PORT = 3994;
+const BASE = `http://127.0.0.1:${PORT}`;
+// The same server under another host name, with its own robots.txt
+const OTHER = `http://localhost:${PORT}`;
+
+const ROBOTS = `
+User-agent: *
+Disallow: /
+
+User-agent: docs
+Disallow: /docs/
+
+User-agent: docsnavigatormcp
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.pdf$
+Crawl-delay: 0.2
+
+Sitemap: ${BASE}/sitemap.xml
+`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const REDIRECTS = {
+  '/go/page': '/docs/landed',
+  '/go/private': '/private/secret',
+  '/go/other-host': `${OTHER}/elsewhere`,
+  '/go/loop': '/go/loop',
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  const other = req.headers.host.startsWith('localhost');
+  requests.push({ url: req.url, other, userAgent: req.headers['user-agent'], at: Date.now() });
+  if (req.url === '/robots.txt') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(other ? 'User-agent: *\nDisallow: /elsewhere\n' : ROBOTS);
+  }
+  if (REDIRECTS[req.url]) {
+    res.writeHead(302, { Location: REDIRECTS[req.url] });
+    return res.end();
+  }
+  if (req.url === '/docs/missing') {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><body>ok</body></html>');
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+console.log('🧪 Testing fetch layer\n');
+
+try {
+  const fetchService = new FetchService({ ratePerSecond: 50, burst: 5 });
+
+  check('allows pages outside Disallow rules', await fetchService.isAllowed(`${BASE}/docs/install`));
+  check('ignores groups whose agent is only part of ours', await fetchService.isAllowed(`${BASE}/docs/guide`));
+  check('obeys Disallow for our User-Agent group', !(await fetchService.isAllowed(`${BASE}/private/secret`)));
+  check('longer Allow overrides Disallow', await fetchService.isAllowed(`${BASE}/private/public-page`));
+  check('supports * and $ in patterns', !(await fetchService.isAllowed(`${BASE}/guide/file.pdf`)) &&
+    await fetchService.isAllowed(`${BASE}/guide/file.pdf?download=1`));
+  check('reads Sitemap lines', (await fetchService.getSitemaps(BASE))[0] === `${BASE}/sitemap.xml`);
+  check('fetches robots.txt once per host', requests.filter((r) => r.url === '/robots.txt').length === 1);
+
+  let blocked = null;
+  try {
+    await fetchService.get(`${BASE}/private/secret`);
+  } catch (error) {
+    blocked = error;
+  }
+  check('refuses disallowed requests', blocked?.code === 'ROBOTS_DISALLOWED' &&
+    !requests.some((r) => r.url === '/private/secret'));
+
+  // Redirects
+  const rejection = (promise) => promise.then(() => null, (error) => error);
+  const landed = await fetchService.get(`${BASE}/go/page`);
+  check('follows redirects to allowed pages', landed.status === 200 && requests.some((r) => r.url === '/docs/landed'));
+  const toPrivate = await rejection(fetchService.get(`${BASE}/go/private`));
+  check('refuses redirects to disallowed paths', toPrivate?.code === 'ROBOTS_DISALLOWED' &&
+    !requests.some((r) => r.url === '/private/secret'));
+  const toOther = await rejection(fetchService.get(`${BASE}/go/other-host`));
+  check("checks a redirect against the target host's robots.txt and rate limit",
+    toOther?.code === 'ROBOTS_DISALLOWED' && requests.some((r) => r.other && r.url === '/robots.txt') &&
+    !requests.some((r) => r.url === '/elsewhere') && fetchService.buckets.has(`localhost:${PORT}`));
+  const loop = await rejection(fetchService.get(`${BASE}/go/loop`, { maxRedirects: 3 }));
+  check('stops after maxRedirects', loop?.code === 'ERR_FR_TOO_MANY_REDIRECTS' &&
+    requests.filter((r) => r.url === '/go/loop').length === 4);
+  const missing = await rejection(fetchService.get(`${BASE}/docs/missing`));
+  check('rejects error statuses like axios', missing?.response?.status === 404 &&
+    (await fetchService.get(`${BASE}/docs/missing`, { validateStatus: () => true })).status === 404);
+
+  requests.length = 0;
+  await Promise.all([1, 2, 3].map((n) => fetchService.get(`${BASE}/docs/page-${n}`)));
+  check('sends an identifiable User-Agent', requests.every((r) => r.userAgent.startsWith('DocsNavigatorMCP/')));
+
+  const gaps = requests.slice(1).map((r, idx) => r.at - requests[idx].at);
+  check('spaces requests by Crawl-delay', gaps.every((gap) => gap >= 180));
+
+  const otherAgent = new FetchService({ userAgent: 'SomeOtherBot/1.0' });
+  check('falls back to the * group for other agents', !(await otherAgent.isAllowed(`${BASE}/docs/install`)));
+} finally {
+  server.close();
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Fetch layer test complete!');
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test hybrid BM25 + semantic search with reciprocal rank fusion
+ * (embeddings are stubbed, so no Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hybrid-search-test-'));
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+
+const { VectorService } = await import('../services/vector-service.js');
+
+// Toy embedding: counts of a few topic words, so "semantic" similarity is predictable
+const TOPICS = ['cluster', 'server', 'install', 'security'];
+const embed = async (text) => {
+  const lower = text.toLowerCase();
+  return TOPICS.map((topic) => lower.split(topic).length - 1 + 0.01);
+};
+
+const docs = [
+  { id: 'https://docs.k3s.io/ha', source: 'k3s', title: 'High Availability',
+    content: 'Start the first server with --cluster-init to create an embedded etcd cluster.' },
+  { id: 'https://docs.k3s.io/cluster', source: 'k3s', title: 'Cluster Overview',
+    content: 'A cluster has server nodes and agent nodes. Every cluster needs at least one server. Cluster cluster cluster.' },
+  { id: 'https://docs.k3s.io/install', source: 'k3s', title: 'Install Script',
+    content: 'Set INSTALL_K3S_EXEC to pass flags to the server during install.' },
+  { id: 'https://documentation.suse.com/cve', source: 'suse', title: 'Security Advisory',
+    content: 'CVE-2024-3094 affects xz. Apply the security update.' },
+];
+
+console.log('🧪 Testing hybrid search\n');
+
+const vectorService = new VectorService();
+vectorService.aiService.generateEmbedding = embed;
+
+try {
+  for (const doc of docs) {
+    await vectorService.addDocument({
+      id: doc.id,
+      content: doc.content,
+      metadata: { source: doc.source, url: doc.id, title: doc.title },
+    });
+  }
+  check('indexes chunk text lexically', await vectorService.lexicalIndex.count() === docs.length);
+
+  const lexical = await vectorService.search('--cluster-init', 'all', 3, { mode: 'lexical' });
+  check('matches hyphenated flags exactly', lexical[0]?.metadata.url === 'https://docs.k3s.io/ha');
+
+  const env = await vectorService.search('INSTALL_K3S_EXEC', 'all', 3, { mode: 'lexical' });
+  check('matches environment variables as one token', env.length === 1 && env[0].metadata.url === 'https://docs.k3s.io/install');
+
+  const cve = await vectorService.search('CVE-2024-3094', 'all', 3, { mode: 'lexical' });
+  check('matches CVE ids', cve[0]?.metadata.url === 'https://documentation.suse.com/cve');
+
+  const semantic = await vectorService.search('--cluster-init', 'all', 3, { mode: 'semantic' });
+  check('semantic search alone prefers the topical page', semantic[0]?.metadata.url === 'https://docs.k3s.io/cluster');
+
+  const hybrid = await vectorService.search('--cluster-init', 'all', 3);
+  const urls = hybrid.map((result) => result.metadata.url);
+  check('hybrid search ranks the exact match first', urls[0] === 'https://docs.k3s.io/ha');
+  check('hybrid search keeps semantic matches', urls.includes('https://docs.k3s.io/cluster'));
+  check('fused scores are normalised', hybrid[0].metadata.score > 0 && hybrid[0].metadata.score <= 1);
+
+  const semanticHeavy = await vectorService.search('--cluster-init', 'all', 3, { semanticWeight: 1 });
+  check('semanticWeight shifts the fusion', semanticHeavy[0]?.metadata.url === 'https://docs.k3s.io/cluster');
+
+  const filtered = await vectorService.search('security update', 'k3s', 3, { mode: 'lexical' });
+  check('filters lexical results by source', filtered.length === 0);
+
+  vectorService.aiService.generateEmbedding = async () => {
+    throw new Error('Ollama is not running');
+  };
+  const fallback = await vectorService.search('INSTALL_K3S_EXEC', 'all', 3);
+  check('falls back to lexical results without embeddings', fallback[0]?.metadata.url === 'https://docs.k3s.io/install');
+  vectorService.aiService.generateEmbedding = embed;
+
+  await vectorService.deleteDocument('https://docs.k3s.io/install');
+  const deleted = await vectorService.search('INSTALL_K3S_EXEC', 'all', 3, { mode: 'lexical' });
+  check('removes deleted documents from the lexical index', deleted.length === 0);
+
+  // One failed embedding must not fail the updates queued after it
+  vectorService.aiService.generateEmbedding = async () => {
+    throw new Error('socket hang up');
+  };
+  const error = console.error;
+  console.error = () => {};
+  const failedAdd = await vectorService.addDocument({
+    id: 'https://docs.k3s.io/upgrade',
+    content: 'Run the install script again to upgrade.',
+    metadata: { source: 'k3s', url: 'https://docs.k3s.io/upgrade', title: 'Upgrades' },
+  }).then(() => null, (err) => err);
+  console.error = error;
+  vectorService.aiService.generateEmbedding = embed;
+  await vectorService.addDocument({
+    id: 'https://docs.k3s.io/upgrade',
+    content: 'Run the install script again to upgrade. Use INSTALL_K3S_CHANNEL to pick a release.',
+    metadata: { source: 'k3s', url: 'https://docs.k3s.io/upgrade', title: 'Upgrades' },
+  });
+  const recovered = await vectorService.search('INSTALL_K3S_CHANNEL', 'all', 3, { mode: 'lexical' });
+  check('a failed add does not fail later adds',
+    failedAdd?.message === 'socket hang up' && recovered[0]?.metadata.url === 'https://docs.k3s.io/upgrade');
+  check('deletes still run after a failed add', await vectorService.deleteDocument('https://docs.k3s.io/upgrade') > 0);
+
+  // A fresh lexical index is rebuilt from the stored chunks
+  await vectorService.lexicalIndex.clear();
+  const restarted = new VectorService();
+  restarted.aiService.generateEmbedding = embed;
+  const rebuilt = await restarted.search('CVE-2024-3094', 'all', 3, { mode: 'lexical' });
+  check('backfills an empty lexical index', rebuilt[0]?.metadata.url === 'https://documentation.suse.com/cve');
+  restarted.lexicalIndex.close();
+} finally {
+  vectorService.lexicalIndex.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Hybrid search test complete!');
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test per-source indexing budgets: the page budget trims discovered pages,
+ * byte and embedding call budgets stop indexing between batches, and what was
+ * left out is reported (local HTTP server; embeddings are stubbed, so no Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3988;
+const ORIGIN = `http://127.0.0.1:${PORT}`;
+const PAGES = 8;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+// Each source lives under its own path with its own sitemap of PAGES pages
+const server = http.createServer((req, res) => {
+  const [, site, page] = req.url.split('/');
+  if (page === 'sitemap.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    const urls = Array.from({ length: PAGES }, (_, i) => `<url><loc>${ORIGIN}/${site}/page-${i}</loc></url>`).join('');
+    return res.end(`<?xml version="1.0"?><urlset>${urls}</urlset>`);
+  }
+  if (!page?.startsWith('page-')) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><body><main><h1>${site} ${page}</h1><p>How to configure ${site} ${page}.</p></main></body></html>`);
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'index-budget-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+const source = (id, budget) => ({ id, name: id, baseUrl: `${ORIGIN}/${id}`, crawl: false, budget });
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [
+    source('pages', { maxPages: 3 }),
+    source('bytes', { maxBytes: 1 }),
+    source('embeddings', { maxEmbeddingCalls: 3 }),
+    source('unlimited', {}),
+  ],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.EMBEDDING_CACHE_PATH = path.join(tmpDir, 'embedding-cache.json');
+process.env.EMBEDDING_PROVIDER = 'ollama';
+process.env.FETCH_BATCH_SIZE = '2';
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+process.env.BATCH_DELAY = '1';
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+
+const quiet = async (fn) => {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+};
+
+const docService = await quiet(() => new DocumentationService());
+const { vectorService } = docService;
+// Stub the provider rather than generateEmbedding, so calls still count as cache misses
+let embeddingCalls = 0;
+vectorService.aiService.ollamaClient.embeddings = async ({ prompt }) => {
+  embeddingCalls++;
+  return { embedding: [prompt.length, 1, 0] };
+};
+
+const indexedPages = async (sourceId) =>
+  new Set((await vectorService.store.listChunks())
+    .filter((chunk) => chunk.metadata.source === sourceId)
+    .map((chunk) => chunk.metadata.originalDocId)).size;
+
+console.log('🧪 Testing indexing budgets\n');
+
+try {
+  const paged = await quiet(() => docService.indexDocumentation('pages'));
+  check('the page budget trims discovered pages', paged.documentsIndexed === 3 && await indexedPages('pages') === 3);
+  check('pages left out by the page budget are reported',
+    paged.budgetSkipped.pages === PAGES - 3 && paged.budgetSkipped.total === PAGES - 3);
+
+  // Every page is over the byte budget, so the first batch (FETCH_BATCH_SIZE = 2) is all that runs
+  const bytes = await quiet(() => docService.indexDocumentation('bytes'));
+  check('the byte budget stops indexing after the batch that reaches it',
+    bytes.documentsIndexed === 2 && await indexedPages('bytes') === 2);
+  check('pages left out by the byte budget are reported',
+    bytes.budgetSkipped.bytes === PAGES - 2 && bytes.budgetSkipped.pages === 0);
+
+  // One embedding per page: two batches (4 calls) pass the budget of 3 before it is checked again
+  embeddingCalls = 0;
+  const embeddings = await quiet(() => docService.indexDocumentation('embeddings'));
+  check('the embedding call budget stops indexing between batches',
+    embeddings.documentsIndexed === 4 && embeddingCalls === 4 && await indexedPages('embeddings') === 4);
+  check('pages left out by the embedding call budget are reported',
+    embeddings.budgetSkipped.embeddingCalls === PAGES - 4 && embeddings.budgetSkipped.total === PAGES - 4);
+
+  const unlimited = await quiet(() => docService.indexDocumentation('unlimited'));
+  check('sources without a budget index every page',
+    unlimited.documentsIndexed === PAGES && unlimited.budgetSkipped.total === 0);
+} finally {
+  server.close();
+  docService.pageCache.close();
+  vectorService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Indexing budget test complete!');
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test local directory / git clone sources against a temporary git repo
+ * (no network access or Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { LocalSourceService } from '../services/local-source-service.js';
+import { SourceRegistry } from '../services/source-registry.js';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-source-test-'));
+const repoDir = path.join(tmpDir, 'docs-repo');
+const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir });
+
+const files = {
+  'docs/index.md': '# Welcome\n\nStart here.',
+  'docs/install/quickstart.mdx': '---\ntitle: "Quick Start"\nslug: /quick-start\n---\nimport Tabs from \'@theme/Tabs\';\n\n<Tabs>\n:::note\nRun as root.\n:::\n\nInstall it.\n</Tabs>\n',
+  'docs/admin/backup.adoc': '= Backing Up\n:toc:\n\n== Snapshots\n\nNOTE: Take one daily.\n\n[source,bash]\n----\nk3s etcd-snapshot save\n----\n\nSee link:https://example.com/restore[restore].\n',
+  'docs/_partials/shared.md': '# Partial',
+  'docs/drafts/wip.md': '---\ndraft: true\n---\n# Work in progress',
+  'docs/notes.txt': 'not documentation',
+};
+
+console.log('🧪 Testing local sources\n');
+
+try {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(repoDir, file)), { recursive: true });
+    await fs.writeFile(path.join(repoDir, file), content);
+  }
+  git('init', '-q');
+  git('add', '.');
+  git('commit', '-qm', 'Initial docs');
+
+  const configPath = path.join(tmpDir, 'sources.json');
+  await fs.writeFile(configPath, JSON.stringify({
+    sources: [{
+      id: 'repo',
+      name: 'Repo Docs',
+      type: 'local',
+      path: 'docs-repo/docs',
+      urlTemplate: 'https://docs.example.com/{slug}',
+      ignoreGlobs: ['_partials/**'],
+    }],
+  }));
+
+  const source = new SourceRegistry(configPath).get('repo');
+  check('resolves path relative to the registry file', source.path === path.join(repoDir, 'docs'));
+  check('derives baseUrl from the URL template', source.baseUrl === 'https://docs.example.com');
+
+  const localSources = new LocalSourceService();
+  const entries = await localSources.discover(source);
+  const urls = entries.map((entry) => entry.url);
+
+  check('matches globs and ignores excluded files',
+    urls.length === 3 && !urls.some((url) => url.includes('_partials') || url.includes('notes')));
+  check('skips drafts', !urls.some((url) => url.includes('wip')));
+  check('builds URLs from the template and front-matter slug',
+    urls.includes('https://docs.example.com/quick-start') &&
+    urls.includes('https://docs.example.com/admin/backup') &&
+    urls.includes('https://docs.example.com/'));
+
+  const mdx = await localSources.readDocument(source, 'https://docs.example.com/quick-start');
+  check('takes the title from front-matter', mdx.title === 'Quick Start');
+  check('strips MDX imports and components', !mdx.markdown.includes('import') && !mdx.markdown.includes('<Tabs>'));
+
+  const adoc = await localSources.readDocument(source, 'https://docs.example.com/admin/backup');
+  check('converts AsciiDoc to Markdown', adoc.title === 'Backing Up' &&
+    adoc.markdown.includes('## Snapshots') && adoc.markdown.includes('```bash') &&
+    adoc.markdown.includes('[restore](https://example.com/restore)'));
+
+  const firstCommit = git('rev-parse', 'HEAD').toString().trim();
+  check('uses the last commit as the version', adoc.version === firstCommit);
+
+  const cached = { htmlPath: adoc.filePath, etag: adoc.version, contentHash: adoc.contentHash };
+  check('reports unchanged at the same commit', !(await localSources.checkForChanges(source, cached)).changed);
+
+  await fs.appendFile(adoc.filePath, '\nMore text.\n');
+  localSources.commitCache.clear();
+  const dirty = await localSources.checkForChanges(source, cached);
+  check('detects uncommitted edits by content hash', dirty.changed && dirty.method === 'content-hash');
+
+  git('commit', '-qam', 'Update backup docs');
+  const committed = await localSources.checkForChanges(source, cached);
+  check('detects new commits', committed.changed && committed.method === 'git-commit' && committed.version !== firstCommit);
+
+  const other = await localSources.readDocument(source, 'https://docs.example.com/');
+  check('keeps the version of untouched files', other.version === firstCommit);
+} finally {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Local source test complete!');
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Test the MCP server in-process: resources and subscriptions, prompts, index
+ * progress notifications and the index lock over the SDK's in-memory
+ * transport, and the SSE transport with its bearer token (local HTTP servers;
+ * embeddings are stubbed, so no Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3987;
+const MCP_PORT = 3992;
+const ORIGIN = `http://127.0.0.1:${PORT}`;
+const MCP_ORIGIN = `http://127.0.0.1:${MCP_PORT}`;
+const BASE = `${ORIGIN}/k3s`;
+const PAGES = 3;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/k3s/sitemap.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    const urls = Array.from({ length: PAGES }, (_, i) => `<url><loc>${BASE}/page-${i}</loc></url>`).join('');
+    return res.end(`<?xml version="1.0"?><urlset>${urls}</urlset>`);
+  }
+  const page = req.url.match(/^\/k3s\/(page-\d+)$/)?.[1];
+  if (!page) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><body><main><h1>K3s ${page}</h1><p>Installing K3s on ${page} needs the agent token.</p></main></body></html>`);
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-server-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [{ id: 'k3s', name: 'K3s', baseUrl: BASE, crawl: false }],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.EMBEDDING_CACHE_PATH = path.join(tmpDir, 'embedding-cache.json');
+process.env.EMBEDDING_PROVIDER = 'ollama';
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+process.env.BATCH_DELAY = '1';
+process.env.MCP_HTTP_PORT = String(MCP_PORT);
+process.env.MCP_HTTP_TOKEN = 'team-secret';
+
+const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
+const { ResourceUpdatedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+const { DocsNavigatorServer } = await import('../index.js');
+
+const quiet = async (fn) => {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+};
+
+const mcp = await quiet(() => new DocsNavigatorServer());
+const embed = async ({ prompt }) => ({ embedding: [prompt.length, 1, 0] });
+mcp.vectorService.aiService.ollamaClient.embeddings = embed;
+mcp.docService.vectorService.aiService.ollamaClient.embeddings = embed;
+
+const connect = async () => {
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, { capabilities: {} });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const { server: session } = mcp.createSession();
+  await Promise.all([client.connect(clientTransport), session.connect(serverTransport)]);
+  return client;
+};
+
+const toolText = (result) => result.content.map((item) => item.text).join('\n');
+
+// Open an SSE stream and collect its events; resolves once the endpoint is announced
+const openSse = (headers) => new Promise((resolve, reject) => {
+  const req = http.get(`${MCP_ORIGIN}/sse`, { headers }, (res) => {
+    const stream = { status: res.statusCode, events: [], close: () => req.destroy() };
+    if (res.statusCode !== 200) {
+      res.resume();
+      return resolve(stream);
+    }
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map((line) => {
+          const colon = line.indexOf(': ');
+          return [line.slice(0, colon), line.slice(colon + 2)];
+        }));
+        buffer = buffer.slice(end + 2);
+        stream.events.push(fields);
+        if (fields.event === 'endpoint') {
+          stream.endpoint = fields.data;
+          resolve(stream);
+        }
+      }
+    });
+  });
+  req.on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return condition();
+};
+
+console.log('🧪 Testing the MCP server\n');
+
+let httpServer = null;
+const client = await connect();
+try {
+  // Index progress notifications
+  const progress = [];
+  const indexed = await quiet(() => client.callTool(
+    { name: 'index_documentation', arguments: { source: 'k3s' } },
+    undefined,
+    { onprogress: (update) => progress.push(update) }
+  ));
+  check('indexes a source through the tool', toolText(indexed).includes(`Indexed ${PAGES} documents from k3s`));
+  check('reports progress once per document',
+    progress.length === PAGES && progress.every((update, i) => update.progress === i + 1 && update.total === PAGES));
+  check('releases the index lock when done', !mcp.docService.pageCache.isLocked('index-k3s'));
+
+  // Index lock
+  const lock = mcp.docService.pageCache.acquireLock('index-k3s', 60);
+  const locked = await quiet(() => client.callTool({ name: 'index_documentation', arguments: { source: 'k3s' } }));
+  check('refuses to index a source another session is indexing', toolText(locked).includes('already running'));
+  const lockedAll = await quiet(() => client.callTool({ name: 'index_documentation', arguments: { source: 'all' } }));
+  check('refuses to index all sources while one is being indexed',
+    toolText(lockedAll).includes('already running') && !mcp.docService.pageCache.isLocked('index-all'));
+  mcp.docService.pageCache.releaseLock('index-k3s', lock.lockId);
+
+  const allLock = mcp.docService.pageCache.acquireLock('index-all', 60);
+  const duringAll = await quiet(() => client.callTool({ name: 'index_documentation', arguments: { source: 'k3s' } }));
+  check('refuses to index a source while all sources are being indexed',
+    toolText(duringAll).includes('already running') && !mcp.docService.pageCache.isLocked('index-k3s'));
+  mcp.docService.pageCache.releaseLock('index-all', allLock.lockId);
+
+  // Resources
+  const { resources } = await client.listResources();
+  check('lists indexed pages as resources',
+    resources.length === PAGES && resources[0].uri === 'docs://k3s/page-0' && resources[0].mimeType === 'text/markdown');
+  const { contents } = await client.readResource({ uri: 'docs://k3s/page-1' });
+  check('reads a resource as its cached markdown', contents[0].text.includes('Installing K3s on page-1'));
+  const unknown = await client.readResource({ uri: 'docs://k3s/missing' }).catch((error) => error);
+  check('rejects unknown resources', unknown instanceof Error && unknown.message.includes('Unknown resource'));
+
+  const updates = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => updates.push(notification.params.uri));
+  await client.subscribeResource({ uri: 'docs://k3s/page-2' });
+  mcp.changeDetectionService.emit('change', { url: `${BASE}/page-2`, newHash: 'edited' });
+  mcp.changeDetectionService.emit('change', { url: `${BASE}/page-2`, newHash: 'edited' });
+  mcp.changeDetectionService.emit('change', { url: `${BASE}/page-0`, newHash: 'edited' });
+  await waitFor(() => updates.length > 0);
+  check('notifies subscribers once per upstream change', updates.join() === 'docs://k3s/page-2');
+  await client.unsubscribeResource({ uri: 'docs://k3s/page-2' });
+  check('stops watching once nothing is subscribed', mcp.resourceCheckInterval === null);
+
+  // Prompts
+  const { prompts } = await client.listPrompts();
+  check('lists the prompts', prompts.some((prompt) => prompt.name === 'troubleshoot-k3s-install' &&
+    prompt.arguments.some((arg) => arg.name === 'symptom' && arg.required)));
+  const rendered = await quiet(() => client.getPrompt({
+    name: 'troubleshoot-k3s-install',
+    arguments: { symptom: 'agent token rejected' },
+  }));
+  const promptText = rendered.messages[0].content.text;
+  check('renders a prompt with retrieved documentation',
+    promptText.includes('agent token rejected') && promptText.includes('Installing K3s on page-'));
+  const missingArg = await client.getPrompt({ name: 'troubleshoot-k3s-install', arguments: {} }).catch((error) => error);
+  check('rejects prompts missing a required argument',
+    missingArg instanceof Error && missingArg.message.includes('Missing required argument: symptom'));
+
+  // SSE transport
+  httpServer = await quiet(() => mcp.runHttp());
+  const anonymous = await openSse({});
+  const wrongToken = await openSse({ Authorization: 'Bearer guess' });
+  const health = await fetch(`${MCP_ORIGIN}/health`);
+  check('rejects SSE clients without the bearer token',
+    anonymous.status === 401 && wrongToken.status === 401 && health.status === 401);
+
+  const sessionsBefore = mcp.sessions.size;
+  const stream = await openSse({ Authorization: 'Bearer team-secret' });
+  check('announces the message endpoint over SSE',
+    stream.status === 200 && stream.endpoint.startsWith('/messages?sessionId=') && mcp.sessions.size === sessionsBefore + 1);
+
+  const post = (headers, message) => fetch(`${MCP_ORIGIN}${stream.endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(message),
+  });
+  const rejected = await post({}, { jsonrpc: '2.0', id: 1, method: 'ping' });
+  const accepted = await post({ Authorization: 'Bearer team-secret' }, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'sse-client', version: '1.0.0' } },
+  });
+  check('rejects posted messages without the bearer token', rejected.status === 401);
+  const reply = await waitFor(() => stream.events.some((event) => event.event === 'message'))
+    ? JSON.parse(stream.events.find((event) => event.event === 'message').data)
+    : null;
+  check('answers posted messages on the SSE stream',
+    accepted.status === 202 && reply?.id === 1 && reply.result.capabilities.resources.subscribe === true);
+
+  stream.close();
+  check('drops the session when the SSE stream closes', await waitFor(() => mcp.sessions.size === sessionsBefore));
+} finally {
+  await client.close();
+  httpServer?.close();
+  server.close();
+  mcp.stopResourceWatch();
+  mcp.docService.pageCache.close();
+  mcp.docService.vectorService.close();
+  mcp.vectorService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ MCP server test complete!');
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Test page version history: versions recorded while indexing, diffs between
+ * them and the page-history CLI (local HTTP server; embeddings are stubbed,
+ * so no Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = 3998;
+const BASE = `http://127.0.0.1:${PORT}`;
+const PAGE = `${BASE}/upgrade`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+let body = '<h1>Upgrade</h1><p>Stop the server.</p><p>Replace the binary.</p><p>Start the server.</p>';
+let footer = 'Built on Monday';
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/robots.txt') {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.url === '/sitemap.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    return res.end(`<?xml version="1.0"?><urlset><url><loc>${PAGE}</loc></url></urlset>`);
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><body><main>${body}</main><footer>${footer}</footer></body></html>`);
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-history-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [{ id: 'site', name: 'Test Site', baseUrl: BASE, crawl: false }],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.EMBEDDING_CACHE_PATH = path.join(tmpDir, 'embedding-cache.json');
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+process.env.BATCH_DELAY = '1';
+process.env.PAGE_VERSIONS_KEEP = '4';
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+const { PageHistoryService } = await import('../services/page-history-service.js');
+const docService = new DocumentationService();
+docService.vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+const history = new PageHistoryService(docService.pageCache);
+
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+const index = () => quiet(() => docService.indexDocumentation('site', true));
+const rejects = async (promise) => promise.then(() => null, (error) => error.code);
+
+console.log('🧪 Testing page history\n');
+
+try {
+  await index();
+  await index();
+  check('records the first version once', (await history.listVersions(PAGE)).length === 1);
+
+  body = '<h1>Upgrade</h1><p>Drain the node.</p><p>Stop the server.</p><p>Replace the binary.</p><p>Start the server.</p>';
+  await index();
+  footer = 'Built on Tuesday';
+  await index();
+  body = '<h1>Upgrade</h1><p>Drain the node.</p><p>Stop the server.</p><p>Install the new binary.</p><p>Start the server.</p>';
+  await index();
+
+  const versions = await history.listVersions(PAGE);
+  check('records a version per distinct content hash', versions.length === 4 &&
+    versions.every((version) => version.title === 'Upgrade' && version.size > 0));
+
+  const latest = await history.diff(PAGE);
+  check('diffs the previous and latest version', latest.from.id === versions[2].id && latest.to.id === versions[3].id &&
+    latest.stats.added === 1 && latest.stats.removed === 1 &&
+    latest.diff.includes('-Replace the binary.') && latest.diff.includes('+Install the new binary.'));
+  check('writes unified diff hunks', /^@@ -\d+,\d+ \+\d+,\d+ @@$/m.test(latest.diff) &&
+    latest.diff.split('\n')[0].startsWith(`--- ${PAGE} (version ${versions[2].id}`));
+
+  const markup = await history.diff(PAGE, versions[1].id, versions[2].id);
+  check('reports markup-only changes as identical text', markup.identical && markup.stats.added === 0);
+
+  const overall = await history.diff(PAGE, versions[0].id, 'latest', { context: 0 });
+  // The added paragraph brings its blank line along
+  check('diffs any two versions', overall.stats.added === 3 && overall.stats.removed === 1 &&
+    !overall.diff.includes(' Start the server.'));
+
+  // Dates pick the version that was current at that time
+  const cache = docService.pageCache;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const start = Date.parse('2026-10-01T00:00:00Z');
+  cache.addPageVersion(`${BASE}/dated`, { contentHash: 'a', markdown: 'one\ntwo' }, start);
+  cache.addPageVersion(`${BASE}/dated`, { contentHash: 'b', markdown: 'one\ntwo\nthree' }, start + 7 * dayMs);
+  cache.addPageVersion(`${BASE}/dated`, { contentHash: 'c', markdown: 'one\nthree' }, start + 20 * dayMs);
+  const twoWeeks = await history.diff(`${BASE}/dated`, '2026-10-02', '2026-10-15');
+  check('resolves dates to the version current then', twoWeeks.stats.added === 1 && twoWeeks.stats.removed === 0 &&
+    twoWeeks.diff.includes('+three'));
+  check('rejects unknown and unreadable versions', await rejects(history.diff(`${BASE}/dated`, '2026-09-01')) === 'VERSION_NOT_FOUND' &&
+    await rejects(history.diff(PAGE, 'last-week')) === 'INVALID_VERSION');
+
+  check('renders Markdown reports', history.formatMarkdown(latest).startsWith('# Changes to Upgrade') &&
+    history.formatMarkdown(latest).includes('```diff\n'));
+
+  // The CLI reads the same database
+  const cli = (...args) => execFileSync(process.execPath, [path.join(__dirname, '..', 'cli', 'page-history.js'), ...args], {
+    env: process.env,
+    encoding: 'utf-8',
+  });
+  check('CLI lists versions', cli(PAGE).includes(`4 version(s) of ${PAGE}`));
+  check('CLI prints diffs', cli(PAGE, '--from', String(versions[0].id), '--markdown').includes('+Install the new binary.'));
+
+  // Only the newest PAGE_VERSIONS_KEEP versions of a page are kept
+  body = '<h1>Upgrade</h1><p>Drain the node.</p><p>Install the new binary.</p><p>Uncordon the node.</p>';
+  await index();
+  const kept = await history.listVersions(PAGE);
+  check('drops the oldest versions past PAGE_VERSIONS_KEEP',
+    kept.length === 4 && kept[0].id === versions[1].id && kept[3].id > versions[3].id);
+  check('keeps other pages\' versions', (await history.listVersions(`${BASE}/dated`)).length === 3);
+} finally {
+  server.close();
+  docService.pageCache.close();
+  docService.vectorService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Page history test complete!');
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Test merging of adjacent matching chunks into passages, the neighbour
+ * window and matched chunk ranges (embeddings are stubbed, so no Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'passages-test-'));
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+
+const { VectorService } = await import('../services/vector-service.js');
+const { ChunkerService } = await import('../services/chunker-service.js');
+
+const step = (n, text) => `Step ${n}: ${text} ${'Follow the prompts and wait for the command to finish. '.repeat(3)}`;
+const markdown = `# Air-gap install
+
+${step(1, 'Download the airgap images tarball.')}
+
+${step(2, 'Copy the images to /var/lib/rancher/k3s/agent/images.')}
+
+${step(3, 'Run the install script with INSTALL_K3S_SKIP_DOWNLOAD=true.')}
+
+${step(4, 'Start the k3s service and check the node is Ready.')}
+
+${step(5, 'Configure kubectl access.')}
+
+${step(6, 'Deploy the private registry mirror with INSTALL_K3S_SKIP_DOWNLOAD=true set.')}
+`;
+
+console.log('🧪 Testing passage merging\n');
+
+const vectorService = new VectorService();
+vectorService.chunker = new ChunkerService({ chunkSize: 300, overlap: 60 });
+vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+
+try {
+  const url = 'https://docs.k3s.io/installation/airgap';
+  await vectorService.addDocument({ id: url, content: markdown, metadata: { source: 'k3s', url, title: 'Air-gap install' } });
+  const total = await vectorService.store.count();
+
+  const byIndex = async (i) => vectorService.getChunkContent(`${url}#chunk${i}`);
+  const indexOf = async (needle) => {
+    for (let i = 0; i < total; i++) {
+      if ((await byIndex(i)).includes(needle)) return i;
+    }
+    return -1;
+  };
+  const copyChunk = await indexOf('Step 2');
+  const installChunk = await indexOf('Step 3');
+  check('chunks the procedure into consecutive chunks', total >= 5 && installChunk === copyChunk + 1);
+
+  const [result] = await vectorService.search('airgap images install script', 'all', 5, { mode: 'lexical' });
+  check('returns one result per page', result && (await vectorService.search('Step', 'all', 5, { mode: 'lexical' })).length === 1);
+  check('lists matched chunk ranges', result.metadata.matchedRanges.length >= 1 &&
+    result.metadata.matchedRanges.every((range) => range.start <= range.end) && result.metadata.totalChunks === total);
+
+  const [merged] = await vectorService.search('INSTALL_K3S_SKIP_DOWNLOAD', 'all', 5, { mode: 'lexical' });
+  const stepsOf = (text) => (text.match(/Step \d/g) || []);
+  check('joins separate matches with an ellipsis', merged.content.includes('[...]') && merged.metadata.matchedRanges.length === 2);
+  check('does not repeat the breadcrumb or overlap when merging',
+    new Set(stepsOf(merged.content)).size === stepsOf(merged.content).length);
+
+  const [windowed] = await vectorService.search('INSTALL_K3S_SKIP_DOWNLOAD', 'all', 5, { mode: 'lexical', contextWindow: 1 });
+  check('adds neighbouring chunks for context', windowed.content.includes('Step 2') && windowed.content.includes('Step 4'));
+  check('keeps matched ranges to the matching chunks', JSON.stringify(windowed.metadata.matchedRanges) === JSON.stringify(merged.metadata.matchedRanges));
+  check('starts the passage with the section breadcrumb once',
+    windowed.content.startsWith('Air-gap install\n\n') && windowed.content.split('Air-gap install\n\n').length === 2);
+
+  const wide = await vectorService.search('INSTALL_K3S_SKIP_DOWNLOAD', 'all', 5, { mode: 'lexical', contextWindow: 10 });
+  check('merges overlapping windows into one passage', !wide[0].content.includes('[...]') && stepsOf(wide[0].content).length === 6);
+
+  check('collapses indexes into ranges',
+    JSON.stringify(vectorService.toRanges([5, 1, 2, 3, 3, 7])) === '[{"start":1,"end":3},{"start":5,"end":5},{"start":7,"end":7}]');
+} finally {
+  vectorService.lexicalIndex.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Passage merging test complete!');
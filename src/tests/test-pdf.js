@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Test PDF ingestion: content-type detection, page-by-page extraction and
+ * page numbers in chunk metadata and citations
+ * (local HTTP server; embeddings are stubbed, so no Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3995;
+const BASE = `http://127.0.0.1:${PORT}`;
+
+/**
+ * Build a minimal PDF with one line of text per page
+ */
+function makePdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((_, i) => 3 + i * 2);
+  const fontId = 3 + pages.length * 2;
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  pages.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageIds[i] + 1} 0 R ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+  objects[fontId] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = out.length;
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  out += offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const guide = makePdf(['SLES Administration Guide', 'Configuring the firewall', 'Managing users']);
+const server = http.createServer((req, res) => {
+  if (req.url === '/robots.txt') {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.url === '/download?id=admin') {
+    // No .pdf extension: detection must rely on the content type
+    res.writeHead(200, { 'Content-Type': 'application/pdf' });
+    return res.end(guide);
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><head><title>Page</title></head><body><main><p>Hello</p></main></body></html>');
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-test-'));
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+const docService = new DocumentationService();
+
+console.log('🧪 Testing PDF ingestion\n');
+
+try {
+  const pdfUrl = `${BASE}/download?id=admin`;
+  const pdfDoc = await docService.fetchDocumentation(pdfUrl);
+  check('detects PDFs by content type', Array.isArray(pdfDoc.pages));
+  check('extracts text page by page', pdfDoc.pages.length === 3 &&
+    pdfDoc.pages[1].pageNumber === 2 && pdfDoc.pages[1].text === 'Configuring the firewall');
+  check('uses the first line as the title', pdfDoc.title === 'SLES Administration Guide');
+
+  const cachedPath = docService.pageCache.get(pdfUrl).htmlPath;
+  check('caches the PDF bytes', cachedPath.endsWith('.pdf') && (await fs.readFile(cachedPath)).equals(guide));
+
+  const fromCache = await docService.getCachedDocumentation(pdfUrl);
+  check('re-reads the cached PDF', fromCache.pages?.length === 3);
+
+  const htmlDoc = await docService.fetchDocumentation(`${BASE}/page`);
+  check('still parses HTML pages', htmlDoc.markdown === 'Hello' && !htmlDoc.pages);
+
+  const { vectorService } = docService;
+  vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+  await vectorService.addDocument({
+    id: pdfUrl,
+    content: pdfDoc.markdown,
+    pages: pdfDoc.pages,
+    metadata: { source: 'suse', url: pdfUrl, title: pdfDoc.title },
+  });
+
+  const items = await vectorService.store.listChunks();
+  check('stores page numbers in chunk metadata',
+    items.length === 3 && items.map((item) => item.metadata.page).sort().join(',') === '1,2,3');
+
+  const results = await vectorService.search('firewall', 'all', 3);
+  const citation = vectorService.aiService.formatSources(results);
+  check('cites the page in sources', results[0]?.metadata.page &&
+    citation.startsWith(`[Source 1: page ${results[0].metadata.page} of SLES Administration Guide (PDF)`));
+} finally {
+  server.close();
+  docService.pageCache.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ PDF ingestion test complete!');
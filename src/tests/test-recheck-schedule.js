@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test adaptive recheck scheduling: per-page intervals learned from check
+ * results and history, due-page selection and the request budget
+ * (fetches are stubbed, so no network)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'recheck-schedule-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [
+    { id: 'alpha', name: 'Alpha Docs', baseUrl: 'https://alpha.example.com', crawl: false },
+    { id: 'beta', name: 'Beta Docs', baseUrl: 'https://beta.example.com', crawl: false },
+  ],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.RECHECK_MIN_HOURS = '1';
+process.env.RECHECK_MAX_DAYS = '30';
+process.env.RECHECK_DEFAULT_HOURS = '24';
+process.env.RECHECK_BUDGET = '100';
+
+const { CacheService } = await import('../services/cache-service.js');
+const { ChangeDetectionService } = await import('../services/change-detection-service.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Page body per URL; no ETag or Last-Modified, so every check is a HEAD plus a GET
+const upstream = new Map();
+const requests = [];
+const fetchService = {
+  head: async (url) => {
+    requests.push(url);
+    return { status: 200, headers: {} };
+  },
+  get: async (url) => {
+    requests.push(url);
+    return { status: 200, headers: {}, data: upstream.get(url) };
+  },
+};
+
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+const cache = new CacheService(process.env.PAGE_CACHE_PATH);
+await quiet(() => cache.initialize());
+const changeDetection = new ChangeDetectionService(cache, fetchService);
+changeDetection.saveCheckResults = async () => {};
+
+const A = 'https://alpha.example.com';
+const B = 'https://beta.example.com';
+const addPage = (url, body) => {
+  upstream.set(url, body);
+  cache.set(url, { source: url.startsWith(A) ? 'alpha' : 'beta', contentHash: changeDetection.calculateHash(body) });
+};
+addPage(`${A}/release-notes`, 'v1');
+addPage(`${A}/concepts`, 'concepts');
+addPage(`${B}/install`, 'install');
+
+// Pretend a page's check is due by moving its next check into the past
+const makeDue = (url, ago = HOUR) => {
+  const schedule = cache.getCheckSchedule(url);
+  cache.setCheckSchedules([{ ...schedule, nextCheckAt: Date.now() - ago }]);
+};
+
+try {
+  upstream.set(`${A}/release-notes`, 'v2');
+  const first = await quiet(() => changeDetection.checkDuePages(['alpha', 'beta']));
+  check('Unscheduled pages are all due and checked',
+    first.schedule.due === 3 && first.schedule.checked === 3 && first.summary.totalChanged === 1);
+  check('Due checks are recorded in the check history', cache.getCheckRuns().length === 2 && first.sources.alpha.runId);
+
+  const seeded = cache.getCheckSchedule(`${A}/concepts`);
+  check('A first check schedules the page RECHECK_DEFAULT_HOURS ahead',
+    seeded.interval === 24 * HOUR && Math.abs(seeded.nextCheckAt - (Date.now() + 24 * HOUR)) < 5000);
+  check('Changes found are remembered', cache.getCheckSchedule(`${A}/release-notes`).lastChangedAt !== null);
+
+  requests.length = 0;
+  const second = await quiet(() => changeDetection.checkDuePages(['alpha', 'beta']));
+  check('Nothing is checked before it is due', second.schedule.due === 0 && requests.length === 0);
+
+  // Volatile page: every check finds a change, so the interval keeps halving down to the minimum
+  for (const version of ['v3', 'v4', 'v5', 'v6', 'v7', 'v8']) {
+    upstream.set(`${A}/release-notes`, version);
+    makeDue(`${A}/release-notes`);
+    const results = await quiet(() => changeDetection.checkDuePages(['alpha']));
+    cache.set(`${A}/release-notes`, { ...cache.get(`${A}/release-notes`), contentHash: results.sources.alpha.changed[0].newHash });
+  }
+  check('A page that keeps changing is rechecked hourly', cache.getCheckSchedule(`${A}/release-notes`).interval === HOUR);
+
+  // Stable page: each unchanged check stretches the interval by half, up to the maximum
+  makeDue(`${A}/concepts`);
+  await quiet(() => changeDetection.checkDuePages(['alpha']));
+  check('An unchanged check stretches the interval by half', cache.getCheckSchedule(`${A}/concepts`).interval === 36 * HOUR);
+  for (let i = 0; i < 10; i++) {
+    makeDue(`${A}/concepts`);
+    await quiet(() => changeDetection.checkDuePages(['alpha']));
+  }
+  check('A page that never changes is rechecked every RECHECK_MAX_DAYS', cache.getCheckSchedule(`${A}/concepts`).interval === 30 * DAY);
+
+  changeDetection.updateSchedules('alpha', [{ url: `${A}/concepts`, status: 'error', error: 'timeout' }]);
+  check('Errors leave the interval as it is', cache.getCheckSchedule(`${A}/concepts`).interval === 30 * DAY);
+
+  // Pages with check history but no schedule start from their observed change rate
+  const now = Date.now();
+  const history = (url, statuses) => statuses.forEach((status, i) => {
+    const at = now - (statuses.length - i) * DAY;
+    cache.addCheckRun({ source: 'beta', startedAt: at, finishedAt: at, results: [{ url, status }] });
+  });
+  addPage(`${B}/upgrade`, 'upgrade');
+  history(`${B}/upgrade`, ['unchanged', 'changed', 'unchanged', 'changed', 'unchanged', 'changed', 'unchanged', 'changed', 'unchanged']);
+  addPage(`${B}/faq`, 'faq');
+  history(`${B}/faq`, Array(61).fill('unchanged'));
+  await quiet(() => changeDetection.checkDuePages(['beta']));
+  // Nine days of history plus this check, four changes
+  check('History with changes seeds the average time between them',
+    Math.abs(cache.getCheckSchedule(`${B}/upgrade`).interval - (9 * DAY) / 4) < 5000);
+  check('History without changes seeds how long the page has been stable (capped)',
+    cache.getCheckSchedule(`${B}/faq`).interval === 30 * DAY);
+
+  // Budget: five due pages, a budget of 6 requests buys three HEAD + GET checks, most overdue first
+  for (const name of ['b1', 'b2', 'b3', 'b4', 'b5']) {
+    addPage(`${B}/${name}`, name);
+  }
+  await quiet(() => changeDetection.checkDuePages(['beta']));
+  ['b1', 'b2', 'b3', 'b4', 'b5'].forEach((name, i) => makeDue(`${B}/${name}`, (10 - i) * HOUR));
+  requests.length = 0;
+  const budgeted = await quiet(() => changeDetection.checkDuePages(['beta'], { budget: 6 }));
+  check('Checks stop within the request budget',
+    budgeted.schedule.due === 5 && budgeted.schedule.checked === 3 && budgeted.schedule.requests === 6 && requests.length === 6);
+  check('The most overdue pages are checked first',
+    ['b1', 'b2', 'b3'].every((name) => requests.includes(`${B}/${name}`)) && !requests.includes(`${B}/b5`));
+
+  // Full checks feed the schedule too
+  const before = cache.getCheckSchedule(`${B}/install`).nextCheckAt;
+  await quiet(() => changeDetection.checkSourceForChanges('beta'));
+  check('Full source checks update schedules', cache.getCheckSchedule(`${B}/install`).nextCheckAt > before);
+
+  // Scheduled cycles check only what is due
+  makeDue(`${A}/concepts`);
+  makeDue(`${B}/install`);
+  const cycle = await quiet(() => changeDetection.runAutoCheck(['alpha', 'beta'], { adaptive: true, budget: 50 }));
+  check('Adaptive auto-detection cycles check due pages only',
+    cycle.schedule.budget === 50 && cycle.schedule.checked === 2 &&
+    cycle.sources.alpha.totalChecked === 1 && cycle.sources.beta.totalChecked === 1);
+
+  const stats = await changeDetection.getScheduleStats();
+  const alpha = stats.find((row) => row.source === 'alpha');
+  check('Schedule statistics show intervals and the daily check rate',
+    alpha.pages === 2 && alpha.scheduled === 2 && alpha.minIntervalHours === 1 && alpha.maxIntervalHours === 720 &&
+    alpha.checksPerDay === Number((24 + 1 / 30).toFixed(1)));
+} finally {
+  cache.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} recheck schedule check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Recheck schedule test complete!');
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Test re-indexing of pages flagged by change detection through the
+ * re-index queue (local HTTP server; embeddings are stubbed, so no Ollama required)
+ */
+
+import http from 'http';
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3997;
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+// Page bodies by path; each page's ETag follows its body
+const pages = new Map([
+  ['/alpha', 'Alpha explains etcd snapshots.'],
+  ['/bravo', 'Bravo explains node upgrades.'],
+  ['/charlie', 'Charlie explains load balancers.'],
+]);
+const statusOf = new Map();
+const failing = new Set();
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/robots.txt') {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.url === '/sitemap.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    const urls = Array.from(pages.keys()).map((page) => `<url><loc>${BASE}${page}</loc></url>`).join('');
+    return res.end(`<?xml version="1.0"?><urlset>${urls}</urlset>`);
+  }
+  if (failing.has(req.url) && req.method === 'GET') {
+    res.writeHead(500);
+    return res.end();
+  }
+
+  const status = statusOf.get(req.url) || 200;
+  const body = pages.get(req.url) || '';
+  const etag = `"${Buffer.from(body).toString('base64').slice(0, 24)}"`;
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304);
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Type': 'text/html', ETag: etag });
+  res.end(status === 200 ? `<html><body><main><h1>${req.url.slice(1)}</h1><p>${body}</p></main></body></html>` : 'Gone');
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reindex-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [{ id: 'site', name: 'Test Site', baseUrl: BASE, crawl: false }],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.EMBEDDING_CACHE_PATH = path.join(tmpDir, 'embedding-cache.json');
+process.env.REINDEX_MAX_ATTEMPTS = '2';
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+process.env.BATCH_DELAY = '1';
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+const { ChangeDetectionService } = await import('../services/change-detection-service.js');
+const { ReindexService } = await import('../services/reindex-service.js');
+const { CacheService } = await import('../services/cache-service.js');
+const docService = new DocumentationService();
+const { vectorService } = docService;
+vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+const reindexService = new ReindexService(docService);
+const changeDetection = new ChangeDetectionService(docService.pageCache);
+const detectAndReindex = () => quiet(async () =>
+  reindexService.run(await changeDetection.checkSourceForChanges('site')));
+const chunksOf = async (url) =>
+  (await vectorService.store.listChunks()).filter((chunk) => chunk.metadata.originalDocId === url);
+const keywordHits = async (query) =>
+  (await vectorService.search(query, 'all', 5, { mode: 'lexical' })).map((result) => result.metadata.url);
+
+console.log('🧪 Testing re-indexing\n');
+
+try {
+  await quiet(() => docService.indexDocumentation('site'));
+  const [bravoBefore] = await chunksOf(`${BASE}/bravo`);
+
+  pages.set('/alpha', 'Alpha explains cluster backups and restores.');
+  const first = await detectAndReindex();
+  check('re-indexes pages change detection flags', first.reindexed.length === 1 &&
+    first.reindexed[0].url === `${BASE}/alpha` && first.reindexed[0].reason === 'changed');
+  check('replaces the page\'s vectors', (await keywordHits('restores')).includes(`${BASE}/alpha`) &&
+    (await keywordHits('snapshots')).length === 0 && (await chunksOf(`${BASE}/alpha`)).length === 1);
+  check('leaves unchanged pages alone', (await chunksOf(`${BASE}/bravo`))[0]?.metadata.indexedAt === bravoBefore.metadata.indexedAt);
+  check('records the outcome in the queue', docService.pageCache.getReindexStats('site').done === 1 &&
+    docService.pageCache.getPendingReindex().length === 0);
+
+  // Another process indexing the source keeps the page queued
+  pages.set('/bravo', 'Bravo explains rolling upgrades.');
+  const lock = docService.pageCache.acquireLock('index-site', 60);
+  const locked = await detectAndReindex();
+  check('skips sources locked by another indexer', locked.locked.includes('site') && locked.reindexed.length === 0 &&
+    docService.pageCache.getPendingReindex('site').length === 1);
+  check('stores queue times in milliseconds',
+    Math.abs(docService.pageCache.getPendingReindex('site')[0].queuedAt - Date.now()) < 60 * 1000);
+  docService.pageCache.releaseLock('index-site', lock.lockId);
+
+  const allLock = docService.pageCache.acquireLock('index-all', 60);
+  const lockedAll = await quiet(() => reindexService.processQueue());
+  check('skips every source during a full indexing run', lockedAll.locked.includes('site') &&
+    lockedAll.reindexed.length === 0);
+  docService.pageCache.releaseLock('index-all', allLock.lockId);
+
+  const drained = await quiet(() => reindexService.processQueue());
+  check('picks queued pages up on the next run', drained.reindexed.length === 1 &&
+    (await keywordHits('rolling')).includes(`${BASE}/bravo`));
+
+  // A page that fails to fetch is retried, then given up on
+  pages.set('/charlie', 'Charlie explains ingress controllers.');
+  const flagged = await quiet(() => changeDetection.checkSourceForChanges('site'));
+  failing.add('/charlie');
+  const retry = await quiet(() => reindexService.run(flagged));
+  check('keeps failed pages queued for a retry', retry.retrying.length === 1 &&
+    docService.pageCache.getPendingReindex('site')[0]?.attempts === 1);
+  // Flagged again by the next check, it keeps its attempts rather than starting over
+  const gaveUp = await quiet(() => reindexService.run(flagged));
+  check('gives up after REINDEX_MAX_ATTEMPTS', gaveUp.failed.length === 1 &&
+    docService.pageCache.getReindexStats('site').failed === 1);
+  const stillFailed = await quiet(() => reindexService.run(flagged));
+  check('does not revive a failed page until it changes', stillFailed.queued === 0 &&
+    docService.pageCache.getReindexStats('site').failed === 1);
+  failing.delete('/charlie');
+
+  // A changed page that is gone by the time it is fetched is tombstoned, not failed
+  const changedAgain = await quiet(() => reindexService.enqueueChanges({
+    source: 'site', changed: [{ url: `${BASE}/charlie`, status: 'changed', newHash: 'newer' }], new: [],
+  }));
+  check('queues a failed page again once its content changes', changedAgain === 1);
+  statusOf.set('/charlie', 404);
+  const gone = await quiet(() => reindexService.processQueue());
+  check('marks pages answering 404 as gone', gone.gone.length === 1 &&
+    docService.pageCache.get(`${BASE}/charlie`).tombstoneReason === 'http-404');
+  statusOf.delete('/charlie');
+
+  // Scheduled checks re-index before saving, so the history records the outcome.
+  // charlie, given up on earlier, is queued again because it still differs.
+  pages.set('/alpha', 'Alpha explains disaster recovery.');
+  let saved = null;
+  changeDetection.saveCheckResults = async (results) => {
+    saved = results;
+  };
+  await quiet(() => changeDetection.runAutoCheck(['site'], {}, null, reindexService));
+  check('scheduled checks record re-index results', saved?.reindex?.reindexed.length === 2 &&
+    docService.pageCache.getReindexStats('site').failed === 0 &&
+    (await keywordHits('disaster')).includes(`${BASE}/alpha`));
+
+  // Databases from before queue times were in milliseconds are converted once
+  const legacyPath = path.join(tmpDir, 'legacy.db');
+  const legacy = new Database(legacyPath);
+  legacy.exec(`
+    CREATE TABLE reindex_queue (url TEXT PRIMARY KEY, source TEXT NOT NULL, reason TEXT, status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0, last_error TEXT, queued_at INTEGER DEFAULT (strftime('%s', 'now')), processed_at INTEGER);
+    INSERT INTO reindex_queue (url, source, queued_at) VALUES ('${BASE}/old', 'site', 1700000000);
+  `);
+  legacy.close();
+  const migrated = new CacheService(legacyPath);
+  await quiet(() => migrated.initialize());
+  migrated.close();
+  const reopened = new CacheService(legacyPath);
+  await quiet(() => reopened.initialize());
+  check('converts queue times stored in seconds', reopened.getPendingReindex()[0]?.queuedAt === 1700000000 * 1000);
+  reopened.close();
+} finally {
+  server.close();
+  reindexService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Re-index test complete!');
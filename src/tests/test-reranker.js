@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Test the optional reranking stage: LLM-as-judge scoring, the time budget
+ * and the fallback to retrieval order (the model is stubbed, so no Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reranker-test-'));
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.RERANK_MODE = 'llm';
+process.env.RERANK_TIMEOUT_MS = '200';
+
+const { RerankerService } = await import('../services/reranker-service.js');
+const { VectorService } = await import('../services/vector-service.js');
+
+const candidates = [
+  { id: 'a', content: 'K3s release notes mention etcd.' },
+  { id: 'b', content: 'Back up etcd with k3s etcd-snapshot save.' },
+  { id: 'c', content: 'Rancher UI overview.' },
+];
+
+console.log('🧪 Testing reranker\n');
+
+const reranker = new RerankerService({
+  generateCompletion: async () => 'Scores: [3, 9, 0]',
+});
+const reranked = await reranker.rerank('how do I back up etcd', candidates);
+check('reorders candidates by judge score', reranked.map((c) => c.id).join('') === 'bac');
+check('attaches the rerank score', reranked[0].rerankScore === 9);
+
+reranker.topN = 2;
+reranker.aiService.generateCompletion = async () => '[3, 9]';
+const partial = await reranker.rerank('how do I back up etcd', [...candidates, { id: 'd', content: 'More.' }]);
+check('only rescores the top N', partial.map((c) => c.id).join('') === 'bacd' && partial[3].rerankScore === undefined);
+reranker.topN = 20;
+
+reranker.aiService.generateCompletion = async () => new Promise((resolve) => setTimeout(() => resolve('[1, 2, 3]'), 1000));
+const started = Date.now();
+const slow = await reranker.rerank('how do I back up etcd', candidates);
+check('falls back to retrieval order on timeout', slow === candidates && Date.now() - started < 900);
+check('counts timeouts', reranker.getStats().timeouts === 1);
+
+reranker.aiService.generateCompletion = async () => 'I cannot rank these.';
+check('falls back when the judge gives no scores', await reranker.rerank('q', candidates) === candidates);
+
+reranker.aiService.generateCompletion = async () => '[5, 5]';
+check('falls back when the judge miscounts', await reranker.rerank('q', candidates) === candidates);
+
+const off = new RerankerService({});
+off.mode = 'off';
+check('does nothing when disabled', await off.rerank('q', candidates) === candidates);
+
+check('parses pointwise scores', reranker.parseScore(' 7\n') === 7 && reranker.parseScore('8.5/10') === 8.5);
+
+// Search integration: the judge overrides the retrieval order
+const vectorService = new VectorService();
+vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+try {
+  const docs = [
+    ['https://docs.k3s.io/release-notes', 'etcd etcd etcd in the release notes.'],
+    ['https://docs.k3s.io/backup', 'Back up etcd with k3s etcd-snapshot save.'],
+  ];
+  for (const [url, content] of docs) {
+    await vectorService.addDocument({ id: url, content, metadata: { source: 'k3s', url, title: url } });
+  }
+
+  const judged = [];
+  vectorService.aiService.generateCompletion = async (prompt) => {
+    judged.push(prompt);
+    return prompt.indexOf('snapshot') < prompt.indexOf('release notes') ? '[9, 1]' : '[1, 9]';
+  };
+  const results = await vectorService.search('etcd', 'all', 2, { mode: 'lexical' });
+  check('search applies the reranker', judged.length === 1 && results[0].metadata.url === 'https://docs.k3s.io/backup' &&
+    results[0].metadata.rerankScore === 9);
+
+  const plain = await vectorService.search('etcd', 'all', 2, { mode: 'lexical', rerank: false });
+  check('rerank can be turned off per search', judged.length === 1 && plain[0].metadata.rerankScore === undefined);
+} finally {
+  vectorService.lexicalIndex.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Reranker test complete!');
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Test the job scheduler: cron expressions, due jobs, state persisted across
+ * restarts, overlap protection and the vacuum task (other tasks are stubbed)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-test-'));
+const jobsPath = path.join(tmpDir, 'jobs.json');
+const writeJobs = (jobs) => fs.writeFile(jobsPath, JSON.stringify({ jobs }));
+await writeJobs([
+  { name: 'nightly', schedule: '0 2 * * *', task: 'count' },
+  { name: 'six-hourly', schedule: '0 */6 * * *', task: 'count' },
+  { name: 'broken', schedule: '@hourly', task: 'fail' },
+  { name: 'vacuum', schedule: '0 4 * * sun', task: 'vacuum' },
+  { name: 'off', schedule: '* * * * *', task: 'count', enabled: false },
+]);
+
+process.env.TZ = 'UTC';
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.JOBS_CONFIG_PATH = jobsPath;
+process.env.JOB_HISTORY_RUNS = '3';
+process.env.SCHEDULER_TICK_SECONDS = '3600';
+
+const { CacheService } = await import('../services/cache-service.js');
+const { CronExpression, SchedulerService } = await import('../services/scheduler-service.js');
+
+const quiet = async (fn) => {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+};
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => new Date(iso).getTime();
+const next = (expression, after) => new CronExpression(expression).next(at(after)).toISOString();
+
+// Cron expressions
+check('Daily schedules run at the given time',
+  next('0 2 * * *', '2024-03-10T01:59:00Z') === '2024-03-10T02:00:00.000Z' &&
+  next('0 2 * * *', '2024-03-10T02:00:00Z') === '2024-03-11T02:00:00.000Z');
+check('Steps run every n hours', next('0 */6 * * *', '2024-03-10T06:30:00Z') === '2024-03-10T12:00:00.000Z');
+check('Weekday names and 7 both mean Sunday',
+  next('0 4 * * sun', '2024-03-11T00:00:00Z') === '2024-03-17T04:00:00.000Z' &&
+  next('0 4 * * 7', '2024-03-11T00:00:00Z') === '2024-03-17T04:00:00.000Z');
+check('Lists, ranges and month names',
+  next('15,45 9-17 * jan-mar mon-fri', '2024-03-29T17:50:00Z') === '2025-01-01T09:15:00.000Z');
+check('Either day field matches when both are restricted',
+  next('0 0 13 * fri', '2024-09-01T00:00:00Z') === '2024-09-06T00:00:00.000Z');
+check('Day fields starting with * narrow the other day field instead',
+  next('0 3 */2 * 1', '2024-03-11T04:00:00Z') === '2024-03-25T03:00:00.000Z' &&
+  next('0 3 1 * */2', '2024-03-02T00:00:00Z') === '2024-06-01T03:00:00.000Z');
+check('Macros and leap days', next('@weekly', '2024-03-10T00:00:00Z') === '2024-03-17T00:00:00.000Z' &&
+  next('0 0 29 2 *', '2024-03-01T00:00:00Z') === '2028-02-29T00:00:00.000Z');
+const invalid = ['0 2 * *', '60 * * * *', '* * * * funday', '*/0 * * * *', '5-1 * * * *', '0 0 31 2 *']
+  .filter((expression) => {
+    try {
+      new CronExpression(expression).next();
+      return false;
+    } catch (error) {
+      return error.code === 'INVALID_SCHEDULE';
+    }
+  });
+check('Invalid schedules are rejected', invalid.length === 6);
+
+// A scheduler with stubbed tasks over the same database, like a restarted process
+const counts = {};
+const startScheduler = async () => {
+  const scheduler = new SchedulerService(new CacheService(process.env.PAGE_CACHE_PATH));
+  scheduler.registerTask('count', async (job) => {
+    counts[job.name] = (counts[job.name] || 0) + 1;
+    return { runs: counts[job.name] };
+  });
+  scheduler.registerTask('fail', async () => {
+    throw new Error('upstream unavailable');
+  });
+  await quiet(() => scheduler.initialize());
+  return scheduler;
+};
+
+let scheduler = await startScheduler();
+const cache = scheduler.cacheService;
+try {
+  const nightly = cache.getJob('nightly');
+  check('New jobs are scheduled from now',
+    nightly.nextRunAt === new CronExpression('0 2 * * *').next(Date.now()).getTime() && nightly.lastRunAt === null);
+
+  check('Nothing runs before it is due', (await quiet(() => scheduler.tick())).length === 0);
+
+  // Pretend the scheduler was down past the nightly and six-hourly runs
+  const past = Date.now() - 30 * HOUR;
+  cache.setJobNextRun('nightly', past);
+  cache.setJobNextRun('six-hourly', past);
+  cache.setJobNextRun('off', past);
+  await scheduler.close();
+
+  scheduler = await startScheduler();
+  check('Schedules survive a restart', scheduler.cacheService.getJob('nightly').nextRunAt === past);
+  const runs = await quiet(() => scheduler.tick());
+  check('Missed runs happen once on the next tick, disabled jobs never',
+    runs.map((run) => run.job).join() === 'nightly,six-hourly' && runs.every((run) => run.status === 'success') &&
+    counts.nightly === 1 && counts.off === undefined);
+  const state = scheduler.cacheService.getJob('nightly');
+  check('The last run is persisted and the next run moved on',
+    state.lastStatus === 'success' && state.lastResult.runs === 1 && state.lastRunAt >= past &&
+    state.nextRunAt === new CronExpression('0 2 * * *').next(runs[0].finishedAt).getTime());
+  check('Caught-up jobs are not due again', (await quiet(() => scheduler.tick())).length === 0);
+
+  // Failures are recorded, and the job stays scheduled
+  scheduler.cacheService.setJobNextRun('broken', Date.now() - 1000);
+  const [failed] = await quiet(() => scheduler.tick());
+  const broken = scheduler.cacheService.getJob('broken');
+  check('Failed runs keep their error', failed.status === 'failed' && broken.lastStatus === 'failed' &&
+    broken.lastError === 'upstream unavailable' && broken.nextRunAt > Date.now());
+
+  // Overlap: another process holds the job's lock
+  const lock = scheduler.cacheService.acquireLock('job-nightly', 60);
+  const skipped = await quiet(() => scheduler.runJob('nightly'));
+  check('A job never runs while its lock is held', skipped.status === 'skipped' && counts.nightly === 1);
+  scheduler.cacheService.releaseLock('job-nightly', lock.lockId);
+
+  const before = scheduler.cacheService.getJob('six-hourly').nextRunAt;
+  const manual = await quiet(() => scheduler.runJob('six-hourly'));
+  check('Manual runs leave the schedule alone',
+    manual.trigger === 'manual' && manual.status === 'success' && scheduler.cacheService.getJob('six-hourly').nextRunAt === before);
+
+  for (let i = 0; i < 3; i++) {
+    await quiet(() => scheduler.runJob('nightly'));
+  }
+  const history = await scheduler.getRuns('nightly');
+  check('Run logs keep the newest JOB_HISTORY_RUNS runs',
+    history.length === 3 && history.every((run) => run.status === 'success') && history[0].result.runs === 4);
+
+  const vacuum = await quiet(() => scheduler.runJob('vacuum'));
+  check('The vacuum task compacts the database', vacuum.status === 'success' && vacuum.result.sizeAfter > 0);
+
+  const jobs = await scheduler.listJobs();
+  const listed = Object.fromEntries(jobs.map((job) => [job.name, job]));
+  check('Jobs are listed with their state',
+    jobs.length === 5 && listed.nightly.lastRun.status === 'success' && listed.off.nextRunAt === null &&
+    !listed.nightly.running && listed.broken.lastRun.error === 'upstream unavailable');
+
+  let unknown = null;
+  await quiet(() => scheduler.runJob('missing')).catch((error) => { unknown = error.code; });
+  check('Unknown jobs are reported', unknown === 'JOB_NOT_FOUND');
+
+  // Changing a job's schedule reschedules it
+  await scheduler.close();
+  await writeJobs([{ name: 'nightly', schedule: '30 3 * * *', task: 'count' }]);
+  scheduler = await startScheduler();
+  check('A changed schedule is picked up on restart',
+    scheduler.cacheService.getJob('nightly').nextRunAt === new CronExpression('30 3 * * *').next(Date.now()).getTime());
+
+  // start() runs due jobs right away; stop() waits for them
+  scheduler.cacheService.setJobNextRun('nightly', Date.now() - 1000);
+  await quiet(() => scheduler.start());
+  const ran = counts.nightly;
+  await quiet(() => scheduler.stop());
+  check('The daemon runs due jobs on start and stops cleanly', ran === 5 && scheduler.timer === null);
+
+  await writeJobs([{ name: 'bad', schedule: '0 2 * *', task: 'count' }]);
+  let configError = null;
+  await quiet(() => startScheduler()).catch((error) => { configError = error.code; });
+  check('Jobs with invalid schedules are rejected on load', configError === 'INVALID_SCHEDULE');
+
+  // The shipped example is a valid jobs file
+  await fs.copyFile(path.join(__dirname, '..', '..', 'jobs.example.json'), jobsPath);
+  const example = await startScheduler();
+  const exampleJobs = await example.listJobs();
+  check('jobs.example.json loads', exampleJobs.length > 0 && exampleJobs.every((job) => job.nextRunAt || !job.enabled));
+  await quiet(() => example.close());
+
+  await fs.rm(jobsPath);
+  let missingError = null;
+  await quiet(() => startScheduler()).catch((error) => { missingError = error; });
+  check('A missing jobs file points to the example', missingError?.code === 'NO_JOBS_CONFIG' &&
+    missingError.message.includes('jobs.example.json'));
+} finally {
+  await quiet(() => scheduler.close());
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} scheduler check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Scheduler test complete!');
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test metadata filters applied during retrieval: sources, product version,
+ * URL prefix and indexedAt range (embeddings are stubbed, so no Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-filters-test-'));
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+
+const { VectorService } = await import('../services/vector-service.js');
+const { SourceRegistry } = await import('../services/source-registry.js');
+
+// Every chunk mentioning "policy" embeds close to the query; Rancher pages closest
+const embed = async (text) => [text.includes('policy') ? 1 : 0, text.includes('Rancher') ? 1 : 0.2, 0.01];
+
+console.log('🧪 Testing search filters\n');
+
+const registry = new SourceRegistry();
+check('extracts product versions from URLs',
+  registry.getVersion(registry.get('suse'), 'https://documentation.suse.com/sles/15-SP5/html/SLES-all/book.html') === '15-SP5' &&
+  registry.getVersion(registry.get('rancher'), 'https://ranchermanager.docs.rancher.com/v2.8/faq') === '2.8' &&
+  registry.getVersion(registry.get('k3s'), 'https://docs.k3s.io/installation') === null);
+
+const vectorService = new VectorService();
+vectorService.aiService.generateEmbedding = embed;
+
+try {
+  const add = (source, url, content, metadata = {}) => vectorService.addDocument({
+    id: url,
+    content,
+    metadata: { source, url, title: url, indexedAt: '2026-03-01T00:00:00.000Z', ...metadata },
+  });
+
+  // A large source whose pages outrank the small one for this query
+  for (let i = 0; i < 15; i++) {
+    const version = i % 2 === 0 ? '2.8' : '2.9';
+    await add('rancher', `https://ranchermanager.docs.rancher.com/v${version}/policy-${i}`,
+      `Rancher policy page ${i}.`, { version });
+  }
+  await add('kubewarden', 'https://docs.kubewarden.io/writing-policies/rego', 'Writing a Kubewarden policy in Rego.',
+    { indexedAt: '2026-01-10T00:00:00.000Z' });
+  await add('kubewarden', 'https://docs.kubewarden.io/quick-start', 'Install the Kubewarden policy server.',
+    { indexedAt: '2026-05-20T00:00:00.000Z' });
+
+  for (const mode of ['semantic', 'lexical', 'hybrid']) {
+    const results = await vectorService.search('Rancher policy', 'kubewarden', 2, { mode });
+    check(`${mode}: filters by source before taking the top results`,
+      results.length === 2 && results.every((r) => r.metadata.source === 'kubewarden'));
+  }
+
+  const both = await vectorService.search('policy', ['kubewarden', 'rancher'], 20, { mode: 'semantic' });
+  check('accepts a list of sources', both.length === 17);
+
+  for (const mode of ['semantic', 'lexical']) {
+    const versioned = await vectorService.search('policy', 'all', 20, { mode, filters: { version: '2.9' } });
+    check(`${mode}: filters by product version`,
+      versioned.length === 7 && versioned.every((r) => r.metadata.url.includes('/v2.9/')));
+
+    const prefixed = await vectorService.search('policy', 'all', 5, {
+      mode,
+      filters: { urlPrefix: 'https://docs.kubewarden.io/writing-policies' },
+    });
+    check(`${mode}: filters by URL prefix`,
+      prefixed.length === 1 && prefixed[0].metadata.url === 'https://docs.kubewarden.io/writing-policies/rego');
+
+    const recent = await vectorService.search('policy', 'kubewarden', 5, {
+      mode,
+      filters: { indexedAfter: '2026-04-01' },
+    });
+    check(`${mode}: filters by indexedAt lower bound`,
+      recent.length === 1 && recent[0].metadata.url === 'https://docs.kubewarden.io/quick-start');
+
+    const older = await vectorService.search('policy', 'all', 20, {
+      mode,
+      filters: { indexedAfter: '2026-01-01', indexedBefore: '2026-02-01T00:00:00Z' },
+    });
+    check(`${mode}: filters by indexedAt range`,
+      older.length === 1 && older[0].metadata.url === 'https://docs.kubewarden.io/writing-policies/rego');
+  }
+
+  let error = null;
+  try {
+    await vectorService.search('policy', 'all', 5, { filters: { indexedAfter: 'last week' } });
+  } catch (e) {
+    error = e;
+  }
+  check('rejects invalid dates', error?.code === 'INVALID_SEARCH');
+} finally {
+  vectorService.lexicalIndex.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Search filters test complete!');
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test sitemap discovery: nested sitemap indexes, gzipped sitemaps, sitemaps
+ * listed in robots.txt and the nesting depth cap (local HTTP server, no network
+ * access or Ollama required)
+ */
+
+import http from 'http';
+import zlib from 'zlib';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3989;
+const ORIGIN = `http://127.0.0.1:${PORT}`;
+const BASE = `${ORIGIN}/docs`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const urlset = (urls) => `<?xml version="1.0"?><urlset>${urls.join('')}</urlset>`;
+const sitemapIndex = (children) =>
+  `<?xml version="1.0"?><sitemapindex>${children.map((child) => `<sitemap><loc>${ORIGIN}${child}</loc></sitemap>`).join('')}</sitemapindex>`;
+const url = (page, extra = '') => `<url><loc>${BASE}${page}</loc>${extra}</url>`;
+
+// Sitemap path -> body. chain-<n>.xml nests one level deeper than chain-<n-1>.xml
+const sitemaps = {
+  '/sitemap_index.xml': sitemapIndex(['/nested-index.xml', '/pages.xml.gz', '/missing.xml']),
+  '/nested-index.xml': sitemapIndex(['/deep/pages.xml', '/sitemap_index.xml']),
+  '/deep/pages.xml': urlset([url('/deep-page')]),
+  '/pages.xml.gz': zlib.gzipSync(urlset([url('/gz-page', '<lastmod>2026-02-01</lastmod><priority>0.9</priority>')])),
+  '/robots-sitemap.xml': urlset([url('/robots-page'), '<url><loc>https://other.example.com/x</loc></url>']),
+};
+// Each chain index lists a sitemap of its own page, so every level contributes one page
+for (let level = 0; level <= 7; level++) {
+  sitemaps[`/chain-${level}.xml`] = sitemapIndex([`/chain-${level}-pages.xml`, `/chain-${level + 1}.xml`]);
+  sitemaps[`/chain-${level}-pages.xml`] = urlset([url(`/level-${level}`)]);
+}
+
+const requested = [];
+const server = http.createServer((req, res) => {
+  requested.push(req.url);
+  if (req.url === '/robots.txt') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(`User-agent: *\nAllow: /\n\nSitemap: ${ORIGIN}/robots-sitemap.xml\n`);
+  }
+  const body = sitemaps[req.url];
+  if (!body) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/xml' });
+  res.end(body);
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sitemaps-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [{ id: 'site', name: 'Test Site', baseUrl: BASE, sitemaps: [`${ORIGIN}/sitemap_index.xml`], crawl: false }],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+
+const quiet = async (fn) => {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+};
+
+console.log('🧪 Testing sitemap discovery\n');
+
+const docService = await quiet(() => new DocumentationService());
+try {
+  const source = docService.registry.get('site');
+  const { urlData, discovered, complete } = await quiet(() => docService.discoverDocumentUrls(source));
+  const urls = urlData.map((item) => item.url);
+
+  check('follows nested sitemap indexes', urls.includes(`${BASE}/deep-page`));
+  const gz = urlData.find((item) => item.url === `${BASE}/gz-page`);
+  check('decompresses .xml.gz sitemaps', gz?.lastmod === Date.parse('2026-02-01') && gz?.priority === 0.9);
+  check('reads sitemaps listed in robots.txt', urls.includes(`${BASE}/robots-page`));
+  check('keeps robots.txt sitemap entries to the source', !urls.some((item) => item.includes('other.example.com')));
+  check('reads each sitemap once, even when indexes loop',
+    requested.filter((item) => item === '/sitemap_index.xml').length === 1);
+  check('a missing child sitemap makes discovery incomplete', !complete && discovered.size === 3);
+
+  requested.length = 0;
+  const failed = [];
+  const chain = await quiet(() => docService.fetchSitemapEntries(`${ORIGIN}/chain-0.xml`, new Set(), 0, failed));
+  const levels = chain.map((entry) => entry.url.replace(`${BASE}/level-`, '')).sort();
+  check('stops descending past five nested indexes', levels.join() === '0,1,2,3,4' &&
+    requested.includes('/chain-5.xml') && !requested.includes('/chain-6.xml') && failed.length === 0);
+} finally {
+  server.close();
+  docService.pageCache.close();
+  docService.vectorService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Sitemap discovery test complete!');
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test tombstoning of pages removed upstream (dropped from the sitemap or
+ * answering 404/410) and their purge after the grace period
+ * (local HTTP server; embeddings are stubbed, so no Ollama required)
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3996;
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+// What the site currently serves: pages listed in the sitemap and HTTP status per path
+const listed = new Set(['/alpha', '/bravo', '/charlie']);
+const statusOf = new Map();
+let sitemapStatus = 200;
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/robots.txt') {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.url === '/sitemap.xml') {
+    res.writeHead(sitemapStatus, { 'Content-Type': 'application/xml' });
+    const urls = Array.from(listed).map((page) => `<url><loc>${BASE}${page}</loc></url>`).join('');
+    return res.end(`<?xml version="1.0"?><urlset>${urls}</urlset>`);
+  }
+
+  const status = statusOf.get(req.url) || 200;
+  res.writeHead(status, { 'Content-Type': 'text/html' });
+  const name = req.url.slice(1);
+  res.end(status === 200 ? `<html><body><main><h1>${name}</h1><p>All about ${name}.</p></main></body></html>` : 'Gone');
+});
+await new Promise((resolve) => server.listen(PORT, resolve));
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tombstone-test-'));
+const configPath = path.join(tmpDir, 'sources.json');
+await fs.writeFile(configPath, JSON.stringify({
+  sources: [{ id: 'site', name: 'Test Site', baseUrl: BASE, crawl: false }],
+}));
+
+process.env.SOURCES_CONFIG_PATH = configPath;
+process.env.PAGE_CACHE_PATH = path.join(tmpDir, 'page-cache.db');
+process.env.HTML_CACHE_DIR = path.join(tmpDir, 'html');
+process.env.VECTOR_DB_PATH = path.join(tmpDir, 'vectors');
+process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+process.env.EMBEDDING_CACHE_PATH = path.join(tmpDir, 'embedding-cache.json');
+process.env.TOMBSTONE_GRACE_DAYS = '7';
+process.env.FETCH_RATE_LIMIT = '1000';
+process.env.FETCH_RATE_BURST = '1000';
+process.env.BATCH_DELAY = '1';
+
+const { DocumentationService } = await import('../services/documentation-service.js');
+const { ChangeDetectionService } = await import('../services/change-detection-service.js');
+const docService = new DocumentationService();
+const { vectorService } = docService;
+vectorService.aiService.generateEmbedding = async (text) => [text.length, 1, 0];
+
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+const index = () => quiet(() => docService.indexDocumentation('site'));
+const indexedUrls = async () =>
+  new Set((await vectorService.store.listChunks()).map((chunk) => chunk.metadata.originalDocId));
+
+console.log('🧪 Testing tombstones\n');
+
+try {
+  const first = await index();
+  check('indexes every listed page', first.documentsIndexed === 3 && (await indexedUrls()).size === 3);
+
+  // bravo drops out of the sitemap, charlie starts answering 404
+  listed.delete('/bravo');
+  statusOf.set('/charlie', 404);
+  const second = await index();
+  const bravo = docService.pageCache.get(`${BASE}/bravo`);
+  const charlie = docService.pageCache.get(`${BASE}/charlie`);
+  check('tombstones pages missing from the sitemap', bravo.tombstoneReason === 'missing' && bravo.tombstonedAt > 0);
+  check('tombstones pages answering 404', charlie.tombstoneReason === 'http-404');
+  check('reports newly tombstoned pages', second.tombstones.tombstoned === 2 && second.tombstones.purged.length === 0);
+  check('keeps tombstoned pages during the grace period', (await indexedUrls()).size === 3);
+
+  listed.add('/bravo');
+  const third = await index();
+  check('restores pages listed again', third.tombstones.restored === 1 &&
+    docService.pageCache.get(`${BASE}/bravo`).tombstonedAt === null);
+  listed.delete('/bravo');
+  await index();
+
+  // A sitemap that can't be read says nothing about which pages are gone
+  sitemapStatus = 500;
+  const unreadable = await index();
+  sitemapStatus = 200;
+  check('does not tombstone pages when the sitemap fails', unreadable.tombstones.tombstoned === 0 &&
+    docService.pageCache.get(`${BASE}/alpha`).tombstonedAt === null);
+
+  const htmlPath = docService.pageCache.get(`${BASE}/bravo`).htmlPath;
+  docService.tombstoneGraceDays = 0;
+  const fourth = await index();
+  const purgedUrls = fourth.tombstones.purged.map((page) => page.url).sort();
+  check('purges tombstones past the grace period', purgedUrls.join(',') === `${BASE}/bravo,${BASE}/charlie`);
+  check('reports the purged chunks', fourth.tombstones.purged.every((page) => page.chunks > 0 && page.reason));
+  check('removes vectors of purged pages', Array.from(await indexedUrls()).join(',') === `${BASE}/alpha`);
+  check('removes purged pages from keyword search',
+    (await vectorService.search('bravo', 'all', 5, { mode: 'lexical' })).length === 0);
+  check('removes cached HTML and page cache entries', docService.pageCache.get(`${BASE}/bravo`) === null &&
+    await fs.access(htmlPath).then(() => false, () => true));
+
+  // Change detection tombstones a page answering 410, and lifts it once it is back
+  const changeDetection = new ChangeDetectionService(docService.pageCache);
+  statusOf.set('/alpha', 410);
+  const gone = await quiet(() => changeDetection.checkSourceForChanges('site'));
+  check('change detection reports gone pages', gone.gone.length === 1 && gone.gone[0].reason === 'HTTP 410' &&
+    docService.pageCache.get(`${BASE}/alpha`).tombstoneReason === 'http-410');
+
+  statusOf.delete('/alpha');
+  await quiet(() => changeDetection.checkSourceForChanges('site'));
+  check('change detection restores pages that answer again', docService.pageCache.get(`${BASE}/alpha`).tombstonedAt === null);
+} finally {
+  server.close();
+  docService.pageCache.close();
+  vectorService.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Tombstone test complete!');
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Test the vector store backends (vectra and SQLite) against the same
+ * contract, and the migration from vectra to SQLite (no Ollama required)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { VectraVectorStore } from '../services/vectra-vector-store.js';
+import { SqliteVectorStore } from '../services/sqlite-vector-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) failures++;
+}
+
+const noFilters = { sources: null, version: null, urlPrefix: null, indexedAfter: null, indexedBefore: null };
+
+const chunk = (docId, i, vector, metadata = {}) => ({
+  id: `${docId}#chunk${i}`,
+  vector,
+  content: `Chunk ${i} of ${docId}`,
+  metadata: {
+    source: 'k3s',
+    url: docId,
+    title: docId,
+    indexedAt: '2026-03-01T00:00:00.000Z',
+    chunkIndex: i,
+    totalChunks: 2,
+    originalDocId: docId,
+    ...metadata,
+  },
+});
+
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-test-'));
+
+console.log('🧪 Testing vector stores\n');
+
+try {
+  const stores = [
+    new VectraVectorStore(path.join(tmpDir, 'vectors')),
+    new SqliteVectorStore(path.join(tmpDir, 'vectors.db')),
+  ];
+
+  for (const store of stores) {
+    const label = (text) => `${store.type}: ${text}`;
+
+    await store.upsertChunks([
+      chunk('https://docs.k3s.io/a', 0, [1, 0, 0]),
+      chunk('https://docs.k3s.io/a', 1, [0.9, 0.1, 0]),
+      chunk('https://docs.rke2.io/b', 0, [0, 1, 0], { source: 'rke2', version: '1.30', indexedAt: '2026-05-01T00:00:00.000Z' }),
+    ]);
+    check(label('stores chunks'), await store.count() === 3);
+
+    const results = await store.query([1, 0, 0], 2, noFilters);
+    check(label('ranks by cosine similarity'), results.length === 2 &&
+      results[0].id === 'https://docs.k3s.io/a#chunk0' && Math.abs(results[0].score - 1) < 1e-6 &&
+      results[1].id === 'https://docs.k3s.io/a#chunk1');
+
+    const filtered = await store.query([1, 0, 0], 5, { ...noFilters, sources: ['rke2'], version: '1.30' });
+    check(label('filters before taking the top results'), filtered.length === 1 && filtered[0].metadata.source === 'rke2');
+
+    const ranged = await store.query([1, 0, 0], 5, { ...noFilters, urlPrefix: 'https://docs.k3s.io/', indexedBefore: '2026-04-01T00:00:00.000Z' });
+    check(label('filters by URL prefix and date'), ranged.length === 2 && ranged.every((r) => r.metadata.source === 'k3s'));
+
+    await store.upsertChunks([chunk('https://docs.k3s.io/a', 0, [0, 0, 1], { title: 'Updated' })]);
+    const updated = await store.getChunk('https://docs.k3s.io/a#chunk0');
+    check(label('upserts replace chunks with the same id'), await store.count() === 3 && updated.metadata.title === 'Updated');
+    check(label('returns chunk text'), updated.content === 'Chunk 0 of https://docs.k3s.io/a' &&
+      await store.getContent('https://docs.k3s.io/rke2#chunk9') === null);
+
+    const listed = await store.listChunks({ includeVectors: true });
+    check(label('lists chunks with vectors'), listed.length === 3 && listed.every((item) => item.vector.length === 3));
+
+    await store.deleteChunks(['https://docs.k3s.io/a#chunk1']);
+    check(label('deletes chunks and their text'), await store.count() === 2 &&
+      await store.getChunk('https://docs.k3s.io/a#chunk1') === null &&
+      await store.getContent('https://docs.k3s.io/a#chunk1') === null);
+
+    // A page re-indexed with fewer chunks keeps none of the old ones
+    const page = 'https://docs.k3s.io/page';
+    await store.replaceDocument(page, [0, 1, 2].map((i) => chunk(page, i, [1, 1, i])));
+    await store.replaceDocument(page, [chunk(page, 0, [1, 1, 1], { title: 'Shorter' })]);
+    check(label('replaces all chunks of a document'), await store.count() === 3 &&
+      (await store.getChunk(`${page}#chunk0`)).metadata.title === 'Shorter' &&
+      await store.getChunk(`${page}#chunk1`) === null &&
+      await store.getContent(`${page}#chunk2`) === null);
+
+    check(label('deletes a document by id'), await store.deleteDocument(page) === 1 &&
+      await store.count() === 2 && await store.getContent(`${page}#chunk0`) === null);
+
+    await store.upsertChunks([chunk('https://docs.rke2.io/c', 0, [0, 1, 1], { source: 'rke2' })]);
+    check(label('deletes one source and keeps the others'), await store.deleteSource('rke2') === 2 &&
+      await store.count() === 1 && (await store.listChunks())[0].metadata.source === 'k3s');
+  }
+
+  // A failed vectra update leaves the previous chunks and text in place
+  const vectra = stores[0];
+  const failing = 'https://docs.k3s.io/failing';
+  await vectra.replaceDocument(failing, [chunk(failing, 0, [1, 0, 1]), chunk(failing, 1, [1, 0, 1])]);
+  vectra.index.endUpdate = async () => {
+    throw new Error('disk full');
+  };
+  let rolledBack = false;
+  try {
+    await vectra.replaceDocument(failing, [{ ...chunk(failing, 0, [0, 1, 1]), content: 'New text' }]);
+  } catch (error) {
+    rolledBack = error.message === 'disk full';
+  }
+  check('vectra: failed replacements are rolled back', rolledBack &&
+    await vectra.getContent(`${failing}#chunk0`) === `Chunk 0 of ${failing}` &&
+    await vectra.getChunk(`${failing}#chunk1`) !== null &&
+    (await fs.readdir(path.join(tmpDir, 'vectors', 'content'))).every((file) => !file.endsWith('.tmp')));
+  check('vectra: reopened index still tracks documents', await vectra.deleteDocument(failing) === 2);
+
+  // The SQLite store rolls back a failed batch
+  const sqlite = stores[1];
+  let failed = false;
+  try {
+    await sqlite.upsertChunks([chunk('https://docs.k3s.io/c', 0, [1, 1, 0]), { id: 'broken', metadata: {}, vector: [1] }]);
+  } catch (error) {
+    failed = true;
+  }
+  check('sqlite: upserts are transactional', failed && await sqlite.count() === 1);
+
+  await sqlite.clear();
+  check('sqlite: clears everything', await sqlite.count() === 0);
+  sqlite.close();
+
+  // Migrate the vectra index into a fresh SQLite database
+  const migratedPath = path.join(tmpDir, 'migrated.db');
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'utils', 'migrate-vectors.js')], {
+    env: { ...process.env, VECTOR_DB_PATH: path.join(tmpDir, 'vectors'), SQLITE_VECTOR_DB_PATH: migratedPath },
+    stdio: 'pipe',
+  });
+  const migrated = new SqliteVectorStore(migratedPath);
+  const [top] = await migrated.query([0, 0, 1], 1, noFilters);
+  check('migrates vectors, text and metadata from vectra', await migrated.count() === 1 &&
+    top.id === 'https://docs.k3s.io/a#chunk0' && top.metadata.title === 'Updated' &&
+    await migrated.getContent(top.id) === 'Chunk 0 of https://docs.k3s.io/a');
+  migrated.close();
+
+  // VectorService works unchanged on top of the SQLite store
+  process.env.LEXICAL_INDEX_PATH = path.join(tmpDir, 'lexical-index.db');
+  const { VectorService } = await import('../services/vector-service.js');
+  const vectorService = new VectorService(new SqliteVectorStore(path.join(tmpDir, 'service.db')));
+  vectorService.aiService.generateEmbedding = async (text) => [text.includes('etcd') ? 1 : 0, 1, 0];
+  await vectorService.addDocument({
+    id: 'https://docs.k3s.io/backup',
+    content: '# Backup\n\nTake etcd snapshots.',
+    metadata: { source: 'k3s', url: 'https://docs.k3s.io/backup', title: 'Backup' },
+  });
+  const [found] = await vectorService.search('etcd', 'k3s', 1, { mode: 'semantic' });
+  check('VectorService searches the SQLite store', found?.content === 'Backup\n\nTake etcd snapshots.');
+
+  // Re-indexing a page that lost a section drops that section everywhere
+  const upgrade = { id: 'https://docs.k3s.io/upgrade', metadata: { source: 'k3s', url: 'https://docs.k3s.io/upgrade', title: 'Upgrade' } };
+  await vectorService.addDocument({ ...upgrade, content: '# Manual\n\nReplace the binary.\n\n# Automated\n\nUse the controller.' });
+  const before = await vectorService.store.count();
+  await vectorService.addDocument({ ...upgrade, content: '# Manual\n\nReplace the binary.' });
+  const stale = await vectorService.search('controller', 'k3s', 5, { mode: 'lexical' });
+  check('VectorService replaces a shrunken page', before === 3 && await vectorService.store.count() === 2 && stale.length === 0);
+
+  check('VectorService deletes one source', await vectorService.deleteSource('k3s') === 2 &&
+    await vectorService.lexicalIndex.count() === 0);
+  vectorService.close();
+} finally {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ Vector store test complete!');
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate the vector index from vectra to SQLite
+ * Copies every chunk (vector, text and metadata) from VECTOR_DB_PATH into
+ * SQLITE_VECTOR_DB_PATH. The vectra index is left in place; set
+ * VECTOR_STORE=sqlite once the migration has been verified.
+ */
+
+import { VectraVectorStore } from '../services/vectra-vector-store.js';
+import { SqliteVectorStore } from '../services/sqlite-vector-store.js';
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const vectraPath = process.env.VECTOR_DB_PATH || './data/vectors';
+const sqlitePath = process.env.SQLITE_VECTOR_DB_PATH || './data/vectors.db';
+
+console.log('\n🔄 Migrating vector index from vectra to SQLite...\n');
+
+try {
+  try {
+    await fs.access(vectraPath);
+  } catch (error) {
+    console.log(`ℹ️  No vectra index found at ${vectraPath}. Nothing to migrate.\n`);
+    process.exit(0);
+  }
+
+  const source = new VectraVectorStore(vectraPath);
+  const target = new SqliteVectorStore(sqlitePath);
+
+  console.log(`📖 Reading vectra index (${vectraPath})...`);
+  const items = await source.listChunks({ includeVectors: true });
+  console.log(`   Found ${items.length} chunks\n`);
+
+  const existing = await target.count();
+  if (existing > 0) {
+    console.log(`⚠️  ${sqlitePath} already holds ${existing} chunks; chunks with the same id will be replaced.\n`);
+  }
+
+  console.log(`📥 Importing into ${sqlitePath}...`);
+  let missingContent = 0;
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = [];
+    for (const item of items.slice(i, i + BATCH_SIZE)) {
+      const content = await source.getContent(item.id);
+      if (content === null) missingContent++;
+      batch.push({ id: item.id, vector: item.vector, metadata: item.metadata, content: content ?? '' });
+    }
+    await target.upsertChunks(batch);
+    console.log(`   ${Math.min(i + BATCH_SIZE, items.length)}/${items.length}`);
+  }
+
+  const migrated = await target.count();
+  target.close();
+
+  console.log(`\n✅ Migration complete!`);
+  console.log(`\n📊 Statistics:`);
+  console.log(`   Chunks in vectra: ${items.length}`);
+  console.log(`   Chunks in SQLite: ${migrated}`);
+  if (missingContent > 0) {
+    console.log(`   ⚠️  Chunks without a content file: ${missingContent} (imported with empty text)`);
+  }
+  console.log(`\n💡 Set VECTOR_STORE=sqlite in .env to use the SQLite store.`);
+  console.log(`   The vectra index in ${vectraPath} is untouched; delete it once you have verified search works.\n`);
+} catch (error) {
+  console.error('\n❌ Migration failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
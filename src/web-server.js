@@ -5,6 +5,9 @@ import { AIService } from './services/ai-service.js';
 import { DocumentationService } from './services/documentation-service.js';
 import { VectorService } from './services/vector-service.js';
 import { ChangeDetectionService } from './services/change-detection-service.js';
+import { PageHistoryService } from './services/page-history-service.js';
+import { DigestService } from './services/digest-service.js';
+import { SchedulerService } from './services/scheduler-service.js';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -22,6 +25,9 @@ const aiService = new AIService();
 const docService = new DocumentationService();
 const vectorService = new VectorService();
 const changeDetectionService = new ChangeDetectionService();
+const pageHistoryService = new PageHistoryService();
+const digestService = new DigestService(null, aiService);
+const schedulerService = new SchedulerService(null, docService);
 
 // Middleware
 app.use(express.json());
@@ -53,16 +59,28 @@ app.get('/api/sources', async (req, res) => {
 // Search documentation
 app.post('/api/search', async (req, res) => {
   try {
-    const { query, source = 'all', limit = 5 } = req.body;
+    const {
+      query, source = 'all', sources, limit = 5, mode, semanticWeight, rerank, contextWindow,
+      version, urlPrefix, indexedAfter, indexedBefore,
+    } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
+    if (semanticWeight !== undefined && !(semanticWeight >= 0 && semanticWeight <= 1)) {
+      return res.status(400).json({ error: 'semanticWeight must be a number between 0 and 1' });
+    }
 
-    const results = await vectorService.search(query, source, limit);
+    const results = await vectorService.search(query, sources?.length > 0 ? sources : source, limit, {
+      mode,
+      semanticWeight,
+      rerank,
+      contextWindow,
+      filters: { version, urlPrefix, indexedAfter, indexedBefore },
+    });
     res.json({ results });
   } catch (error) {
-    res.status(500).json({ error: String(error) });
+    res.status(error.code === 'INVALID_SEARCH' ? 400 : 500).json({ error: String(error) });
   }
 });
 
@@ -130,12 +148,30 @@ app.post('/api/index', async (req, res) => {
       return res.status(400).json({ error: 'Source is required' });
     }
 
+    // Take the same lock as scheduled jobs, the CLI and MCP sessions
+    let lock = null;
+    if (!docService.useJsonCache) {
+      await docService.loadPageCache();
+      lock = docService.acquireIndexLock(source, 1800); // 30 min timeout
+      if (!lock.acquired) {
+        return res.status(409).json({
+          error: `Indexing that covers ${source} is already running (lock expires in ${Math.round(lock.expiresIn / 60)} minutes)`,
+        });
+      }
+    }
+
     // Return immediately and process in background
     res.json({ message: 'Indexing started', source });
     
     // Process in background
-    const status = await docService.indexDocumentation(source, forceRefresh);
-    console.log('Indexing complete:', status);
+    try {
+      const status = await docService.indexDocumentation(source, forceRefresh);
+      console.log('Indexing complete:', status);
+    } finally {
+      if (lock) {
+        docService.pageCache.releaseLock(`index-${source}`, lock.lockId);
+      }
+    }
   } catch (error) {
     console.error('Indexing error:', error);
   }
@@ -144,11 +180,16 @@ app.post('/api/index', async (req, res) => {
 // Check for changes
 app.post('/api/check-changes', async (req, res) => {
   try {
-    const { source, limit, olderThanDays } = req.body;
+    const { source, limit, olderThanDays, adaptive, budget } = req.body;
     
     await changeDetectionService.initialize();
     
-    if (source) {
+    if (adaptive) {
+      // Only the pages due for a recheck, within the request budget
+      const sources = source ? [source] : changeDetectionService.registry.getIds();
+      const result = await changeDetectionService.checkDuePages(sources, { budget, parallel: 3 });
+      res.json({ result });
+    } else if (source) {
       const result = await changeDetectionService.checkSourceForChanges(source, {
         limit,
         olderThanDays,
@@ -174,6 +215,154 @@ app.get('/api/change-stats', async (req, res) => {
   }
 });
 
+// Change trends from the check history
+app.get('/api/change-trends', async (req, res) => {
+  try {
+    const trends = await changeDetectionService.getTrends({
+      days: parseFloat(req.query.days) || 30,
+      source: req.query.source || null,
+      limit: parseInt(req.query.limit) || 10,
+    });
+    res.json({ trends });
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// List the recorded versions of a page
+app.get('/api/pages/versions', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const versions = await pageHistoryService.listVersions(url);
+    res.json({ url, versions });
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// Diff two versions of a page (ids, dates, 'latest' or 'previous')
+app.get('/api/pages/diff', async (req, res) => {
+  try {
+    const { url, from = 'previous', to = 'latest', context, format } = req.query;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const result = await pageHistoryService.diff(url, from, to, {
+      context: context !== undefined ? parseInt(context) || 0 : 3,
+    });
+
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(pageHistoryService.formatMarkdown(result));
+    }
+    res.json(result);
+  } catch (error) {
+    const status = { INVALID_VERSION: 400, VERSION_NOT_FOUND: 404 }[error.code] || 500;
+    res.status(status).json({ error: String(error) });
+  }
+});
+
+// List saved "what changed" digests, newest first
+app.get('/api/digests', async (req, res) => {
+  try {
+    const digests = await digestService.list();
+    res.json({ digests });
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// Generate a digest of the pages that changed in a period (default: last 7 days)
+app.post('/api/digests', async (req, res) => {
+  try {
+    const { sources, since, until, days = 7, useAI = true } = req.body;
+    const digest = await digestService.generate({
+      since: since || new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+      until,
+      sources: sources?.length > 0 ? sources : null,
+      useAI,
+    });
+    await digestService.save(digest);
+    res.json({ digest });
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// Get a saved digest (or 'latest') as JSON
+app.get('/api/digests/:id', async (req, res) => {
+  try {
+    const digest = await digestService.load(req.params.id);
+    if (!digest) {
+      return res.status(404).json({ error: `Digest not found: ${req.params.id}` });
+    }
+    res.json({ digest });
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// One source's digest report, as HTML (default) or Markdown (?format=markdown)
+app.get('/api/digests/:id/:source', async (req, res) => {
+  try {
+    const format = req.query.format === 'markdown' ? 'markdown' : 'html';
+    const report = await digestService.getReport(req.params.id, req.params.source, format);
+    if (report === null) {
+      return res.status(404).json({ error: `No ${req.params.source} report in digest ${req.params.id}` });
+    }
+    res.type(format === 'markdown' ? 'text/markdown' : 'html').send(report);
+  } catch (error) {
+    res.status(500).json({ error: String(error) });
+  }
+});
+
+// Scheduled jobs with their next and last runs
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const jobs = await schedulerService.listJobs();
+    res.json({ enabled: process.env.SCHEDULER_ENABLED === 'true', jobs });
+  } catch (error) {
+    res.status(error.code === 'NO_JOBS_CONFIG' ? 404 : 500).json({ error: String(error) });
+  }
+});
+
+// A job's recent runs
+app.get('/api/jobs/:name/runs', async (req, res) => {
+  try {
+    const runs = await schedulerService.getRuns(req.params.name, parseInt(req.query.limit) || 20);
+    res.json({ runs });
+  } catch (error) {
+    res.status(error.code === 'JOB_NOT_FOUND' ? 404 : 500).json({ error: String(error) });
+  }
+});
+
+// Run a job now
+app.post('/api/jobs/:name/run', async (req, res) => {
+  try {
+    await schedulerService.initialize();
+    if (!schedulerService.jobs.has(req.params.name)) {
+      return res.status(404).json({ error: `Unknown job: ${req.params.name}` });
+    }
+
+    // Return immediately and run in background; the result is recorded in the job's runs
+    res.json({ message: 'Job started', job: req.params.name });
+
+    const run = await schedulerService.runJob(req.params.name);
+    console.log(`Job ${run.job} ${run.status}`);
+  } catch (error) {
+    console.error('Job error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: String(error) });
+    }
+  }
+});
+
 // Serve the main HTML page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
@@ -186,4 +375,8 @@ app.listen(PORT, () => {
   console.log(`  AI Provider: ${process.env.AI_PROVIDER || 'ollama'}`);
   console.log(`  Model: ${process.env.OLLAMA_MODEL || 'llama3.2:latest'}`);
   console.log(`\nOpen http://localhost:${PORT} in your browser to get started!\n`);
+
+  if (process.env.SCHEDULER_ENABLED === 'true') {
+    schedulerService.start().catch((error) => console.error('❌ Scheduler failed to start:', error.message));
+  }
 });